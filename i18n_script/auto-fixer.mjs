@@ -0,0 +1,518 @@
+import fs from "node:fs";
+import { parse } from "@babel/parser";
+import _traverse from "@babel/traverse";
+import { isUsableKey, suggestKey } from "./key-suggester.mjs";
+
+const traverse = _traverse.default || _traverse;
+
+function rangeKey({ start, end }) {
+	return `${start.line}:${start.column}-${end.line}:${end.column}`;
+}
+
+// 컴포넌트(대문자 시작) 또는 커스텀 훅(useXxx) 함수인지 확인
+function isComponentOrHook(functionPath) {
+	let name = functionPath.node.id?.name;
+
+	if (!name) {
+		// const Foo = () => ..., const Foo = memo(() => ...), forwardRef 등
+		let current = functionPath.parentPath;
+		while (current?.isCallExpression()) {
+			current = current.parentPath;
+		}
+		if (
+			current?.isVariableDeclarator() &&
+			current.node.id.type === "Identifier"
+		) {
+			name = current.node.id.name;
+		}
+	}
+
+	return Boolean(name) && (/^[A-Z]/.test(name) || /^use[A-Z]/.test(name));
+}
+
+const TRANSLATOR_SOURCES = ["i18next", "react-i18next"];
+
+// const { t } = useTranslation() 구조 분해 또는 i18next/react-i18next import로 만든 바인딩인지 확인
+function isTranslatorBinding(binding) {
+	const { path } = binding;
+	if (path.isImportSpecifier() || path.isImportDefaultSpecifier()) {
+		return TRANSLATOR_SOURCES.includes(path.parent.source.value);
+	}
+	if (!path.isVariableDeclarator() || path.node.id.type !== "ObjectPattern") {
+		return false;
+	}
+	const { init } = path.node;
+	return (
+		init?.type === "CallExpression" &&
+		init.callee.type === "Identifier" &&
+		init.callee.name === "useTranslation"
+	);
+}
+
+// JSX 텍스트 바로 옆에 값 표현식이 있는지 (<p>총 {count}개</p>)
+function hasAdjacentExpression(path) {
+	return [path.getSibling(path.key - 1), path.getSibling(path.key + 1)].some(
+		(sibling) =>
+			sibling.isJSXExpressionContainer() &&
+			sibling.node.expression.type !== "JSXEmptyExpression",
+	);
+}
+
+// 파일에서 처음 들여쓴 줄의 들여쓰기 단위 (없으면 탭)
+function detectIndentUnit(code) {
+	const indent = code.match(/^[ \t]+(?=\S)/m)?.[0];
+	return indent?.startsWith(" ") ? indent : "\t";
+}
+
+/**
+ * @description 템플릿 리터럴을 i18next 보간 문자열과 t() 파라미터로 변환합니다.
+ * `안녕 ${user.name}님` → { text: "안녕 {{name}}님", params: [{ name: "name", source: "user.name" }] }
+ */
+export function getTemplateInterpolation(node, code) {
+	const params = [];
+	const usedNames = new Set();
+	let text = "";
+
+	node.quasis.forEach((quasi, index) => {
+		text += quasi.value.cooked ?? quasi.value.raw;
+
+		const expression = node.expressions[index];
+		if (!expression) return;
+
+		let name =
+			expression.type === "Identifier"
+				? expression.name
+				: expression.type === "MemberExpression" &&
+						!expression.computed &&
+						expression.property.type === "Identifier"
+					? expression.property.name
+					: `value${index + 1}`;
+
+		while (usedNames.has(name)) {
+			name = `${name}${index + 1}`;
+		}
+		usedNames.add(name);
+
+		params.push({ name, source: code.slice(expression.start, expression.end) });
+		text += `{{${name}}}`;
+	});
+
+	return { text, params };
+}
+
+/**
+ * @description 검사 결과(위반 목록)를 바탕으로 하드코딩 문자열을 t() 호출로 바꿉니다.
+ * 원본 코드에 범위 편집만 적용하므로 나머지 서식은 그대로 유지됩니다.
+ */
+export default class AutoFixer {
+	constructor({ functionName = "t" } = {}) {
+		this.functionName = functionName;
+	}
+
+	// 파일별로 수정 결과 계산 (write가 true면 디스크에 저장)
+	fixFiles(violations, { write = true } = {}) {
+		const byFile = new Map();
+		for (const violation of violations) {
+			if (!byFile.has(violation.filePath)) {
+				byFile.set(violation.filePath, []);
+			}
+			byFile.get(violation.filePath).push(violation);
+		}
+
+		const results = [];
+		for (const [filePath, fileViolations] of byFile) {
+			const original = fs.readFileSync(filePath, "utf8");
+			const result = this.fixSource(original, fileViolations);
+
+			if (write && result.output !== original) {
+				fs.writeFileSync(filePath, result.output);
+			}
+			results.push({ filePath, original, ...result });
+		}
+
+		return results;
+	}
+
+	/**
+	 * @returns {{ output: string, fixed: number, skipped: object[], translations: { key: string, value: string, violation: object }[] }}
+	 */
+	fixSource(code, violations) {
+		const ast = parse(code, {
+			sourceType: "module",
+			plugins: ["jsx", "typescript", "decorators-legacy"],
+		});
+
+		const pending = new Map(
+			violations.map((violation) => [rangeKey(violation.range), violation]),
+		);
+		const quote = this.detectQuote(ast);
+		const edits = [];
+		const skipped = [];
+		const translations = [];
+		const hookTargets = new Map();
+		let needsModuleT = false;
+		let fixed = 0;
+
+		const handle = (path) => {
+			const { node } = path;
+			if (!node.loc) return;
+
+			const key = rangeKey(node.loc);
+			const violation = pending.get(key);
+			if (!violation) return;
+			pending.delete(key);
+
+			const translator = this.checkTranslator(path);
+			const edit = translator.reason
+				? translator
+				: this.createEdit(path, violation, code, quote);
+			if (edit.reason) {
+				skipped.push({ violation, reason: edit.reason });
+				return;
+			}
+
+			edits.push(edit);
+			translations.push({ key: edit.key, value: edit.value, violation });
+			fixed++;
+
+			// t를 쓸 수 있도록 가장 가까운 컴포넌트에 훅 추가, 없으면 i18next의 t import
+			if (translator.bound) return;
+
+			const functionPath = this.findHookTarget(path);
+			if (functionPath) {
+				hookTargets.set(functionPath.node, functionPath);
+			} else {
+				needsModuleT = true;
+			}
+		};
+
+		traverse(ast, {
+			JSXText: handle,
+			JSXExpressionContainer: handle,
+			StringLiteral: handle,
+			TemplateLiteral: handle,
+		});
+
+		for (const violation of pending.values()) {
+			skipped.push({
+				violation,
+				// 변수/상수로 전달된 값은 사용 위치가 아닌 정의 위치에서 고쳐야 함
+				reason: violation.origin
+					? `${violation.origin.filePath}:${violation.origin.line}에 정의된 값에서 수정 필요`
+					: "코드 위치를 찾을 수 없음",
+			});
+		}
+
+		for (const functionPath of hookTargets.values()) {
+			edits.push(...this.createHookEdits(functionPath, code));
+		}
+
+		if (hookTargets.size > 0) {
+			edits.push(
+				...this.createImportEdits(
+					ast,
+					quote,
+					"react-i18next",
+					"useTranslation",
+				),
+			);
+		}
+		if (needsModuleT) {
+			edits.push(
+				...this.createImportEdits(ast, quote, "i18next", this.functionName),
+			);
+		}
+
+		return {
+			output: this.applyEdits(code, edits),
+			fixed,
+			skipped,
+			translations,
+		};
+	}
+
+	/**
+	 * @description 코드에서 위반 위치의 문자열을 찾아 그 위반 하나만 고치는 편집을 만듭니다 (에디터 빠른 수정용).
+	 * @returns {{ edits: object[], local: boolean } | { reason: string }}
+	 */
+	createQuickFix(code, violation) {
+		const ast = parse(code, {
+			sourceType: "module",
+			plugins: ["jsx", "typescript", "decorators-legacy"],
+		});
+		const key = rangeKey(violation.range);
+		let result = { reason: "코드 위치를 찾을 수 없음" };
+
+		traverse(ast, {
+			"JSXText|JSXExpressionContainer|StringLiteral|TemplateLiteral": (
+				path,
+			) => {
+				if (!path.node.loc || rangeKey(path.node.loc) !== key) return;
+				result = this.createViolationEdits(path, violation, {
+					ast,
+					code,
+					quote: this.detectQuote(ast),
+				});
+				path.stop();
+			},
+		});
+
+		return result;
+	}
+
+	/**
+	 * @description 위반 하나만 고치는 편집 목록을 만듭니다 (ESLint 수정/제안용).
+	 * t를 이미 쓸 수 있는 위치면 local이 true이고, 아니면 훅 또는 i18next import 추가 편집이 함께 들어갑니다.
+	 * @returns {{ edits: object[], local: boolean } | { reason: string }}
+	 */
+	createViolationEdits(path, violation, { ast, code, quote }) {
+		const translator = this.checkTranslator(path);
+		if (translator.reason) return translator;
+
+		const edit = this.createEdit(path, violation, code, quote);
+		if (edit.reason) return edit;
+
+		if (translator.bound) {
+			return { edits: [edit], local: true };
+		}
+
+		const functionPath = this.findHookTarget(path);
+		const setupEdits = functionPath
+			? [
+					...this.createHookEdits(functionPath, code),
+					...this.createImportEdits(
+						ast,
+						quote,
+						"react-i18next",
+						"useTranslation",
+					),
+				]
+			: this.createImportEdits(ast, quote, "i18next", this.functionName);
+		return { edits: [edit, ...setupEdits], local: false };
+	}
+
+	/**
+	 * @description 위반 위치에서 functionName이 가리키는 바인딩을 확인합니다.
+	 * 번역 함수 바인딩이면 bound가 true, 없으면 false이고, 같은 이름의 다른 값이 있으면 reason을 반환합니다.
+	 * @returns {{ bound: boolean } | { reason: string }}
+	 */
+	checkTranslator(path) {
+		const binding = path.scope.getBinding(this.functionName);
+		if (!binding) return { bound: false };
+		if (isTranslatorBinding(binding)) return { bound: true };
+		return {
+			reason: `"${this.functionName}"이(가) 번역 함수가 아닌 값으로 이미 선언되어 있음 (${binding.path.node.loc?.start.line ?? "?"}번째 줄)`,
+		};
+	}
+
+	// t 훅을 추가할 가장 가까운 컴포넌트/커스텀 훅 (없으면 null)
+	findHookTarget(path) {
+		let functionPath = path.getFunctionParent();
+		while (functionPath && !isComponentOrHook(functionPath)) {
+			functionPath = functionPath.getFunctionParent();
+		}
+		return functionPath;
+	}
+
+	createEdit(path, violation, code, quote) {
+		const { node, parent } = path;
+		const prefix = (violation.key || "").split(".")[0] || "common";
+
+		const call = (key, params = []) => {
+			const args = params.length
+				? `, { ${params
+						.map(({ name, source }) =>
+							name === source ? name : `${name}: ${source}`,
+						)
+						.join(", ")} }`
+				: "";
+			return `${this.functionName}(${quote}${key}${quote}${args})`;
+		};
+
+		// 값이 바뀐 경우(템플릿 등)에도 같은 접두사를 유지하며 키 재계산
+		const keyFor = (text) =>
+			`${prefix}.${suggestKey(null, text).split(".").slice(1).join(".")}`;
+
+		// { text: 교체할 t() 호출, key, value: locale에 들어갈 원문 }
+		const toCall = (literal) => {
+			if (literal.type === "StringLiteral") {
+				const key = violation.key || keyFor(literal.value);
+				return isUsableKey(key)
+					? { text: call(key), key, value: literal.value }
+					: null;
+			}
+			if (literal.type === "TemplateLiteral") {
+				const { text, params } = getTemplateInterpolation(literal, code);
+				const key = keyFor(text.replace(/\{\{\w+\}\}/g, " "));
+				return isUsableKey(key)
+					? { text: call(key, params), key, value: text }
+					: null;
+			}
+			return null;
+		};
+
+		if (node.type === "JSXText") {
+			// 조각별로 번역하면 어순을 바꿀 수 없으므로 하나의 키로 보간하도록 안내
+			if (hasAdjacentExpression(path)) {
+				return {
+					reason:
+						"표현식과 이어진 JSX 텍스트: 하나의 키로 보간해야 함 (no-text-concatenation 참고)",
+				};
+			}
+			const key = violation.key || keyFor(node.value);
+			if (!isUsableKey(key)) return { reason: "키를 만들 수 없는 텍스트" };
+
+			// 앞뒤 공백/줄바꿈은 유지하고 텍스트 부분만 교체
+			const leading = node.value.length - node.value.trimStart().length;
+			const trailing = node.value.length - node.value.trimEnd().length;
+			return {
+				start: node.start + leading,
+				end: node.end - trailing,
+				text: `{${call(key)}}`,
+				key,
+				value: node.value.trim().replace(/\s+/g, " "),
+			};
+		}
+
+		if (node.type === "JSXExpressionContainer") {
+			const replacement = toCall(node.expression);
+			if (!replacement) return { reason: "자동 수정할 수 없는 표현식" };
+			return {
+				...replacement,
+				start: node.expression.start,
+				end: node.expression.end,
+			};
+		}
+
+		const replacement = toCall(node);
+		if (!replacement) return { reason: "키를 만들 수 없는 값" };
+
+		return {
+			...replacement,
+			start: node.start,
+			end: node.end,
+			text:
+				parent.type === "JSXAttribute"
+					? `{${replacement.text}}`
+					: replacement.text,
+		};
+	}
+
+	// 컴포넌트 본문 맨 앞에 const { t } = useTranslation(); 추가 (본문 첫 문장의 들여쓰기를 따름)
+	createHookEdits(functionPath, code) {
+		const { body } = functionPath.node;
+		const hook = `const { ${this.functionName} } = useTranslation();`;
+		const lineStart = code.lastIndexOf("\n", functionPath.node.start) + 1;
+		const outerIndent = code.slice(lineStart).match(/^[ \t]*/)[0];
+		const unit = detectIndentUnit(code);
+
+		if (body.type === "BlockStatement") {
+			const first = body.body[0];
+			const firstLine = first
+				? code.slice(code.lastIndexOf("\n", first.start) + 1, first.start)
+				: "";
+			// 첫 문장이 여는 중괄호와 같은 줄이면 들여쓰기를 알 수 없음
+			const indent =
+				/^[ \t]*$/.test(firstLine) && first ? firstLine : outerIndent + unit;
+
+			return [
+				{
+					start: body.start + 1,
+					end: body.start + 1,
+					text: `\n${indent}${hook}`,
+				},
+			];
+		}
+
+		// 화살표 함수의 식 본문 → 블록 본문으로 변환
+		const innerIndent = outerIndent + unit;
+		const start = body.extra?.parenthesized
+			? body.extra.parenStart
+			: body.start;
+		const end = body.extra?.parenthesized
+			? code.indexOf(")", body.end) + 1
+			: body.end;
+
+		return [
+			{
+				start,
+				end: start,
+				text: `{\n${innerIndent}${hook}\n${innerIndent}return `,
+			},
+			{ start: end, end, text: `;\n${outerIndent}}` },
+		];
+	}
+
+	// 기존 import에 이름을 추가하거나 마지막 import 뒤에 새 import 추가
+	createImportEdits(ast, quote, source, name) {
+		const imports = ast.program.body.filter(
+			(statement) => statement.type === "ImportDeclaration",
+		);
+		const existing = imports.find(
+			(statement) =>
+				statement.source.value === source && statement.importKind !== "type",
+		);
+
+		if (existing) {
+			const specifiers = existing.specifiers.filter(
+				(specifier) => specifier.type === "ImportSpecifier",
+			);
+			if (specifiers.some((specifier) => specifier.local.name === name)) {
+				return [];
+			}
+			const last = specifiers[specifiers.length - 1];
+			if (last) {
+				return [{ start: last.end, end: last.end, text: `, ${name}` }];
+			}
+		}
+
+		const statement = `import { ${name} } from ${quote}${source}${quote};`;
+		const lastImport = imports[imports.length - 1];
+		if (lastImport) {
+			return [
+				{ start: lastImport.end, end: lastImport.end, text: `\n${statement}` },
+			];
+		}
+
+		// "use client" 같은 지시문 뒤, 없으면 파일 맨 앞
+		const directives = ast.program.directives;
+		const after = directives.length ? directives[directives.length - 1].end : 0;
+		return after
+			? [{ start: after, end: after, text: `\n${statement}` }]
+			: [{ start: 0, end: 0, text: `${statement}\n` }];
+	}
+
+	// 파일에서 더 많이 쓰인 따옴표 스타일 사용
+	detectQuote(ast) {
+		let double = 0;
+		let single = 0;
+
+		traverse(ast, {
+			StringLiteral: (path) => {
+				if (path.parent.type === "JSXAttribute") return;
+				const raw = path.node.extra?.raw || "";
+				if (raw.startsWith('"')) double++;
+				if (raw.startsWith("'")) single++;
+			},
+		});
+
+		return single > double ? "'" : '"';
+	}
+
+	// 뒤에서부터 적용해 앞쪽 오프셋이 바뀌지 않도록 하고, 겹치는 편집은 건너뜀
+	applyEdits(code, edits) {
+		const sorted = [...edits].sort(
+			(a, b) => b.start - a.start || b.end - a.end,
+		);
+		let output = code;
+		let boundary = Number.POSITIVE_INFINITY;
+
+		for (const edit of sorted) {
+			if (edit.end > boundary) continue;
+			output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+			boundary = edit.start;
+		}
+
+		return output;
+	}
+}
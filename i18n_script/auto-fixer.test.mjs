@@ -0,0 +1,80 @@
+import AutoFixer from "./auto-fixer.mjs";
+import { JSX_RULES, TOAST_RULES } from "./rules/index.mjs";
+import { checkCode } from "./test-helpers.mjs";
+import { toViolation } from "./violation.mjs";
+
+const fix = (code) => {
+	const violations = checkCode([...JSX_RULES, ...TOAST_RULES], code).map(
+		(error) => toViolation(error),
+	);
+	return new AutoFixer().fixSource(code, violations);
+};
+
+describe("AutoFixer", () => {
+	test("훅을 추가할 때 본문 첫 문장의 들여쓰기를 따름", () => {
+		const { output, fixed } = fix(`export function App() {
+  const title = "x";
+  return <div>안녕하세요</div>;
+}
+`);
+
+		expect(fixed).toBe(1);
+		expect(output).toContain(
+			`export function App() {\n  const { t } = useTranslation();\n  const title`,
+		);
+		expect(output).toContain('import { useTranslation } from "react-i18next";');
+	});
+
+	test("식 본문 화살표 함수는 파일의 들여쓰기 단위로 블록을 만듦", () => {
+		const { output } = fix(`import React from "react";
+const noop = () => {
+    return null;
+};
+export const App = () => <div>안녕하세요</div>;
+`);
+
+		expect(output).toContain(
+			"export const App = () => {\n    const { t } = useTranslation();\n    return <div>",
+		);
+	});
+
+	test("useTranslation으로 만든 t는 그대로 사용", () => {
+		const { output, fixed } =
+			fix(`import { useTranslation } from "react-i18next";
+export function App() {
+	const { t } = useTranslation();
+	return <div>안녕하세요</div>;
+}
+`);
+
+		expect(fixed).toBe(1);
+		expect(output.match(/useTranslation\(\)/g)).toHaveLength(1);
+	});
+
+	test("번역 함수가 아닌 t 바인딩이 있으면 수정하지 않고 이유를 남김", () => {
+		const { output, fixed, skipped } = fix(`export function App() {
+	const t = 5;
+	return <div>안녕하세요</div>;
+}
+`);
+
+		expect(fixed).toBe(0);
+		expect(output).toContain("<div>안녕하세요</div>");
+		expect(skipped[0].reason).toContain('"t"이(가) 번역 함수가 아닌 값');
+	});
+
+	test("표현식과 이어진 JSX 텍스트는 조각내지 않고 no-text-concatenation으로 안내", () => {
+		const { output, fixed, skipped } = fix(`export function App({ name }) {
+	return <p>안녕하세요 {name}님</p>;
+}
+`);
+
+		expect(fixed).toBe(0);
+		expect(output).toContain("<p>안녕하세요 {name}님</p>");
+		expect(skipped.map(({ reason }) => reason)).toEqual(
+			expect.arrayContaining([
+				expect.stringContaining("no-text-concatenation"),
+			]),
+		);
+	});
+});
@@ -0,0 +1,168 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const BASELINE_VERSION = 1;
+
+// 저장소 어디서 실행해도 같은 키가 나오도록 cwd 기준 상대 경로 + "/" 구분자 사용
+function toBaselinePath(filePath) {
+	return path
+		.relative(process.cwd(), path.resolve(filePath))
+		.split(path.sep)
+		.join("/");
+}
+
+function entryKey(file, { type, value, fingerprint }) {
+	return [file, type, value, fingerprint].join("\0");
+}
+
+/**
+ * @description 기존 하드코딩 위반을 기록해 두고, 이후 검사에서 새로 생긴 위반만 골라냅니다.
+ * 줄 번호 대신 에러가 있는 코드 줄의 내용으로 지문을 만들어 코드가 위아래로 이동해도 유지됩니다.
+ */
+export default class Baseline {
+	constructor(files = {}) {
+		// { [파일 경로]: [{ type, value, fingerprint, count }] }
+		this.files = files;
+	}
+
+	static load(filepath) {
+		if (!fs.existsSync(filepath)) {
+			return null;
+		}
+
+		let data;
+		try {
+			data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+		} catch (error) {
+			throw new Error(
+				`베이스라인 파일을 읽지 못했습니다: ${filepath}\n  ${error.message}`,
+			);
+		}
+
+		if (data.version !== BASELINE_VERSION || typeof data.files !== "object") {
+			throw new Error(
+				`지원하지 않는 베이스라인 형식입니다: ${filepath} (--write-baseline으로 다시 생성하세요)`,
+			);
+		}
+
+		return new Baseline(data.files);
+	}
+
+	static fromErrors(errors) {
+		const counts = new Map();
+
+		for (const error of errors) {
+			const file = toBaselinePath(error.filePath);
+			const entry = {
+				type: error.type,
+				value: error.value,
+				fingerprint: Baseline.fingerprint(error),
+			};
+			const key = entryKey(file, entry);
+			const existing = counts.get(key);
+
+			if (existing) {
+				existing.entry.count++;
+			} else {
+				counts.set(key, { file, entry: { ...entry, count: 1 } });
+			}
+		}
+
+		const files = {};
+		for (const { file, entry } of counts.values()) {
+			if (!files[file]) files[file] = [];
+			files[file].push(entry);
+		}
+
+		return new Baseline(files);
+	}
+
+	// 에러 줄의 공백을 정리한 내용 + 타입 + 값으로 만든 지문
+	static fingerprint(error) {
+		const errorLine = error.context?.find((line) => line.isError);
+		const source = (errorLine?.content || "").trim().replace(/\s+/g, " ");
+
+		return crypto
+			.createHash("sha1")
+			.update(`${error.type}\n${error.value}\n${source}`)
+			.digest("hex")
+			.slice(0, 16);
+	}
+
+	write(filepath) {
+		// 리뷰 시 diff가 안정적이도록 파일/항목을 정렬해서 저장
+		const files = {};
+		for (const file of Object.keys(this.files).sort()) {
+			files[file] = [...this.files[file]].sort(
+				(a, b) =>
+					a.type.localeCompare(b.type) ||
+					a.value.localeCompare(b.value) ||
+					a.fingerprint.localeCompare(b.fingerprint),
+			);
+		}
+
+		fs.mkdirSync(path.dirname(path.resolve(filepath)), { recursive: true });
+		fs.writeFileSync(
+			filepath,
+			`${JSON.stringify({ version: BASELINE_VERSION, files }, null, "\t")}\n`,
+		);
+	}
+
+	get size() {
+		return Object.values(this.files).reduce(
+			(total, entries) =>
+				total + entries.reduce((sum, entry) => sum + entry.count, 0),
+			0,
+		);
+	}
+
+	// 단계별로 에러를 걸러낼 수 있도록 남은 항목 수를 추적하는 매처 생성
+	createMatcher() {
+		return new BaselineMatcher(this.files);
+	}
+}
+
+class BaselineMatcher {
+	constructor(files) {
+		this.remaining = new Map();
+		this.baselinedCount = 0;
+
+		for (const [file, entries] of Object.entries(files)) {
+			for (const entry of entries) {
+				this.remaining.set(entryKey(file, entry), { file, ...entry });
+			}
+		}
+	}
+
+	// 베이스라인에 없는 (새로 생긴) 에러만 반환
+	filter(errors) {
+		return errors.filter((error) => {
+			const key = entryKey(toBaselinePath(error.filePath), {
+				type: error.type,
+				value: error.value,
+				fingerprint: Baseline.fingerprint(error),
+			});
+			const entry = this.remaining.get(key);
+
+			if (entry && entry.count > 0) {
+				entry.count--;
+				this.baselinedCount++;
+				return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * @description 남은 베이스라인 항목 = 이미 수정된 위반.
+	 * scannedFiles가 주어지면 이번에 검사한 파일의 항목만 포함합니다.
+	 */
+	getFixedEntries(scannedFiles = null) {
+		const scanned = scannedFiles && new Set(scannedFiles.map(toBaselinePath));
+
+		return [...this.remaining.values()].filter(
+			(entry) => entry.count > 0 && (!scanned || scanned.has(entry.file)),
+		);
+	}
+}
@@ -0,0 +1,52 @@
+import path from "node:path";
+import Baseline from "./baseline.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import {
+	checkCode,
+	createTempProject,
+	readJson,
+	removeTempProject,
+} from "./test-helpers.mjs";
+
+const check = (code) => checkCode(RULE_DEFINITIONS, code);
+
+describe("Baseline", () => {
+	const before = `message.error("기존 문구");
+message.error("기존 문구");`;
+
+	test("줄이 이동해도 기록된 위반은 제외하고 새 위반만 남김", () => {
+		const matcher = Baseline.fromErrors(check(before)).createMatcher();
+
+		const errors = check(`// 위에 줄 추가
+message.error("기존 문구");
+message.error("새 문구");`);
+
+		expect(matcher.filter(errors).map(({ value }) => value)).toEqual([
+			"새 문구",
+		]);
+		expect(matcher.baselinedCount).toBe(1);
+		// 같은 위반 두 개 중 하나가 수정됨
+		expect(matcher.getFixedEntries()).toEqual([
+			expect.objectContaining({ value: "기존 문구", count: 1 }),
+		]);
+	});
+
+	test("write/load로 정렬된 JSON 파일을 주고받음", () => {
+		const root = createTempProject();
+		try {
+			const filepath = path.join(root, ".i18n/baseline.json");
+			const baseline = Baseline.fromErrors(check(before));
+			baseline.write(filepath);
+
+			const data = readJson(root, ".i18n/baseline.json");
+			expect(data.version).toBe(1);
+			expect(data.files["src/App.tsx"]).toEqual([
+				expect.objectContaining({ value: "기존 문구", count: 2 }),
+			]);
+			expect(Baseline.load(filepath).size).toBe(2);
+			expect(Baseline.load(path.join(root, "missing.json"))).toBeNull();
+		} finally {
+			removeTempProject(root);
+		}
+	});
+});
@@ -1,77 +1,93 @@
 #!/usr/bin/env node
 
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { stripVTControlCharacters } from "node:util";
 import chalk from "chalk";
+import AutoFixer from "./auto-fixer.mjs";
+import Baseline from "./baseline.mjs";
+import CheckCache from "./check-cache.mjs";
+import CheckWatcher from "./check-watcher.mjs";
+import ConfigLoader from "./config-loader.mjs";
+import { DEFAULT_CONFIG } from "./default-config.mjs";
 import EnhancedToastChecker from "./enhanced-toast-checker.mjs";
+import { FORMATTERS, getFormatter } from "./formatters/index.mjs";
+import GitChanges from "./git-changes.mjs";
 import JSXHardcodedChecker from "./jsx-hardcoded-checker.mjs";
+import LocaleComparator from "./locale-comparator.mjs";
+import LocaleExtractor from "./locale-extractor.mjs";
+import LocaleStore from "./locale-store.mjs";
+import MissingKeyChecker from "./missing-key-checker.mjs";
+import RuleEngine from "./rule-engine.mjs";
+import {
+	JSX_RULES,
+	KEY_RULES,
+	RULE_DEFINITIONS,
+	TOAST_RULES,
+} from "./rules/index.mjs";
+import SuppressionRegistry from "./suppression-registry.mjs";
+import { createUnifiedDiff } from "./text-diff.mjs";
+import UnusedKeyFinder from "./unused-key-finder.mjs";
+import { toViolation } from "./violation.mjs";
+
+// 값을 받는 CLI 옵션 (--name 값 또는 --name=값)
+const VALUE_OPTIONS = [
+	"--config",
+	"--baseline",
+	"--format",
+	"--output",
+	"--lng",
+	"--ns",
+	"--ref",
+	"--since",
+	"--concurrency",
+];
+
+// 첫 번째 인수로 올 수 있는 하위 명령 (없으면 검사 실행)
+const COMMANDS = ["extract", "unused-keys", "compare-locales"];
 
 class IntegratedHardcodingChecker {
-	constructor(targetPath = "src") {
+	constructor(
+		targetPath = "src",
+		config = DEFAULT_CONFIG,
+		{
+			git = null,
+			onlyChangedLines = false,
+			concurrency = 1,
+			useCache = false,
+		} = {},
+	) {
 		this.targetPath = targetPath;
-		this.jsxChecker = new JSXHardcodedChecker();
-		this.toastChecker = new EnhancedToastChecker({
-			// 프로젝트에 맞는 설정 커스터마이징
-			toastFunctions: [
-				// Ant Design message
-				"message.error",
-				"message.success",
-				"message.warning",
-				"message.info",
-				"message.loading",
-
-				// Kosmos message (프로젝트 고유)
-				"Message.error",
-				"Message.success",
-				"Message.warning",
-				"Message.info",
-
-				// 기본 브라우저 API
-				"alert",
-				"confirm",
-				"prompt",
-
-				// 기타 가능한 알림 함수들
-				"toast.error",
-				"toast.success",
-				"toast.warning",
-				"toast.info",
-				"notification.error",
-				"notification.success",
-				"notification.warning",
-				"notification.info",
-				"showMessage",
-				"showError",
-				"showSuccess",
-				"showWarning",
-			],
-			objectProperties: [
-				"title",
-				"message",
-				"description",
-				"content",
-				"label",
-				"placeholder",
-				"tooltip",
-				"helpText",
-				"errorMessage",
-				"successMessage",
-				"warningMessage",
-				"text",
-				"body",
-				"detail",
-			],
-			allowPatterns: [
-				/^t\(['"]/, // i18n 함수
-				/^i18n\./, // i18n 객체
-				/^\$\{.*\}$/, // 템플릿 변수
-				/^(true|false|null|undefined)$/, // 기본값들
-				/^\d+$/, // 숫자
-				/^['"]?\s*['"]?$/, // 빈 문자열
-				/^console\./, // console 로그 허용 (개발용)
-				/^process\.env\./, // 환경변수 허용
-				/^import\(/, // 동적 import
-				/^require\(/, // require 함수
-			],
+		this.config = config;
+		// --changed/--staged/--since 모드의 git 변경 정보
+		this.git = git;
+		this.onlyChangedLines = onlyChangedLines;
+		// 억제 주석 사용 여부를 모든 규칙이 함께 기록하도록 공유
+		this.suppressions = new SuppressionRegistry();
+
+		// --staged면 작업 트리가 아닌 인덱스의 파일 내용을 검사
+		const checkerOptions = {
+			suppressions: this.suppressions,
+			severities: config.rules,
+			concurrency,
+			// 내용이 같은 파일은 이전 검사 결과 재사용 (node_modules/.cache/i18n-check)
+			cache: useCache ? new CheckCache() : null,
+			...(git?.mode === "staged" && {
+				readFile: (filePath) => git.readStagedFile(filePath),
+			}),
+		};
+		this.checkerOptions = checkerOptions;
+		// 전체 검사는 모든 규칙을 한 번의 파싱/순회로 실행
+		this.engine = new RuleEngine({
+			rules: RULE_DEFINITIONS,
+			config,
+			...checkerOptions,
 		});
+		// 단계별 리포트와 단독 실행(--jsx-only 등)용 검사기
+		this.jsxChecker = new JSXHardcodedChecker(config.jsx, checkerOptions);
+		this.toastChecker = new EnhancedToastChecker(config.toast, checkerOptions);
+		this.keyChecker = new MissingKeyChecker(config.locales, checkerOptions);
 
 		this.startTime = null;
 		this.stats = {
@@ -80,9 +96,19 @@ class IntegratedHardcodingChecker {
 			toastErrors: 0,
 			totalErrors: 0,
 		};
+		// 언어별 번역 완성도 (요약에 표시)
+		this.localeCompleteness = [];
 	}
 
-	async runAllChecks(patterns = ["src/**/*.{js,jsx,ts,tsx}"]) {
+	async runAllChecks(
+		patterns = this.config.patterns,
+		{
+			writeBaseline = false,
+			useBaseline = true,
+			format = "pretty",
+			output = null,
+		} = {},
+	) {
 		this.startTime = Date.now();
 
 		// 패턴에서 디렉토리 부분만 추출하여 표시
@@ -95,29 +121,113 @@ class IntegratedHardcodingChecker {
 
 		console.log(chalk.cyan.bold("🚀 통합 하드코딩 검사 시작\n"));
 		console.log(chalk.gray(`검사 대상: ${displayPatterns.join(" ")}`));
-		console.log(chalk.gray("검사 범위: JSX 컴포넌트 + Toast/알림 함수"));
-		console.log(chalk.gray("=" * 60));
+		console.log(
+			chalk.gray("검사 범위: JSX 컴포넌트 + Toast/알림 함수 + 번역 키"),
+		);
+		console.log(chalk.gray("=".repeat(60)));
 
 		const results = {
 			jsx: false,
 			toast: false,
+			keys: false,
 			overall: false,
 		};
 
 		try {
+			// --write-baseline이면 현재 위반을 그대로 기록하고, 아니면 베이스라인에 없는 위반만 보고
+			const baseline =
+				writeBaseline || !useBaseline
+					? null
+					: Baseline.load(this.config.baseline);
+			const matcher = baseline?.createMatcher();
+			const collected = [];
+			const reported = [];
+
+			if (baseline) {
+				console.log(
+					chalk.gray(
+						`베이스라인: ${this.config.baseline} (${baseline.size}개 기존 위반)`,
+					),
+				);
+			}
+
+			// pretty 형식일 때만 단계별 리포트를 터미널에 출력
+			const reportStage = (checker, errors) => {
+				collected.push(...errors);
+				if (writeBaseline) return false;
+
+				const changedErrors = this.filterChangedLines(errors);
+				const stageErrors = matcher
+					? matcher.filter(changedErrors)
+					: changedErrors;
+				reported.push(...stageErrors);
+				return format === "pretty"
+					? checker.reportErrors(stageErrors)
+					: stageErrors.length === 0;
+			};
+
+			// 모든 규칙을 한 번에 실행한 뒤 규칙이 속한 단계별로 나누어 보고
+			console.log(chalk.blue("\n🔍 파일 파싱 및 규칙 검사..."));
+			const errors = await this.engine.run(patterns);
+			let phaseStart = performance.now();
+			const stageErrors = (checker) =>
+				errors.filter((error) => checker.ruleIds.includes(error.ruleId));
+
 			// 1. JSX 하드코딩 검사
 			console.log(chalk.blue("\n📋 1단계: JSX 컴포넌트 하드코딩 검사"));
-			console.log(chalk.gray("검사 대상: React/JSX 컴포넌트의 텍스트 및 속성"));
-			results.jsx = await this.jsxChecker.checkJSXHardcoding(patterns);
+			console.log(
+				chalk.gray(
+					"검사 대상: React/JSX 컴포넌트의 텍스트 및 속성, 조각내어 이어 붙인 문장",
+				),
+			);
+			results.jsx = reportStage(this.jsxChecker, stageErrors(this.jsxChecker));
 
 			// 2. Toast/알림 하드코딩 검사
 			console.log(chalk.blue("\n📋 2단계: Toast/알림 하드코딩 검사"));
 			console.log(chalk.gray("검사 대상: message.error, alert, 객체 속성 등"));
-			results.toast = await this.toastChecker.checkFiles(patterns);
+			results.toast = reportStage(
+				this.toastChecker,
+				stageErrors(this.toastChecker),
+			);
+
+			// 3. 코드에서 사용하는 번역 키가 locale 파일에 있는지 검사
+			console.log(chalk.blue("\n📋 3단계: 누락된 번역 키 검사"));
+			console.log(
+				chalk.gray(
+					"검사 대상: t() 호출과 i18nKey 속성의 키와 코드 기본값 (기본 언어 locale 기준), count/context 변형 키 (전체 언어)",
+				),
+			);
+			results.keys = reportStage(this.keyChecker, stageErrors(this.keyChecker));
+
+			if (writeBaseline) {
+				this.writeBaseline(collected);
+				return;
+			}
 
 			// 결과 요약
-			results.overall = results.jsx && results.toast;
-			this.printSummary(results);
+			results.overall = results.jsx && results.toast && results.keys;
+			const reportTime = performance.now() - phaseStart;
+			phaseStart = performance.now();
+			// 기본 언어 locale 파일이 없으면 번역 키 검사가 이미 경고함
+			const comparator = new LocaleComparator(this.config.locales);
+			const { defaultLanguage } = this.config.locales;
+			this.localeCompleteness = comparator.store.hasLanguage(defaultLanguage)
+				? comparator.compare(defaultLanguage)
+				: [];
+			const compareTime = performance.now() - phaseStart;
+			phaseStart = performance.now();
+			this.printUnusedSuppressions();
+			if (matcher) {
+				this.printBaselineStatus(matcher);
+			}
+			this.writeReport(
+				[...reported, ...this.getUnusedSuppressionViolations()],
+				{ format, output },
+			);
+			this.printSummary(results, {
+				"리포트 출력": reportTime + performance.now() - phaseStart,
+				"locale 비교": compareTime,
+			});
 
 			if (!results.overall) {
 				process.exit(1);
@@ -129,7 +239,413 @@ class IntegratedHardcodingChecker {
 		}
 	}
 
-	printSummary(results) {
+	// --fix/extract용: t()로 바꿀 수 있는 하드코딩 규칙(JSX + Toast)만 한 번의 파싱으로 실행
+	// extract는 코드 기본값이 있는 누락 키도 추가하므로 키 규칙을 함께 실행
+	collectHardcodingErrors(patterns, { withKeys = false } = {}) {
+		return new RuleEngine({
+			rules: [
+				...[...JSX_RULES, ...TOAST_RULES].filter(({ meta }) => meta.fixable),
+				...(withKeys ? KEY_RULES : []),
+			],
+			config: this.config,
+			...this.checkerOptions,
+		}).run(patterns);
+	}
+
+	/**
+	 * @description 검사기 하나만 실행합니다 (--jsx-only, --toast-only, --keys-only).
+	 * 전체 검사와 같이 베이스라인에 없는 위반만 보고하고 --format/--output 리포트를 씁니다.
+	 * 다른 검사기의 규칙은 실행하지 않으므로 억제 주석 사용 여부는 보고하지 않습니다.
+	 */
+	async runSingleCheck(
+		checker,
+		patterns,
+		{ useBaseline = true, format = "pretty", output = null } = {},
+	) {
+		const baseline = useBaseline ? Baseline.load(this.config.baseline) : null;
+		const matcher = baseline?.createMatcher();
+		if (baseline) {
+			console.log(
+				chalk.gray(
+					`베이스라인: ${this.config.baseline} (${baseline.size}개 기존 위반)`,
+				),
+			);
+		}
+
+		const errors = await checker.collectErrors(patterns);
+		const reportStart = performance.now();
+		const changedErrors = this.filterChangedLines(errors);
+		const reported = matcher ? matcher.filter(changedErrors) : changedErrors;
+		const result =
+			format === "pretty"
+				? checker.reportErrors(reported)
+				: reported.length === 0;
+
+		if (matcher) {
+			// 이 검사기의 규칙이 보고하는 위반만 수정 여부를 알 수 있음
+			this.printBaselineStatus(matcher, {
+				types: checker.engine.rules.flatMap(({ rule }) => rule.meta.types),
+			});
+		}
+		this.writeReport(reported, { format, output });
+
+		console.log(
+			`${chalk.blue("검사 소요 시간:")} ${(checker.timings.total / 1000).toFixed(2)}초`,
+		);
+		this.printTimings(checker.engine, {
+			"리포트 출력": performance.now() - reportStart,
+		});
+		return result;
+	}
+
+	// --only-changed-lines면 diff hunk 안에 있는 위반만 남김
+	filterChangedLines(errors) {
+		if (!this.onlyChangedLines) return errors;
+		return errors.filter((error) =>
+			this.git.isChangedLine(error.filePath, error.line),
+		);
+	}
+
+	/**
+	 * @description 검사에서 찾은 하드코딩을 t() 호출로 자동 수정합니다.
+	 * dryRun이면 파일을 쓰지 않고 변경 diff만 출력합니다.
+	 */
+	async runFix(patterns = this.config.patterns, { dryRun = false } = {}) {
+		console.log(
+			chalk.cyan.bold(
+				dryRun
+					? "🔧 자동 수정 미리보기 (--dry-run)\n"
+					: "🔧 하드코딩 자동 수정\n",
+			),
+		);
+
+		const violations = await this.collectHardcodingErrors(patterns);
+		const results = new AutoFixer().fixFiles(violations, { write: !dryRun });
+
+		let fixedCount = 0;
+		let changedFiles = 0;
+		const skipped = [];
+
+		for (const result of results) {
+			fixedCount += result.fixed;
+			skipped.push(...result.skipped);
+			if (result.output === result.original) continue;
+
+			changedFiles++;
+			if (dryRun) {
+				console.log(
+					createUnifiedDiff(result.filePath, result.original, result.output)
+						.split("\n")
+						.map((line) => {
+							if (line.startsWith("+")) return chalk.green(line);
+							if (line.startsWith("-")) return chalk.red(line);
+							if (line.startsWith("@@")) return chalk.cyan(line);
+							return line;
+						})
+						.join("\n"),
+				);
+			} else {
+				console.log(
+					chalk.green(`✏️  ${result.filePath} (${result.fixed}개 수정)`),
+				);
+			}
+		}
+
+		if (skipped.length > 0) {
+			console.log(
+				chalk.yellow(`\n⚠️  자동 수정하지 못한 항목 ${skipped.length}개:`),
+			);
+			skipped.forEach(({ violation, reason }) => {
+				const { line, column } = violation.range.start;
+				console.log(
+					chalk.yellow(
+						`  ${violation.filePath}:${line}:${column + 1}  "${violation.value}" (${reason})`,
+					),
+				);
+			});
+		}
+
+		console.log(chalk.gray(`\n${"=".repeat(60)}`));
+		console.log(
+			chalk.cyan.bold(
+				`${dryRun ? "수정 예정" : "수정 완료"}: ${fixedCount}개 (${changedFiles}개 파일)`,
+			),
+		);
+		if (fixedCount > 0) {
+			console.log(
+				chalk.gray("추가된 키를 locale 파일에 등록하고 키 이름을 검토하세요."),
+			);
+		}
+	}
+
+	/**
+	 * @description 검사에서 찾은 하드코딩 문자열과 코드 기본값(t의 defaultValue, <Trans> 자식)이 있는 누락 키를 locale 파일에 추가합니다.
+	 * 기존 키는 덮어쓰지 않으며 값이 다른 같은 키는 충돌로 보고합니다.
+	 */
+	async runExtract(
+		patterns = this.config.patterns,
+		{ language, namespace, dryRun = false } = {},
+	) {
+		const store = new LocaleStore(this.config.locales);
+		const extractor = new LocaleExtractor(store, { language, namespace });
+
+		console.log(
+			chalk.cyan.bold(
+				dryRun
+					? "📦 locale 추출 미리보기 (--dry-run)\n"
+					: "📦 하드코딩 문자열 locale 추출\n",
+			),
+		);
+
+		const violations = await this.collectHardcodingErrors(patterns, {
+			withKeys: true,
+		});
+		const result = extractor.extract(violations, { write: !dryRun });
+		extractor.printSummary(result, { dryRun });
+
+		if (!dryRun && result.added.length > 0) {
+			console.log(
+				chalk.gray(
+					"코드도 함께 바꾸려면 --fix로 같은 키의 t() 호출을 적용하세요.",
+				),
+			);
+		}
+	}
+
+	/**
+	 * @description 코드에서 참조하지 않는 locale 키를 보고합니다.
+	 * prune이면 해당 키를 locale 파일에서 삭제하고(변수로 키를 넘기는 네임스페이스 제외), 아니면 발견 시 실패로 종료합니다.
+	 */
+	async runUnusedKeys(patterns = this.config.patterns, { prune = false } = {}) {
+		console.log(chalk.cyan.bold("🧹 사용되지 않는 번역 키 검사\n"));
+
+		const finder = new UnusedKeyFinder(this.config.locales);
+		const results = finder.find(await finder.collectUsages(patterns));
+
+		if (prune) {
+			const { pruned, skipped } = finder.prune(results);
+			finder.printReport(pruned, { pruned: true, skipped });
+			// 동적 키 때문에 삭제하지 못한 키가 남아 있으면 실패
+			if (skipped.length > 0) {
+				process.exit(1);
+			}
+			return;
+		}
+		finder.printReport(results);
+
+		if (results.length > 0) {
+			process.exit(1);
+		}
+	}
+
+	/**
+	 * @description 기준 언어와 다른 언어의 locale 파일을 비교합니다.
+	 * 누락된 키나 보간 변수/태그 불일치가 있으면 실패, 미번역 추정 값과 여분 키는 경고로만 표시합니다.
+	 * 기준 언어의 locale 파일이 없으면 사용 가능한 언어를 안내하고 실패로 종료합니다.
+	 */
+	runCompareLocales({ reference = this.config.locales.defaultLanguage } = {}) {
+		this.startTime = Date.now();
+		console.log(chalk.cyan.bold("🌐 locale 언어별 비교\n"));
+
+		const comparator = new LocaleComparator(this.config.locales);
+		let results;
+		try {
+			results = comparator.compare(reference);
+		} catch (error) {
+			console.error(chalk.red(`❌ ${error.message}`));
+			process.exit(1);
+		}
+		comparator.printReport(reference, results);
+
+		this.localeCompleteness = results;
+		const passed = results.every(
+			({ missing, mismatched }) => missing.length + mismatched.length === 0,
+		);
+
+		console.log(chalk.gray(`\n${"=".repeat(60)}`));
+		console.log(chalk.cyan.bold("📊 비교 결과 요약"));
+		console.log(chalk.gray("-".repeat(30)));
+		this.printCompleteness();
+		console.log(
+			passed
+				? chalk.green.bold("🎉 모든 언어가 기준 언어의 키를 갖추고 있습니다!")
+				: chalk.red.bold("🚨 누락되었거나 일치하지 않는 번역이 있습니다!"),
+		);
+		console.log(chalk.gray("=".repeat(60)));
+
+		if (!passed) {
+			process.exit(1);
+		}
+	}
+
+	// 언어별 번역 완성도 (기준 언어 키 대비 존재하는 키 비율)
+	printCompleteness() {
+		if (this.localeCompleteness.length === 0) return;
+
+		this.localeCompleteness.forEach(
+			({ language, total, missing, completeness }) => {
+				const color =
+					completeness === 100
+						? chalk.green
+						: completeness >= 90
+							? chalk.yellow
+							: chalk.red;
+				console.log(
+					`${chalk.blue(`번역 완성도 (${language}):`.padEnd(20))} ${color(
+						`${completeness.toFixed(1)}%`,
+					)} ${chalk.gray(`(${total - missing.length}/${total})`)}`,
+				);
+			},
+		);
+		console.log(chalk.gray("-".repeat(30)));
+	}
+
+	writeBaseline(errors) {
+		const baseline = Baseline.fromErrors(errors);
+		baseline.write(this.config.baseline);
+
+		console.log(chalk.gray(`\n${"=".repeat(60)}`));
+		console.log(
+			chalk.green.bold(
+				`📝 베이스라인 저장: ${this.config.baseline} (${baseline.size}개 위반 기록)`,
+			),
+		);
+		console.log(
+			chalk.gray("이후 검사에서는 이 파일에 없는 새 위반만 실패로 처리합니다."),
+		);
+	}
+
+	// 베이스라인으로 가려진 위반 수와 이미 수정된 항목 안내 (types가 있으면 해당 위반 종류만)
+	printBaselineStatus(matcher, { types = null } = {}) {
+		const fixedEntries = matcher
+			.getFixedEntries(this.getScannedFiles())
+			.filter((entry) => !types || types.includes(entry.type));
+
+		console.log(
+			chalk.gray(
+				`\n📎 베이스라인에 기록된 기존 위반 ${matcher.baselinedCount}개는 제외했습니다.`,
+			),
+		);
+
+		if (fixedEntries.length === 0) return;
+
+		const fixedCount = fixedEntries.reduce(
+			(total, entry) => total + entry.count,
+			0,
+		);
+		console.log(chalk.green(`✨ 베이스라인 이후 수정된 위반 ${fixedCount}개:`));
+		fixedEntries.forEach(({ file, type, value, count }) => {
+			const times = count > 1 ? ` ×${count}` : "";
+			console.log(chalk.green(`  ${file}  [${type}] "${value}"${times}`));
+		});
+		console.log(
+			chalk.gray(
+				"--write-baseline으로 베이스라인을 갱신하면 목록에서 사라집니다.",
+			),
+		);
+	}
+
+	getScannedFiles() {
+		return [
+			...new Set([
+				...this.engine.scannedFiles,
+				...this.jsxChecker.scannedFiles,
+				...this.toastChecker.scannedFiles,
+				...this.keyChecker.scannedFiles,
+			]),
+		].sort();
+	}
+
+	/**
+	 * @description 선택한 형식으로 리포트를 렌더링합니다.
+	 * --output이 있으면 파일로 저장하고, 없으면 pretty 외 형식만 stdout에 씁니다
+	 * (pretty는 이미 단계별로 출력됨).
+	 */
+	writeReport(violations, { format = "pretty", output = null } = {}) {
+		if (format === "pretty" && !output) return;
+
+		const content = getFormatter(format)(violations, {
+			scannedFiles: this.getScannedFiles(),
+		});
+
+		if (output) {
+			fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+			fs.writeFileSync(output, stripVTControlCharacters(content));
+			console.log(chalk.gray(`\n📄 ${format} 리포트 저장: ${output}`));
+			return;
+		}
+
+		process.stdout.write(content);
+	}
+
+	getUnusedSuppressions() {
+		return this.filterChangedLines(this.suppressions.getUnused());
+	}
+
+	getUnusedSuppressionViolations() {
+		return this.getUnusedSuppressions().map(({ filePath, ...directive }) =>
+			toViolation(
+				{
+					type: "unused-suppression",
+					line: directive.line,
+					column: directive.column,
+					message: `사용되지 않는 억제 주석 "${directive.directive}"`,
+					value: directive.directive,
+				},
+				filePath,
+			),
+		);
+	}
+
+	// 어떤 검사기에서도 에러를 억제하지 않은 주석 (실패로 처리하지 않음)
+	printUnusedSuppressions() {
+		const unused = this.getUnusedSuppressions();
+		if (unused.length === 0) return;
+
+		console.log(
+			chalk.yellow.bold(`\n⚠️  사용되지 않는 억제 주석 ${unused.length}개`),
+		);
+		unused.forEach(({ filePath, line, column, directive }) => {
+			console.log(
+				chalk.yellow(`  ${filePath}:${line}:${column + 1}  ${directive}`),
+			);
+		});
+		console.log(chalk.gray("해당 주석을 제거하거나 대상 코드를 확인하세요."));
+	}
+
+	// 단계별 소요 시간 (워커를 쓰면 파싱/규칙 검사/억제 주석은 모든 워커의 합계)
+	printTimings(engine, extraPhases = {}) {
+		const { timings, workerCount } = engine;
+		const phases = {
+			"파일 탐색": timings.collect,
+			"파일 읽기": timings.read,
+			파싱: timings.parse,
+			"규칙 검사": timings.rules,
+			"억제 주석": timings.suppressions,
+			캐시: timings.cache,
+			...extraPhases,
+		};
+
+		console.log(
+			chalk.gray(
+				workerCount > 1
+					? `  워커 ${workerCount}개 (파싱/규칙 검사/억제 주석은 워커 합계)`
+					: "  단일 스레드",
+			),
+		);
+		if (engine.cache) {
+			console.log(
+				chalk.gray(
+					`  캐시 사용: ${engine.cacheHits}/${engine.scannedFiles.length}개 파일`,
+				),
+			);
+		}
+		for (const [phase, ms] of Object.entries(phases)) {
+			console.log(chalk.gray(`  · ${phase}: ${(ms / 1000).toFixed(2)}초`));
+		}
+	}
+
+	printSummary(results, extraPhases = {}) {
 		const duration = ((Date.now() - this.startTime) / 1000).toFixed(2);
 
 		console.log(chalk.gray("\n" + "=".repeat(60)));
@@ -142,11 +658,17 @@ class IntegratedHardcodingChecker {
 		const toastStatus = results.toast
 			? chalk.green("✅ 통과")
 			: chalk.red("❌ 실패");
+		const keysStatus = results.keys
+			? chalk.green("✅ 통과")
+			: chalk.red("❌ 실패");
 
 		console.log(`${chalk.blue("JSX 하드코딩 검사:")}      ${jsxStatus}`);
 		console.log(`${chalk.blue("Toast/알림 검사:")}       ${toastStatus}`);
+		console.log(`${chalk.blue("번역 키 누락 검사:")}     ${keysStatus}`);
 		console.log(chalk.gray("-".repeat(30)));
+		this.printCompleteness();
 		console.log(`${chalk.blue("검사 소요 시간:")}        ${duration}초`);
+		this.printTimings(this.engine, extraPhases);
 		console.log(chalk.gray("-".repeat(30)));
 
 		if (results.overall) {
@@ -160,22 +682,33 @@ class IntegratedHardcodingChecker {
 		console.log(chalk.gray("=".repeat(60)));
 	}
 
-	// CLI 명령어 처리
-	static async handleCLI() {
-		const args = process.argv.slice(2);
-
-		// 경로 패턴 파싱 (여러 패턴 지원)
-		let targetPatterns = [];
+	// CLI 인수를 경로 패턴, 플래그 옵션, 값 옵션으로 분리
+	static parseArgs(args) {
+		const patterns = [];
 		const options = [];
+		const values = {};
+		let command = null;
 
-		// 기본값은 인수가 없을 때만 사용
-		if (args.length === 0) {
-			targetPatterns = ["src/**/*.{js,jsx,ts,tsx}"];
+		if (COMMANDS.includes(args[0])) {
+			command = args[0];
+			args = args.slice(1);
 		}
 
-		for (const arg of args) {
+		for (let i = 0; i < args.length; i++) {
+			const arg = args[i];
+
 			if (arg.startsWith("--") || arg.startsWith("-")) {
-				options.push(arg);
+				const [name, inlineValue] = arg.split(/=(.*)/s);
+
+				if (VALUE_OPTIONS.includes(name)) {
+					const value = inlineValue ?? args[++i];
+					if (value === undefined) {
+						throw new Error(`${name} 옵션에는 값이 필요합니다`);
+					}
+					values[name.slice(2)] = value;
+				} else {
+					options.push(arg);
+				}
 			} else {
 				// 모든 비옵션 인수를 패턴으로 추가
 				let pattern = arg;
@@ -185,15 +718,20 @@ class IntegratedHardcodingChecker {
 					pattern = `${pattern}/**/*.{js,jsx,ts,tsx}`;
 				}
 
-				targetPatterns.push(pattern);
+				patterns.push(pattern);
 			}
 		}
 
-		// 디버깅 로그 추가
-		console.log(chalk.gray(`🔍 파싱된 패턴: [${targetPatterns.join(", ")}]`));
-		console.log(chalk.gray(`🔍 옵션: [${options.join(", ")}]`));
+		return { command, patterns, options, values };
+	}
+
+	// CLI 명령어 처리
+	static async handleCLI() {
+		const args = process.argv.slice(2);
 
-		const checker = new IntegratedHardcodingChecker();
+		// 경로 패턴 파싱 (여러 패턴 지원)
+		const { command, patterns, options, values } =
+			IntegratedHardcodingChecker.parseArgs(args);
 
 		if (options.includes("--help") || options.includes("-h")) {
 			console.log(
@@ -202,6 +740,12 @@ class IntegratedHardcodingChecker {
 
 사용법:
   node i18n_script/check-all-hardcoding.mjs [경로패턴...] [옵션]
+  node i18n_script/check-all-hardcoding.mjs extract [경로패턴...] [옵션]
+
+명령:
+  extract           발견한 하드코딩 문자열과 누락 키의 코드 기본값을 locale 파일에 추가 (기존 키는 유지)
+  unused-keys       코드에서 참조하지 않는 locale 키 보고
+  compare-locales   기준 언어와 다른 언어의 키/보간 변수/Trans 태그 비교
 
 인수:
   경로패턴           검사할 경로 패턴 (여러 개 가능)
@@ -211,22 +755,224 @@ class IntegratedHardcodingChecker {
   --help, -h        도움말 표시
   --jsx-only        JSX 검사만 실행
   --toast-only      Toast/알림 검사만 실행
+  --keys-only       누락된 번역 키 검사만 실행 (locale 파일 기준)
+  --config <경로>    설정 파일 지정 (기본: i18n-check.config.{js,mjs,json} 또는 package.json "i18nCheck")
+  --write-baseline  현재 위반을 베이스라인 파일에 기록 (항상 성공)
+  --baseline <경로>  베이스라인 파일 지정 (기본: i18n-baseline.json)
+  --no-baseline     베이스라인을 무시하고 모든 위반 보고
+  --format <형식>    리포트 형식: ${Object.keys(FORMATTERS).join("|")} (기본: pretty)
+  --output <파일>    리포트를 파일로 저장 (없으면 stdout)
+  --fix             하드코딩 문자열을 t('키') 호출로 자동 수정
+  --dry-run         --fix/extract와 함께 사용: 파일을 쓰지 않고 결과만 출력
+  --lng <언어>       extract 대상 언어 (기본: 설정의 locales.defaultLanguage)
+  --ns <네임스페이스>  extract 대상 네임스페이스 (기본: 설정의 locales.defaultNamespace, 코드 기본값은 코드의 네임스페이스)
+  --prune           unused-keys와 함께 사용: 사용되지 않는 키를 locale 파일에서 삭제 (변수로 키를 넘기는 네임스페이스 제외)
+  --ref <언어>       compare-locales 기준 언어 (기본: 설정의 locales.defaultLanguage)
+  --changed         git 작업 트리에서 변경/추가된 파일만 검사 (추적되지 않는 파일 포함)
+  --staged          스테이징된 파일만 인덱스 내용 기준으로 검사 (pre-commit 훅용)
+  --since <ref>     ref와의 merge-base 이후 변경된 파일만 검사 (PR용)
+  --only-changed-lines  위 모드와 함께 사용: 변경된 줄의 위반만 보고 (단독 사용 시 --changed)
+  --concurrency <n> 파일 검사 워커 수 (기본: CPU 수, 1이면 워커 없이 실행)
+  --no-cache        검사 결과 캐시(node_modules/.cache/i18n-check)를 사용하지 않고 모든 파일 검사
+  --watch           파일 변경을 감시하며 바뀐 파일만 다시 검사 (설정/locale 변경 시 전체 검사, 베이스라인 미적용)
   --verbose, -v     상세한 로그 출력
 
 예시:
   node i18n_script/check-all-hardcoding.mjs                                    # src 검사
   node i18n_script/check-all-hardcoding.mjs src !src/test                     # src 검사하되 test 제외
   node i18n_script/check-all-hardcoding.mjs components !components/legacy     # components 검사하되 legacy 제외
+  node i18n_script/check-all-hardcoding.mjs --config ./i18n-check.config.json  # 설정 파일 지정
+  node i18n_script/check-all-hardcoding.mjs --write-baseline                   # 기존 위반 기록 (CI 도입 시)
+  node i18n_script/check-all-hardcoding.mjs --format sarif --output i18n.sarif # GitHub code scanning용
+  node i18n_script/check-all-hardcoding.mjs src/pages --fix --dry-run         # 자동 수정 미리보기
+  node i18n_script/check-all-hardcoding.mjs extract src --lng ko --dry-run    # locale 추출 미리보기
+  node i18n_script/check-all-hardcoding.mjs unused-keys src --prune           # 사용되지 않는 키 삭제
+  node i18n_script/check-all-hardcoding.mjs compare-locales --ref ko          # 언어별 번역 누락 확인
+  node i18n_script/check-all-hardcoding.mjs --staged                          # pre-commit 훅
+  node i18n_script/check-all-hardcoding.mjs --since origin/main --only-changed-lines  # PR 변경 줄만 검사
+  node i18n_script/check-all-hardcoding.mjs src/pages/settings --watch        # 화면 하나를 고치며 실시간 확인
         `),
 			);
 			return;
 		}
 
+		const format = values.format || "pretty";
+		if (!FORMATTERS[format]) {
+			console.error(
+				chalk.red(
+					`❌ 지원하지 않는 출력 형식입니다: ${format} (사용 가능: ${Object.keys(FORMATTERS).join(", ")})`,
+				),
+			);
+			process.exit(1);
+		}
+
+		// 기계 판독 형식을 stdout으로 낼 때는 진행 로그를 stderr로 돌려 출력이 섞이지 않게 함
+		if (format !== "pretty" && !values.output) {
+			console.log = (...logArgs) => console.error(...logArgs);
+		}
+
+		let loaded;
+		try {
+			loaded = await new ConfigLoader().load(values.config);
+		} catch (error) {
+			console.error(chalk.red(`❌ ${error.message}`));
+			process.exit(1);
+		}
+
+		const { config, filepath } = loaded;
+		if (filepath) {
+			console.log(chalk.gray(`⚙️  설정 파일: ${filepath}`));
+		}
+
+		// 경로 인수가 없으면 설정의 기본 패턴 사용
+		let targetPatterns = patterns.length > 0 ? patterns : config.patterns;
+
+		// 디버깅 로그 추가
+		console.log(chalk.gray(`🔍 파싱된 패턴: [${targetPatterns.join(", ")}]`));
+		console.log(chalk.gray(`🔍 옵션: [${options.join(", ")}]`));
+
+		if (values.baseline) {
+			config.baseline = values.baseline;
+		}
+
+		// git 변경 파일 모드 (--only-changed-lines만 주면 --changed로 동작)
+		const onlyChangedLines = options.includes("--only-changed-lines");
+		const gitMode = options.includes("--staged")
+			? "staged"
+			: values.since
+				? "since"
+				: options.includes("--changed") || onlyChangedLines
+					? "changed"
+					: null;
+		const git = gitMode
+			? new GitChanges({ mode: gitMode, since: values.since })
+			: null;
+
+		// unused-keys/compare-locales는 항상 전체 코드와 locale을 기준으로 함
+		if (git && command !== "unused-keys" && command !== "compare-locales") {
+			if (options.includes("--write-baseline")) {
+				console.error(
+					chalk.red(
+						"❌ 변경 파일 모드에서는 --write-baseline을 사용할 수 없습니다 (전체 베이스라인이 덮어써짐)",
+					),
+				);
+				process.exit(1);
+			}
+
+			try {
+				targetPatterns = await git.filterPatterns(targetPatterns);
+			} catch (error) {
+				console.error(chalk.red(`❌ ${error.message}`));
+				process.exit(1);
+			}
+
+			console.log(
+				chalk.gray(
+					`🔀 git 변경 파일 (${gitMode === "since" ? `since ${values.since}` : gitMode}): ${targetPatterns.length}개`,
+				),
+			);
+			if (targetPatterns.length === 0) {
+				console.log(chalk.green("✅ 검사할 변경 파일이 없습니다."));
+				return;
+			}
+		}
+
+		// 파일 검사 워커 수 (기본: CPU 수)
+		const concurrency = values.concurrency
+			? Number(values.concurrency)
+			: os.availableParallelism();
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			console.error(
+				chalk.red(
+					`❌ --concurrency는 1 이상의 정수여야 합니다: ${values.concurrency}`,
+				),
+			);
+			process.exit(1);
+		}
+
+		if (options.includes("--watch")) {
+			const unsupported = [
+				command,
+				options.includes("--fix") && "--fix",
+				options.includes("--write-baseline") && "--write-baseline",
+				gitMode && `--${gitMode}`,
+				format !== "pretty" && "--format",
+			].filter(Boolean);
+			if (unsupported.length > 0) {
+				console.error(
+					chalk.red(
+						`❌ --watch는 ${unsupported.join(", ")}와 함께 사용할 수 없습니다`,
+					),
+				);
+				process.exit(1);
+			}
+
+			const rules = options.includes("--jsx-only")
+				? JSX_RULES
+				: options.includes("--toast-only")
+					? TOAST_RULES
+					: options.includes("--keys-only")
+						? KEY_RULES
+						: RULE_DEFINITIONS;
+			await new CheckWatcher({
+				patterns: targetPatterns,
+				rules,
+				configPath: values.config,
+				concurrency,
+				useCache: !options.includes("--no-cache"),
+			}).start();
+			return;
+		}
+
+		const checker = new IntegratedHardcodingChecker("src", config, {
+			git,
+			onlyChangedLines,
+			concurrency,
+			useCache: !options.includes("--no-cache"),
+		});
+
+		if (command === "extract") {
+			await checker.runExtract(targetPatterns, {
+				language: values.lng,
+				namespace: values.ns,
+				dryRun: options.includes("--dry-run"),
+			});
+			return;
+		}
+
+		if (command === "compare-locales") {
+			checker.runCompareLocales({ reference: values.ref });
+			return;
+		}
+
+		if (command === "unused-keys") {
+			await checker.runUnusedKeys(targetPatterns, {
+				prune: options.includes("--prune"),
+			});
+			return;
+		}
+
+		if (options.includes("--fix")) {
+			await checker.runFix(targetPatterns, {
+				dryRun: options.includes("--dry-run"),
+			});
+			return;
+		}
+
+		const singleCheckOptions = {
+			useBaseline: !options.includes("--no-baseline"),
+			format,
+			output: values.output,
+		};
+
 		if (options.includes("--jsx-only")) {
 			console.log(chalk.blue(`🔍 JSX 하드코딩 검사만 실행\n`));
 			console.log(chalk.gray(`패턴: ${targetPatterns.join(" ")}`));
-			const result =
-				await checker.jsxChecker.checkJSXHardcoding(targetPatterns);
+			const result = await checker.runSingleCheck(
+				checker.jsxChecker,
+				targetPatterns,
+				singleCheckOptions,
+			);
 			process.exit(result ? 0 : 1);
 			return;
 		}
@@ -234,13 +980,34 @@ class IntegratedHardcodingChecker {
 		if (options.includes("--toast-only")) {
 			console.log(chalk.blue(`🔍 Toast/알림 하드코딩 검사만 실행\n`));
 			console.log(chalk.gray(`패턴: ${targetPatterns.join(" ")}`));
-			const result = await checker.toastChecker.checkFiles(targetPatterns);
+			const result = await checker.runSingleCheck(
+				checker.toastChecker,
+				targetPatterns,
+				singleCheckOptions,
+			);
+			process.exit(result ? 0 : 1);
+			return;
+		}
+
+		if (options.includes("--keys-only")) {
+			console.log(chalk.blue(`🔍 누락된 번역 키 검사만 실행\n`));
+			console.log(chalk.gray(`패턴: ${targetPatterns.join(" ")}`));
+			const result = await checker.runSingleCheck(
+				checker.keyChecker,
+				targetPatterns,
+				singleCheckOptions,
+			);
 			process.exit(result ? 0 : 1);
 			return;
 		}
 
 		// 기본: 모든 검사 실행
-		await checker.runAllChecks(targetPatterns);
+		await checker.runAllChecks(targetPatterns, {
+			writeBaseline: options.includes("--write-baseline"),
+			useBaseline: !options.includes("--no-baseline"),
+			format,
+			output: values.output,
+		});
 	}
 }
 
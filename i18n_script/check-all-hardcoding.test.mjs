@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import path from "node:path";
+import { stripVTControlCharacters } from "node:util";
+import Baseline from "./baseline.mjs";
+import IntegratedHardcodingChecker from "./check-all-hardcoding.mjs";
+import ConfigLoader from "./config-loader.mjs";
+import { DEFAULT_CONFIG } from "./default-config.mjs";
+import { TOAST_RULES } from "./rules/index.mjs";
+import {
+	checkCode,
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+} from "./test-helpers.mjs";
+
+const { jest } = import.meta;
+
+describe("IntegratedHardcodingChecker.runSingleCheck", () => {
+	let root;
+	let config;
+	let stdout;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"src/App.tsx": `export const App = () => <div>안녕하세요</div>;\n`,
+			"locales/ko/translation.json": {},
+		});
+		config = ConfigLoader.merge(DEFAULT_CONFIG, {
+			baseline: path.join(root, ".i18n/baseline.json"),
+			locales: localeOptions(root),
+		});
+		stdout = "";
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		jest.spyOn(process.stdout, "write").mockImplementation((chunk) => {
+			stdout += chunk;
+			return true;
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	const runJsxOnly = (options) => {
+		const checker = new IntegratedHardcodingChecker("src", config);
+		return checker.runSingleCheck(
+			checker.jsxChecker,
+			[path.join(root, "src/**/*.tsx")],
+			{ format: "json", ...options },
+		);
+	};
+
+	test("--format json이면 stdout에 JSON 리포트를 씀", async () => {
+		const result = await runJsxOnly();
+
+		expect(result).toBe(false);
+		const report = JSON.parse(stdout);
+		expect(report.summary.errorCount).toBe(1);
+		expect(report.violations).toEqual([
+			expect.objectContaining({ value: "안녕하세요" }),
+		]);
+	});
+
+	test("베이스라인에 있는 위반은 보고하지 않고, --no-baseline이면 다시 보고", async () => {
+		const checker = new IntegratedHardcodingChecker("src", config);
+		const errors = await checker.jsxChecker.collectErrors([
+			path.join(root, "src/**/*.tsx"),
+		]);
+		Baseline.fromErrors(errors).write(config.baseline);
+
+		expect(await runJsxOnly()).toBe(true);
+		expect(JSON.parse(stdout).violations).toEqual([]);
+
+		stdout = "";
+		expect(await runJsxOnly({ useBaseline: false })).toBe(false);
+		expect(JSON.parse(stdout).violations).toHaveLength(1);
+	});
+});
+
+describe("IntegratedHardcodingChecker.runCompareLocales", () => {
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		jest.spyOn(console, "error").mockImplementation(() => {});
+		jest.spyOn(process, "exit").mockImplementation((code) => {
+			throw new Error(`exit ${code}`);
+		});
+		root = createTempProject({
+			"locales/ko/translation.json": { save: "저장" },
+			"locales/en/translation.json": { save: "Save" },
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	test("없는 기준 언어를 지정하면 사용 가능한 언어를 출력하고 실패로 종료", () => {
+		const checker = new IntegratedHardcodingChecker(
+			"src",
+			ConfigLoader.merge(DEFAULT_CONFIG, { locales: localeOptions(root) }),
+		);
+
+		expect(() => checker.runCompareLocales({ reference: "kr" })).toThrow(
+			"exit 1",
+		);
+		expect(console.error).toHaveBeenCalledWith(
+			expect.stringContaining("사용 가능한 언어: en, ko"),
+		);
+	});
+});
+
+describe("CLI 설정과 규칙 기본값", () => {
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		root = createTempProject({
+			"package.json": { name: "fixture" },
+			"src/notify.ts": `notification.open({ message: "Saved successfully" });
+message("Something went wrong");
+`,
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	test("설정 파일이 없을 때 CLI의 toast 검사는 규칙 기본값과 같은 결과", async () => {
+		const { config } = await new ConfigLoader({ cwd: root }).load();
+		const checker = new IntegratedHardcodingChecker("src", config);
+		const code = fs.readFileSync(path.join(root, "src/notify.ts"), "utf8");
+
+		const errors = await checker.toastChecker.collectErrors([
+			path.join(root, "src/**/*.ts"),
+		]);
+
+		expect(errors.map(({ value }) => value)).toEqual(
+			checkCode(TOAST_RULES, code).map(({ value }) => value),
+		);
+		expect(errors).toHaveLength(2);
+	});
+});
+
+describe("IntegratedHardcodingChecker.runAllChecks", () => {
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+		root = createTempProject({
+			"src/App.tsx": `export const App = () => <div>{"→"}</div>;\n`,
+			"locales/ko/translation.json": {},
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	test("시작 헤더의 구분선을 출력", async () => {
+		const checker = new IntegratedHardcodingChecker(
+			"src",
+			ConfigLoader.merge(DEFAULT_CONFIG, { locales: localeOptions(root) }),
+		);
+
+		await checker.runAllChecks([path.join(root, "src/**/*.tsx")], {
+			useBaseline: false,
+			format: "json",
+		});
+
+		const lines = console.log.mock.calls.map(([message]) =>
+			stripVTControlCharacters(String(message)),
+		);
+		expect(lines).toContain("=".repeat(60));
+		expect(lines).not.toContain("NaN");
+	});
+});
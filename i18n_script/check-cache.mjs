@@ -0,0 +1,136 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const TOOL_DIRECTORY = path.dirname(fileURLToPath(import.meta.url));
+
+function hash(value) {
+	return crypto.createHash("sha1").update(value).digest("hex");
+}
+
+// 정규식/함수도 구분되도록 문자열로 바꿔 직렬화
+export function stableStringify(value) {
+	return JSON.stringify(value, (_key, item) =>
+		item instanceof RegExp || typeof item === "function" ? String(item) : item,
+	);
+}
+
+// 삭제된 파일은 null (의존 파일이 사라져도 캐시가 무효화되도록)
+function hashFile(filePath) {
+	try {
+		return hash(fs.readFileSync(filePath));
+	} catch {
+		return null;
+	}
+}
+
+let toolVersion = null;
+
+// 별도 버전 번호가 없으므로 검사 도구 소스 전체의 해시를 버전으로 사용
+function getToolVersion() {
+	if (!toolVersion) {
+		const sources = fs
+			.readdirSync(TOOL_DIRECTORY, { recursive: true })
+			.filter((file) => file.endsWith(".mjs"))
+			.sort()
+			.map(
+				(file) =>
+					`${file}\0${fs.readFileSync(path.join(TOOL_DIRECTORY, file), "utf8")}`,
+			);
+		toolVersion = hash(sources.join("\0"));
+	}
+	return toolVersion;
+}
+
+/**
+ * @description 파일별 검사 결과를 디스크에 저장해 내용이 바뀌지 않은 파일은 파싱을 건너뜁니다.
+ * 규칙 조합마다 캐시 파일 하나를 쓰며, 설정/도구 버전/locale 파일이 바뀌어 키가 달라지면 전체를 버립니다.
+ * 파일 항목은 내용 해시와 의존 파일의 해시가 모두 같을 때만 사용합니다.
+ */
+export default class CheckCache {
+	constructor({
+		directory = path.join(
+			process.cwd(),
+			"node_modules",
+			".cache",
+			"i18n-check",
+		),
+	} = {}) {
+		this.directory = directory;
+		this.filepath = null;
+		this.key = null;
+		this.entries = new Map();
+		this.changed = false;
+	}
+
+	/**
+	 * @param {string[]} ruleIds 캐시 파일 이름 (검사기별로 분리)
+	 * @param {string} configKey 유효 설정과 규칙 의존 파일을 직렬화한 문자열
+	 */
+	load(ruleIds, configKey) {
+		this.filepath = path.join(
+			this.directory,
+			`${hash(ruleIds.join(","))}.json`,
+		);
+		this.key = hash(`${getToolVersion()}\0${configKey}`);
+		this.entries = new Map();
+		this.changed = false;
+
+		try {
+			const data = JSON.parse(fs.readFileSync(this.filepath, "utf8"));
+			if (data.key === this.key) {
+				this.entries = new Map(Object.entries(data.files));
+			}
+		} catch {
+			// 캐시가 없거나 손상되면 빈 캐시로 시작
+		}
+	}
+
+	// 파일 내용과 검사 중 읽은 의존 파일(import한 상수 모듈 등)의 내용이 모두 같아야 재사용
+	get(filePath, code) {
+		const entry = this.entries.get(filePath);
+		if (entry?.hash !== hash(code)) return null;
+
+		const unchanged = Object.entries(entry.dependencies || {}).every(
+			([dependency, dependencyHash]) => hashFile(dependency) === dependencyHash,
+		);
+		return unchanged ? entry.result : null;
+	}
+
+	set(filePath, code, result) {
+		this.entries.set(filePath, {
+			hash: hash(code),
+			dependencies: Object.fromEntries(
+				(result.dependencies || []).map((dependency) => [
+					dependency,
+					hashFile(dependency),
+				]),
+			),
+			result,
+		});
+		this.changed = true;
+	}
+
+	// 삭제된 파일의 항목은 버리고, 다른 프로세스와 겹쳐도 깨지지 않도록 임시 파일 후 이름 변경
+	save() {
+		if (!this.changed) return;
+
+		const files = {};
+		for (const [filePath, entry] of this.entries) {
+			if (fs.existsSync(filePath)) {
+				files[filePath] = entry;
+			}
+		}
+
+		try {
+			fs.mkdirSync(this.directory, { recursive: true });
+			const tempPath = `${this.filepath}.${process.pid}.tmp`;
+			fs.writeFileSync(tempPath, JSON.stringify({ key: this.key, files }));
+			fs.renameSync(tempPath, this.filepath);
+			this.changed = false;
+		} catch {
+			// 캐시 저장 실패는 검사 결과에 영향을 주지 않음
+		}
+	}
+}
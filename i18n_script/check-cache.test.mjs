@@ -0,0 +1,92 @@
+import path from "node:path";
+import CheckCache from "./check-cache.mjs";
+import RuleEngine from "./rule-engine.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+
+const { jest } = import.meta;
+
+describe("CheckCache", () => {
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		root = createTempProject({
+			"src/App.tsx": `import { t } from "i18next";
+import { TITLE } from "./constants";
+export const App = () => <h1 title={TITLE}>{t("home.title")}</h1>;
+`,
+			"src/Other.tsx": `export const Other = () => <p>다른 화면입니다</p>;\n`,
+			"src/constants.ts": `export const TITLE = "ok";\n`,
+			"locales/ko/translation.json": { home: { title: "홈" } },
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	// 실행마다 새 엔진과 캐시 (디스크의 캐시 파일만 공유)
+	const run = async () => {
+		const engine = new RuleEngine({
+			rules: RULE_DEFINITIONS,
+			config: {
+				locales: localeOptions(root, {
+					defaultLanguage: "ko",
+					defaultNamespace: "translation",
+				}),
+			},
+			cache: new CheckCache({ directory: path.join(root, ".cache") }),
+		});
+		const errors = await engine.run([path.join(root, "src/**/*.tsx")]);
+		return { errors, cacheHits: engine.cacheHits };
+	};
+
+	test("내용이 같은 파일은 이전 결과를 재사용하고 바뀐 파일만 다시 검사", async () => {
+		const first = await run();
+		expect(first.cacheHits).toBe(0);
+
+		const second = await run();
+		expect(second.cacheHits).toBe(2);
+		expect(second.errors).toEqual(first.errors);
+
+		writeFiles(root, {
+			"src/Other.tsx": `export const Other = () => <p>바뀐 화면입니다</p>;\n`,
+		});
+		const third = await run();
+		expect(third.cacheHits).toBe(1);
+		const values = third.errors.map(({ value }) => value);
+		expect(values).toContain("바뀐 화면입니다");
+		expect(values).not.toContain("다른 화면입니다");
+	});
+
+	test("규칙이 의존하는 locale 파일이 바뀌면 전체를 다시 검사", async () => {
+		await run();
+		writeFiles(root, { "locales/ko/translation.json": {} });
+
+		const { errors, cacheHits } = await run();
+
+		expect(cacheHits).toBe(0);
+		expect(errors.map(({ ruleId }) => ruleId)).toContain(
+			"no-missing-translation-key",
+		);
+	});
+
+	test("검사 중 읽은 import 대상 파일이 바뀌면 그 파일을 import한 파일만 다시 검사", async () => {
+		await run();
+		writeFiles(root, {
+			"src/constants.ts": `export const TITLE = "홈 화면 제목입니다";\n`,
+		});
+
+		const { errors, cacheHits } = await run();
+
+		expect(cacheHits).toBe(1);
+		expect(errors.map(({ value }) => value)).toContain("홈 화면 제목입니다");
+	});
+});
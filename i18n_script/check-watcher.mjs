@@ -0,0 +1,299 @@
+import fs from "node:fs";
+import path from "node:path";
+import chalk from "chalk";
+import CheckCache from "./check-cache.mjs";
+import ConfigLoader from "./config-loader.mjs";
+import EnhancedErrorReporter from "./enhanced-error-reporter.mjs";
+import RuleEngine, { splitPatterns } from "./rule-engine.mjs";
+
+// 저장 한 번에 여러 이벤트가 오므로 잠시 모아서 처리
+const DEBOUNCE_MS = 100;
+
+const IGNORED_DIRECTORIES = /(^|[\\/])(node_modules|\.git)([\\/]|$)/;
+
+// "src/**/*.{js,ts}" → "src", "locales/{{lng}}/{{ns}}.json" → "locales"
+export function getBaseDirectory(pattern) {
+	const segments = pattern.split("/");
+	const index = segments.findIndex((segment) => /[*?[{]/.test(segment));
+	const base =
+		index === -1 ? path.dirname(pattern) : segments.slice(0, index).join("/");
+	return base || ".";
+}
+
+function toRelative(filePath) {
+	return path.relative(process.cwd(), path.resolve(filePath));
+}
+
+// 같은 줄을 고치거나 줄이 이동해도 남아 있는 위반은 같은 것으로 보도록 위치 대신 규칙/값/메시지로 비교
+function countByFingerprint(violations) {
+	const counts = new Map();
+	for (const violation of violations) {
+		const key = [violation.ruleId, violation.value, violation.message].join(
+			"\0",
+		);
+		counts.set(key, (counts.get(key) || 0) + 1);
+	}
+	return counts;
+}
+
+// 이전/현재 위반 목록에서 사라진 위반과 새로 생긴 위반 수
+function diffViolations(previous, current) {
+	const before = countByFingerprint(previous);
+	const after = countByFingerprint(current);
+	let fixed = 0;
+	let added = 0;
+
+	for (const [key, count] of before) {
+		fixed += Math.max(0, count - (after.get(key) || 0));
+	}
+	for (const [key, count] of after) {
+		added += Math.max(0, count - (before.get(key) || 0));
+	}
+	return { fixed, added };
+}
+
+/**
+ * @description --watch 모드: 첫 검사 후 파일 변경을 감시하며 위반 목록을 유지합니다.
+ * 소스 파일이 바뀌면 그 파일과 그 파일의 값을 가져다 쓰는 파일만 다시 검사하고,
+ * 설정 파일이나 locale 파일이 바뀌면 설정을 다시 읽어 전체를 검사합니다.
+ * 매번 이전 결과와 비교해 수정된 위반과 새 위반 수를 표시합니다.
+ */
+export default class CheckWatcher {
+	constructor({
+		patterns,
+		rules,
+		configPath = null,
+		concurrency = 1,
+		useCache = true,
+	}) {
+		this.patterns = patterns;
+		this.rules = rules;
+		this.configPath = configPath;
+		this.concurrency = concurrency;
+		this.useCache = useCache;
+		this.reporter = new EnhancedErrorReporter();
+
+		this.config = null;
+		// 설정 파일 경로 (package.json의 "i18nCheck"이면 package.json)
+		this.configFile = null;
+		this.localeDirectory = null;
+		this.engine = null;
+		this.instances = null;
+		// 파일 경로 → 현재 위반 목록
+		this.violations = new Map();
+
+		this.watchers = [];
+		this.changedFiles = new Set();
+		this.timer = null;
+		this.queue = Promise.resolve();
+	}
+
+	get totalCount() {
+		let total = 0;
+		for (const violations of this.violations.values()) {
+			total += violations.length;
+		}
+		return total;
+	}
+
+	async start() {
+		await this.loadConfig();
+		const initial = await this.checkAll();
+		console.log(this.reporter.generateReport(initial));
+		this.watch();
+		this.printStatus(`총 ${initial.length}개 위반`);
+	}
+
+	async loadConfig() {
+		const { config, filepath } = await new ConfigLoader().load(this.configPath);
+		this.config = config;
+		this.configFile = filepath ? path.resolve(filepath.split("#")[0]) : null;
+		this.localeDirectory = path.resolve(getBaseDirectory(config.locales.path));
+	}
+
+	// 전체 검사 (캐시와 워커 사용) 후 위반 목록을 새로 구성
+	async checkAll() {
+		this.engine = new RuleEngine({
+			rules: this.rules,
+			config: this.config,
+			concurrency: this.concurrency,
+			cache: this.useCache ? new CheckCache() : null,
+		});
+		const errors = await this.engine.run(this.patterns);
+		// 경고(locale 누락 등)는 run에서 이미 출력됨
+		this.instances = this.engine.createInstances({ warn: () => {} });
+
+		this.violations = new Map();
+		for (const error of errors) {
+			if (!this.violations.has(error.filePath)) {
+				this.violations.set(error.filePath, []);
+			}
+			this.violations.get(error.filePath).push(error);
+		}
+		return errors;
+	}
+
+	// 파일 하나를 메인 스레드에서 다시 검사 (검사 대상이 아니게 됐거나 삭제됐으면 위반 제거)
+	checkFile(filePath, targets) {
+		this.engine.reporter.clearCache(filePath);
+		this.engine.suppressions.clear(filePath);
+
+		if (!targets.has(filePath)) {
+			this.violations.delete(filePath);
+			this.engine.fileDependencies.delete(filePath);
+			return;
+		}
+
+		const result = this.engine.checkSource(
+			filePath,
+			fs.readFileSync(filePath, "utf8"),
+			this.instances,
+		);
+		if (result.parseError) {
+			console.error(
+				chalk.yellow(`⚠️  파싱 에러 in ${filePath}: ${result.parseError}`),
+			);
+		}
+
+		this.engine.fileDependencies.set(filePath, result.dependencies);
+		if (result.errors.length > 0) {
+			this.violations.set(filePath, result.errors);
+		} else {
+			this.violations.delete(filePath);
+		}
+	}
+
+	watch() {
+		this.close();
+
+		const { includePatterns } = splitPatterns(this.patterns);
+		const directories = new Set([
+			...includePatterns.map((pattern) =>
+				path.resolve(getBaseDirectory(pattern)),
+			),
+			this.localeDirectory,
+		]);
+
+		for (const directory of directories) {
+			if (!fs.existsSync(directory)) continue;
+			this.watchers.push(
+				fs.watch(directory, { recursive: true }, (_event, fileName) => {
+					if (fileName) this.schedule(path.join(directory, fileName));
+				}),
+			);
+		}
+		if (this.configFile) {
+			this.watchers.push(
+				fs.watch(this.configFile, () => this.schedule(this.configFile)),
+			);
+		}
+	}
+
+	close() {
+		for (const watcher of this.watchers) {
+			watcher.close();
+		}
+		this.watchers = [];
+	}
+
+	schedule(file) {
+		if (IGNORED_DIRECTORIES.test(toRelative(file))) return;
+
+		this.changedFiles.add(path.resolve(file));
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => {
+			const changed = [...this.changedFiles];
+			this.changedFiles.clear();
+			// 검사 중에 생긴 변경은 이전 검사가 끝난 뒤 처리
+			this.queue = this.queue.then(() =>
+				this.handleChanges(changed).catch((error) => {
+					console.error(chalk.red(`❌ ${error.message}`));
+				}),
+			);
+		}, DEBOUNCE_MS);
+	}
+
+	isFullRecheck(file) {
+		return (
+			file === this.configFile ||
+			(file.endsWith(".json") &&
+				file.startsWith(`${this.localeDirectory}${path.sep}`))
+		);
+	}
+
+	async handleChanges(changed) {
+		const previous = new Map(this.violations);
+
+		if (changed.some((file) => this.isFullRecheck(file))) {
+			console.log(chalk.blue("\n🔁 설정/locale 파일 변경: 전체 다시 검사"));
+			await this.loadConfig();
+			await this.checkAll();
+			this.watch();
+			this.printChanges(previous, [
+				...new Set([...previous.keys(), ...this.violations.keys()]),
+			]);
+			return;
+		}
+
+		// 바뀐 파일의 값(상수 등)을 가져다 쓰는 파일도 결과가 달라질 수 있음
+		const changedPaths = new Set(changed.map(toRelative));
+		const files = new Set(changedPaths);
+		for (const [filePath, dependencies] of this.engine.fileDependencies) {
+			if (dependencies.some((dependency) => changedPaths.has(dependency))) {
+				files.add(filePath);
+			}
+		}
+
+		const targets = new Set(await this.engine.matchFiles(this.patterns));
+		const checked = [...files].filter(
+			(filePath) => targets.has(filePath) || previous.has(filePath),
+		);
+		if (checked.length === 0) return;
+
+		for (const filePath of checked.sort()) {
+			this.checkFile(filePath, targets);
+		}
+		this.printChanges(previous, checked);
+	}
+
+	// 다시 검사한 파일의 현재 위반과, 이전 결과 대비 수정/새 위반 수 출력
+	printChanges(previous, files) {
+		let fixed = 0;
+		let added = 0;
+		const current = [];
+
+		for (const filePath of files.sort()) {
+			const diff = diffViolations(
+				previous.get(filePath) || [],
+				this.violations.get(filePath) || [],
+			);
+			fixed += diff.fixed;
+			added += diff.added;
+			current.push(...(this.violations.get(filePath) || []));
+		}
+
+		if (current.length > 0) {
+			console.log(
+				this.reporter.generateReport(current, {
+					title: `🚨 다시 검사한 파일 ${files.length}개의 위반 ${current.length}개\n`,
+				}),
+			);
+		}
+
+		const changes = [
+			fixed > 0 && chalk.green(`✨ ${fixed}개 수정`),
+			added > 0 && chalk.red(`🆕 ${added}개 새로 발견`),
+		].filter(Boolean);
+		this.printStatus(
+			`총 ${this.totalCount}개 위반${changes.length > 0 ? ` (${changes.join(", ")})` : ""}`,
+			files,
+		);
+	}
+
+	printStatus(summary, files = null) {
+		const time = new Date().toLocaleTimeString();
+		const scope = files ? `${files.length}개 파일 다시 검사 · ` : "";
+		console.log(chalk.cyan.bold(`\n[${time}] ${scope}${summary}`));
+		console.log(chalk.gray("👀 파일 변경을 감시하는 중... (Ctrl+C로 종료)"));
+	}
+}
@@ -0,0 +1,102 @@
+import fs from "node:fs";
+import path from "node:path";
+import { stripVTControlCharacters } from "node:util";
+import CheckWatcher, { getBaseDirectory } from "./check-watcher.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+
+const { jest } = import.meta;
+
+describe("getBaseDirectory", () => {
+	test("glob이나 {{lng}} 자리 앞까지를 감시할 디렉토리로 사용", () => {
+		expect(getBaseDirectory("src/**/*.{js,ts}")).toBe("src");
+		expect(getBaseDirectory("locales/{{lng}}/{{ns}}.json")).toBe("locales");
+		expect(getBaseDirectory("**/*.tsx")).toBe(".");
+		expect(getBaseDirectory("src/App.tsx")).toBe("src");
+	});
+});
+
+describe("CheckWatcher.handleChanges", () => {
+	let root;
+	let watcher;
+	let output;
+	let cwd;
+
+	const file = (name) => path.join(root, name);
+
+	beforeEach(async () => {
+		root = createTempProject({
+			"locales/ko/translation.json": { home: { title: "홈" } },
+			"src/App.tsx": `export const App = () => <div>안녕하세요</div>;\n`,
+			"src/Home.tsx": `import { t } from "i18next";
+export const Home = () => <h1>{t("home.title")}</h1>;
+`,
+		});
+		writeFiles(root, {
+			"i18n-check.config.json": { locales: localeOptions(root) },
+		});
+		// CLI처럼 프로젝트 루트에서 상대 패턴으로 실행
+		cwd = process.cwd();
+		process.chdir(root);
+		output = [];
+		jest.spyOn(console, "log").mockImplementation((message) => {
+			output.push(stripVTControlCharacters(String(message)));
+		});
+
+		watcher = new CheckWatcher({
+			patterns: ["src/**/*.tsx"],
+			rules: RULE_DEFINITIONS,
+			configPath: file("i18n-check.config.json"),
+			useCache: false,
+		});
+		await watcher.loadConfig();
+		await watcher.checkAll();
+	});
+
+	afterEach(() => {
+		watcher.close();
+		jest.restoreAllMocks();
+		process.chdir(cwd);
+		removeTempProject(root);
+	});
+
+	const status = () => output[output.length - 2];
+
+	test("바뀐 파일만 다시 검사하고 이전 결과 대비 수정/새 위반 수를 표시", async () => {
+		expect(watcher.totalCount).toBe(1);
+
+		writeFiles(root, {
+			"src/App.tsx": `export const App = () => <p title="제목">{t("home.title")}</p>;\n`,
+		});
+		await watcher.handleChanges([file("src/App.tsx")]);
+
+		expect(watcher.totalCount).toBe(1);
+		expect(status()).toContain("1개 파일 다시 검사");
+		expect(status()).toContain("1개 수정");
+		expect(status()).toContain("1개 새로 발견");
+	});
+
+	test("locale 파일이 바뀌면 전체를 다시 검사", async () => {
+		writeFiles(root, { "locales/ko/translation.json": { home: {} } });
+		await watcher.handleChanges([file("locales/ko/translation.json")]);
+
+		expect(output).toContainEqual(
+			expect.stringContaining("설정/locale 파일 변경: 전체 다시 검사"),
+		);
+		expect(watcher.totalCount).toBe(2);
+		expect(status()).toContain("1개 새로 발견");
+	});
+
+	test("삭제된 파일의 위반은 목록에서 제거", async () => {
+		fs.rmSync(file("src/App.tsx"));
+		await watcher.handleChanges([file("src/App.tsx")]);
+
+		expect(watcher.totalCount).toBe(0);
+		expect(status()).toContain("1개 수정");
+	});
+});
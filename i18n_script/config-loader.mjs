@@ -0,0 +1,357 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { packageDirectory } from "pkg-dir";
+import { DEFAULT_CONFIG } from "./default-config.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import { isScriptName } from "./rules/natural-language.mjs";
+
+// 탐색 순서대로 나열한 설정 파일 이름
+export const CONFIG_FILE_NAMES = [
+	"i18n-check.config.js",
+	"i18n-check.config.mjs",
+	"i18n-check.config.json",
+];
+
+// package.json 안에서 설정을 읽을 키
+export const PACKAGE_JSON_KEY = "i18nCheck";
+
+const stringArray = { type: "array", items: { type: "string" } };
+
+const elementOptionsSchema = {
+	type: "object",
+	properties: {
+		allowStrings: { type: "boolean" },
+		allowNumbers: { type: "boolean" },
+		checkProps: stringArray,
+	},
+};
+
+// 자연어 판별 옵션 (jsx.text, toast.text)
+const textOptionsSchema = {
+	type: "object",
+	properties: {
+		scripts: { type: "array", items: { type: "script" } },
+		minScore: { type: "number" },
+		classifier: { type: "function" },
+	},
+};
+
+// 설정 파일 스키마 (정의되지 않은 키는 오류로 처리)
+const CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		patterns: stringArray,
+		baseline: { type: "string" },
+		locales: {
+			type: "object",
+			properties: {
+				path: { type: "string" },
+				defaultLanguage: { type: "string" },
+				languages: stringArray,
+				defaultNamespace: { type: "string" },
+				keySeparator: { type: "separator" },
+				nsSeparator: { type: "separator" },
+			},
+		},
+		jsx: {
+			type: "object",
+			properties: {
+				allowStrings: { type: "boolean" },
+				allowNumbers: { type: "boolean" },
+				checkProps: stringArray,
+				dom: { type: "record", values: elementOptionsSchema },
+				modules: {
+					type: "record",
+					values: { type: "record", values: elementOptionsSchema },
+				},
+				text: textOptionsSchema,
+			},
+		},
+		// 규칙별 심각도: "error" | "warning" | "off"
+		rules: {
+			type: "object",
+			properties: Object.fromEntries(
+				RULE_DEFINITIONS.map(({ id }) => [id, { type: "severity" }]),
+			),
+		},
+		toast: {
+			type: "object",
+			properties: {
+				toastFunctions: stringArray,
+				objectProperties: stringArray,
+				dataAttributes: stringArray,
+				sinks: {
+					type: "array",
+					items: {
+						type: "object",
+						required: ["from", "export"],
+						properties: {
+							from: { type: "string" },
+							export: { type: "string" },
+							methods: stringArray,
+							call: { type: "boolean" },
+						},
+					},
+				},
+				objectScope: {
+					type: "array",
+					items: { type: "enum", values: ["jsx-props", "exports", "all"] },
+				},
+				allowPatterns: { type: "array", items: { type: "pattern" } },
+				text: textOptionsSchema,
+			},
+		},
+	},
+};
+
+export class ConfigValidationError extends Error {
+	constructor(filepath, issues) {
+		super(
+			`설정 파일이 올바르지 않습니다: ${filepath}\n${issues
+				.map((issue) => `  - ${issue}`)
+				.join("\n")}`,
+		);
+		this.name = "ConfigValidationError";
+		this.filepath = filepath;
+		this.issues = issues;
+	}
+}
+
+// ESLint가 structuredClone한 규칙 옵션처럼 다른 realm(vm 컨텍스트)에서 만든 객체도 일반 객체로 인정
+function isPlainObject(value) {
+	if (Object.prototype.toString.call(value) !== "[object Object]") {
+		return false;
+	}
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+export default class ConfigLoader {
+	constructor({ cwd = process.cwd() } = {}) {
+		this.cwd = cwd;
+	}
+
+	/**
+	 * @description 설정 파일을 찾아 검증한 뒤 기본 설정 위에 병합합니다.
+	 * 설정 파일이 없으면 기본 설정을 그대로 반환합니다.
+	 */
+	async load(configPath) {
+		const found = configPath
+			? await this.loadFile(path.resolve(this.cwd, configPath))
+			: await this.search();
+
+		if (!found) {
+			return { config: ConfigLoader.merge(DEFAULT_CONFIG, {}), filepath: null };
+		}
+
+		const issues = ConfigLoader.validate(found.config);
+		if (issues.length > 0) {
+			throw new ConfigValidationError(found.filepath, issues);
+		}
+
+		const userConfig = ConfigLoader.normalize(found.config);
+
+		return {
+			config: ConfigLoader.merge(DEFAULT_CONFIG, userConfig),
+			filepath: found.filepath,
+		};
+	}
+
+	// 프로젝트 루트에서 설정 파일 탐색
+	async search() {
+		const rootDir = (await packageDirectory({ cwd: this.cwd })) || this.cwd;
+
+		for (const fileName of CONFIG_FILE_NAMES) {
+			const filepath = path.join(rootDir, fileName);
+			if (fs.existsSync(filepath)) {
+				return this.loadFile(filepath);
+			}
+		}
+
+		const packageJsonPath = path.join(rootDir, "package.json");
+		if (fs.existsSync(packageJsonPath)) {
+			const packageJson = this.readJson(packageJsonPath);
+			if (packageJson[PACKAGE_JSON_KEY] !== undefined) {
+				return {
+					config: packageJson[PACKAGE_JSON_KEY],
+					filepath: `${packageJsonPath}#${PACKAGE_JSON_KEY}`,
+				};
+			}
+		}
+
+		return null;
+	}
+
+	async loadFile(filepath) {
+		if (!fs.existsSync(filepath)) {
+			throw new Error(`설정 파일을 찾을 수 없습니다: ${filepath}`);
+		}
+
+		if (filepath.endsWith(".json")) {
+			return { config: this.readJson(filepath), filepath };
+		}
+
+		try {
+			const module = await import(pathToFileURL(filepath).href);
+			return { config: module.default ?? module, filepath };
+		} catch (error) {
+			throw new Error(
+				`설정 파일을 불러오지 못했습니다: ${filepath}\n  ${error.message}`,
+			);
+		}
+	}
+
+	readJson(filepath) {
+		try {
+			return JSON.parse(fs.readFileSync(filepath, "utf8"));
+		} catch (error) {
+			throw new Error(
+				`JSON 설정을 읽지 못했습니다: ${filepath}\n  ${error.message}`,
+			);
+		}
+	}
+
+	/**
+	 * @description 스키마에 맞지 않는 항목을 "경로: 이유" 형태의 문자열 목록으로 반환합니다.
+	 */
+	static validate(config, schema = CONFIG_SCHEMA, keyPath = "") {
+		const issues = [];
+		const label = keyPath || "(최상위)";
+
+		switch (schema.type) {
+			case "object":
+			case "record": {
+				if (!isPlainObject(config)) {
+					issues.push(`${label}: 객체여야 합니다`);
+					break;
+				}
+				for (const [key, value] of Object.entries(config)) {
+					const childPath = keyPath ? `${keyPath}.${key}` : key;
+					const childSchema =
+						schema.type === "record" ? schema.values : schema.properties[key];
+
+					if (!childSchema) {
+						const known = Object.keys(schema.properties).join(", ");
+						issues.push(
+							`${childPath}: 알 수 없는 설정 키입니다 (사용 가능: ${known})`,
+						);
+						continue;
+					}
+					issues.push(...ConfigLoader.validate(value, childSchema, childPath));
+				}
+				for (const key of schema.required || []) {
+					if (!(key in config)) {
+						issues.push(
+							`${keyPath ? `${keyPath}.${key}` : key}: 필수 항목입니다`,
+						);
+					}
+				}
+				break;
+			}
+			case "array":
+				if (!Array.isArray(config)) {
+					issues.push(`${label}: 배열이어야 합니다`);
+					break;
+				}
+				config.forEach((item, index) => {
+					issues.push(
+						...ConfigLoader.validate(
+							item,
+							schema.items,
+							`${keyPath}[${index}]`,
+						),
+					);
+				});
+				break;
+			case "pattern":
+				if (typeof config !== "string" && !(config instanceof RegExp)) {
+					issues.push(`${label}: 문자열 또는 정규식이어야 합니다`);
+				}
+				break;
+			case "separator":
+				if (typeof config !== "string" && config !== false) {
+					issues.push(`${label}: 문자열 또는 false여야 합니다`);
+				}
+				break;
+			case "severity":
+				if (!["error", "warning", "off"].includes(config)) {
+					issues.push(`${label}: "error", "warning", "off" 중 하나여야 합니다`);
+				}
+				break;
+			case "enum":
+				if (!schema.values.includes(config)) {
+					issues.push(
+						`${label}: ${schema.values.map((value) => `"${value}"`).join(", ")} 중 하나여야 합니다`,
+					);
+				}
+				break;
+			case "script":
+				if (typeof config !== "string" || !isScriptName(config)) {
+					issues.push(
+						`${label}: Unicode 문자 체계 이름이어야 합니다 (예: "Hangul", "Latin")`,
+					);
+				}
+				break;
+			case "function":
+				// JSON 설정에서는 null로 기본 판별을 사용
+				if (typeof config !== "function" && config !== null) {
+					issues.push(
+						`${label}: 함수여야 합니다 (JS 설정 파일에서만 지정 가능)`,
+					);
+				}
+				break;
+			case "string":
+				if (typeof config !== "string") {
+					issues.push(`${label}: 문자열이어야 합니다`);
+				}
+				break;
+			case "boolean":
+				if (typeof config !== "boolean") {
+					issues.push(`${label}: true 또는 false여야 합니다`);
+				}
+				break;
+			case "number":
+				if (typeof config !== "number" || Number.isNaN(config)) {
+					issues.push(`${label}: 숫자여야 합니다`);
+				}
+				break;
+		}
+
+		return issues;
+	}
+
+	// JSON 설정에서 "/패턴/플래그" 형태의 문자열을 정규식으로 변환
+	static normalize(config) {
+		const allowPatterns = config.toast?.allowPatterns;
+		if (!allowPatterns) {
+			return config;
+		}
+
+		return {
+			...config,
+			toast: {
+				...config.toast,
+				allowPatterns: allowPatterns.map((pattern) => {
+					const match =
+						typeof pattern === "string" && pattern.match(/^\/(.+)\/([a-z]*)$/);
+					return match ? new RegExp(match[1], match[2]) : pattern;
+				}),
+			},
+		};
+	}
+
+	// 객체는 재귀적으로 병합하고 배열과 원시값은 덮어씁니다
+	static merge(base, override) {
+		const result = { ...base };
+
+		for (const [key, value] of Object.entries(override)) {
+			result[key] =
+				isPlainObject(value) && isPlainObject(base[key])
+					? ConfigLoader.merge(base[key], value)
+					: value;
+		}
+
+		return result;
+	}
+}
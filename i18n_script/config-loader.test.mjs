@@ -0,0 +1,80 @@
+import ConfigLoader, {
+	ConfigValidationError,
+	PACKAGE_JSON_KEY,
+} from "./config-loader.mjs";
+import { DEFAULT_CONFIG } from "./default-config.mjs";
+import { createTempProject, removeTempProject } from "./test-helpers.mjs";
+
+describe("ConfigLoader", () => {
+	let root;
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	test("설정 파일이 없으면 기본 설정을 반환", async () => {
+		root = createTempProject({ "package.json": { name: "fixture" } });
+
+		const { config, filepath } = await new ConfigLoader({ cwd: root }).load();
+
+		expect(filepath).toBeNull();
+		expect(config).toEqual(DEFAULT_CONFIG);
+	});
+
+	test("i18n-check.config.json을 찾아 기본 설정 위에 병합", async () => {
+		root = createTempProject({
+			"package.json": { name: "fixture" },
+			"i18n-check.config.json": {
+				locales: { defaultLanguage: "en" },
+				toast: { allowPatterns: ["/^OK$/i"] },
+			},
+		});
+
+		const { config, filepath } = await new ConfigLoader({ cwd: root }).load();
+
+		expect(filepath).toBe(`${root}/i18n-check.config.json`);
+		expect(config.locales.defaultLanguage).toBe("en");
+		expect(config.locales.path).toBe(DEFAULT_CONFIG.locales.path);
+		// "/패턴/플래그" 문자열은 정규식으로 변환
+		expect(config.toast.allowPatterns).toEqual([/^OK$/i]);
+	});
+
+	test("package.json의 i18nCheck 키를 읽음", async () => {
+		root = createTempProject({
+			"package.json": {
+				name: "fixture",
+				[PACKAGE_JSON_KEY]: { rules: { "no-hardcoded-toast": "off" } },
+			},
+		});
+
+		const { config, filepath } = await new ConfigLoader({ cwd: root }).load();
+
+		expect(filepath).toBe(`${root}/package.json#${PACKAGE_JSON_KEY}`);
+		expect(config.rules).toEqual({ "no-hardcoded-toast": "off" });
+	});
+
+	test("알 수 없는 키와 잘못된 값은 ConfigValidationError", async () => {
+		root = createTempProject({
+			"package.json": { name: "fixture" },
+			"c.json": { unknown: true, rules: { "no-hardcoded-toast": "fatal" } },
+		});
+
+		const error = await new ConfigLoader({ cwd: root })
+			.load("c.json")
+			.catch((caught) => caught);
+
+		expect(error).toBeInstanceOf(ConfigValidationError);
+		expect(error.issues).toHaveLength(2);
+		expect(error.issues[0]).toMatch(/^unknown: 알 수 없는 설정 키/);
+		expect(error.issues[1]).toMatch(/^rules.no-hardcoded-toast:/);
+	});
+
+	test("merge는 객체를 재귀적으로 병합하고 배열은 덮어씀", () => {
+		expect(
+			ConfigLoader.merge(
+				{ jsx: { checkProps: ["title"], allowNumbers: true } },
+				{ jsx: { checkProps: ["label"] } },
+			),
+		).toEqual({ jsx: { checkProps: ["label"], allowNumbers: true } });
+	});
+});
@@ -0,0 +1,46 @@
+// 통합 하드코딩 검사 기본 설정
+// i18n-check.config.{js,mjs,json} 또는 package.json의 "i18nCheck" 키로 덮어쓸 수 있습니다.
+export const DEFAULT_CONFIG = {
+	// 경로 인수가 없을 때 검사할 패턴
+	patterns: ["src/**/*.{js,jsx,ts,tsx}"],
+
+	// 기존 위반을 기록하는 베이스라인 파일 (--write-baseline으로 생성)
+	baseline: "i18n-baseline.json",
+
+	// react-i18next 리소스 파일 위치 ({{lng}}, {{ns}} 치환)
+	locales: {
+		path: "locales/{{lng}}/{{ns}}.json",
+		defaultLanguage: "ko",
+		// 비어 있으면 path에서 실제 존재하는 언어 디렉토리를 탐색
+		languages: [],
+		defaultNamespace: "translation",
+		keySeparator: ".",
+		nsSeparator: ":",
+	},
+
+	// 규칙별 심각도 덮어쓰기 ("error" | "warning" | "off")
+	rules: {},
+
+	// JSX 규칙 옵션 (비어 있으면 규칙 기본값 사용)
+	// 라이브러리 컴포넌트별 옵션은 import 출처 기준으로 지정
+	// 예: modules: { antd: { "Form.Item": { checkProps: ["label"] }, Modal: { checkProps: ["title"] } } }
+	// 기호, URL, 이메일, CSS 값, 단축키, 식별자 등은 자연어가 아니므로 보고하지 않음 (text 옵션으로 조정)
+	// 예: text: { scripts: ["Hangul"] }로 한글이 있는 문자열만 보고, text: { minScore: 0.8 }로 판별 기준 강화
+	jsx: {},
+
+	// Toast/알림 규칙 옵션 (비어 있으면 규칙 기본값 사용, 기본 목록은 rules/toast-values.mjs의 TOAST_DEFAULT_OPTIONS)
+	// 배열 옵션은 기본값을 덮어쓰므로 toastFunctions 등을 지정할 때는 필요한 항목을 모두 적어야 함
+	// import 출처 기준 알림 함수 (antd, react-toastify, sonner 등은 규칙 기본값 사용)
+	// 예: sinks: [{ from: "@/lib/notify", export: "notify", call: true, methods: ["*"] }]
+	// 함수 호출 밖 객체 리터럴(컬럼/메뉴/폼 스키마) 검사 범위 (기본 ["jsx-props"])
+	// "jsx-props": JSX 속성으로 전달되는 객체, "exports": 모듈에서 export되는 객체, "all": 모든 객체 리터럴
+	// 예: objectScope: ["jsx-props", "exports"]
+	// allowPatterns는 문자열 값 전체와 비교 (기본: "${name}" 자리 표시자와 "true"/"null" 같은 값 이름)
+	// 기호, 숫자, URL, 식별자 등은 자연어 판별(text)에서 제외되므로 패턴이 필요 없음
+	// 예: allowPatterns: ["/^OK$/i"]
+	// 자연어 판별 옵션 (jsx.text와 같은 형식, JS 설정 파일이면 classifier 함수로 판별을 바꿀 수 있음)
+	// 예: text: { scripts: ["Hangul"], classifier: (text) => (text === "OK" ? false : undefined) }
+	toast: {},
+};
+
+export default DEFAULT_CONFIG;
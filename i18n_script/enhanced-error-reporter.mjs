@@ -1,16 +1,21 @@
 import chalk from "chalk";
 import fs from "fs";
+import formatPretty from "./formatters/pretty.mjs";
+import { toViolation } from "./violation.mjs";
 
 export default class EnhancedErrorReporter {
-	constructor() {
+	constructor({
+		readFile = (filePath) => fs.readFileSync(filePath, "utf8"),
+	} = {}) {
 		this.fileCache = new Map(); // 파일 내용 캐시
+		this.readFile = readFile; // --staged면 인덱스에서 읽음
 	}
 
 	// 파일 내용을 캐시하여 성능 향상
 	getFileLines(filePath) {
 		if (!this.fileCache.has(filePath)) {
 			try {
-				const content = fs.readFileSync(filePath, "utf8");
+				const content = this.readFile(filePath);
 				this.fileCache.set(filePath, content.split("\n"));
 			} catch (error) {
 				this.fileCache.set(filePath, []);
@@ -19,6 +24,10 @@ export default class EnhancedErrorReporter {
 		return this.fileCache.get(filePath);
 	}
 
+	clearCache(filePath) {
+		this.fileCache.delete(filePath);
+	}
+
 	// 에러 위치 주변 코드 컨텍스트 생성
 	createCodeContext(filePath, line, column = 0, contextLines = 2) {
 		const lines = this.getFileLines(filePath);
@@ -53,16 +62,18 @@ export default class EnhancedErrorReporter {
 		return context;
 	}
 
-	// 에러 상세 정보 포맷팅
+	// 에러 상세 정보 포맷팅 (공통 위반 구조 + 코드 컨텍스트)
 	formatError(error, filePath) {
 		const context = this.createCodeContext(filePath, error.line, error.column);
 
-		return {
-			...error,
+		return toViolation(
+			{
+				...error,
+				context,
+				codeSnippet: this.generateCodeSnippet(context, error.column),
+			},
 			filePath,
-			context,
-			codeSnippet: this.generateCodeSnippet(context, error.column),
-		};
+		);
 	}
 
 	// 코드 스니펫 생성 (화살표로 정확한 위치 표시)
@@ -89,53 +100,8 @@ export default class EnhancedErrorReporter {
 		return lines.join("\n");
 	}
 
-	// 전체 에러 리포트 생성
-	generateReport(errors) {
-		if (errors.length === 0) {
-			return chalk.green("✅ 하드코딩된 콘텐츠가 발견되지 않았습니다!");
-		}
-
-		const groupedErrors = this.groupErrorsByFile(errors);
-		const report = [];
-
-		report.push(chalk.red.bold(`🚨 총 ${errors.length}개의 하드코딩 발견!\n`));
-
-		Object.entries(groupedErrors).forEach(([filePath, fileErrors]) => {
-			report.push(
-				chalk.yellow.bold(`📁 ${filePath} (${fileErrors.length}개 에러)`),
-			);
-			report.push(chalk.gray("─".repeat(80)));
-
-			fileErrors.forEach((error, index) => {
-				report.push(
-					`\n${chalk.red("Error " + (index + 1) + ":")} ${error.message}`,
-				);
-
-				if (error.suggestion) {
-					report.push(chalk.blue(`💡 제안: ${error.suggestion}`));
-				}
-
-				report.push(error.codeSnippet);
-
-				if (index < fileErrors.length - 1) {
-					report.push(""); // 에러 간 공백
-				}
-			});
-
-			report.push("\n" + chalk.gray("─".repeat(80)) + "\n");
-		});
-
-		return report.join("\n");
-	}
-
-	groupErrorsByFile(errors) {
-		return errors.reduce((groups, error) => {
-			const file = error.filePath;
-			if (!groups[file]) {
-				groups[file] = [];
-			}
-			groups[file].push(error);
-			return groups;
-		}, {});
+	// 전체 에러 리포트 생성 (터미널용 pretty 형식)
+	generateReport(errors, options) {
+		return formatPretty(errors, options);
 	}
 }
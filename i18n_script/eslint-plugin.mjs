@@ -0,0 +1,242 @@
+import path from "node:path";
+import { parse } from "@babel/parser";
+import _traverse from "@babel/traverse";
+import AutoFixer from "./auto-fixer.mjs";
+import { stableStringify } from "./check-cache.mjs";
+import ConfigLoader, {
+	ConfigValidationError,
+	PACKAGE_JSON_KEY,
+} from "./config-loader.mjs";
+import { DEFAULT_IGNORES, resolveRuleOptions } from "./rule-engine.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import SuppressionRegistry from "./suppression-registry.mjs";
+
+const traverse = _traverse.default || _traverse;
+
+const PLUGIN_NAME = "i18n-check";
+
+// 규칙 기본 심각도 → ESLint 심각도
+const ESLINT_SEVERITY = { error: "error", warning: "warn" };
+
+// ESLint 소스 → { ast, suppressions, quote } (같은 파일의 여러 규칙이 Babel 파싱을 공유)
+const parsedFiles = new WeakMap();
+
+// 규칙 id + 옵션 → setup 결과 (locale 파일 등은 ESLint 프로세스에서 한 번만 읽음)
+const ruleStates = new Map();
+
+const autoFixer = new AutoFixer();
+
+function getParsedFile(sourceCode) {
+	if (!parsedFiles.has(sourceCode)) {
+		let ast = null;
+		try {
+			ast = parse(sourceCode.text, {
+				sourceType: "module",
+				plugins: ["jsx", "typescript", "decorators-legacy"],
+			});
+		} catch {
+			// 구문 오류는 ESLint 파서가 보고
+		}
+		parsedFiles.set(sourceCode, {
+			ast,
+			suppressions: new SuppressionRegistry(),
+			quote: null,
+		});
+	}
+	return parsedFiles.get(sourceCode);
+}
+
+/**
+ * @description settings.i18nCheck(설정 파일과 같은 형식)와 규칙 옵션(해당 섹션 형식)을 규칙 기본값 위에 병합합니다.
+ */
+function getRuleOptions(rule, context) {
+	const { optionsKey } = rule.meta;
+	const userConfig = ConfigLoader.merge(
+		context.settings[PACKAGE_JSON_KEY] || {},
+		{ [optionsKey]: context.options[0] || {} },
+	);
+
+	const issues = ConfigLoader.validate(userConfig);
+	if (issues.length > 0) {
+		throw new ConfigValidationError(
+			`ESLint ${PLUGIN_NAME}/${rule.id} 설정`,
+			issues,
+		);
+	}
+
+	return resolveRuleOptions(rule, ConfigLoader.normalize(userConfig));
+}
+
+function getRuleState(rule, options) {
+	if (!rule.setup) return null;
+
+	const key = `${rule.id}\0${stableStringify(options)}`;
+	if (!ruleStates.has(key)) {
+		ruleStates.set(
+			key,
+			rule.setup(options, { warn: (message) => console.warn(message) }),
+		);
+	}
+	return ruleStates.get(key);
+}
+
+function findPaths(ast, nodes) {
+	const paths = new Map();
+	traverse(ast, {
+		enter(nodePath) {
+			if (nodes.has(nodePath.node)) {
+				paths.set(nodePath.node, nodePath);
+			}
+		},
+	});
+	return paths;
+}
+
+/**
+ * @description 규칙 엔진의 규칙 정의를 ESLint 규칙으로 감쌉니다.
+ * 같은 소스를 Babel로 파싱해 규칙의 visitor를 그대로 실행하고, i18n-ignore 억제 주석도 CLI와 같이 적용합니다.
+ * t를 이미 쓸 수 있는 위치는 자동 수정하고, 훅/import 추가가 필요하면 수정 제안으로만 제공합니다.
+ */
+function createESLintRule(rule) {
+	return {
+		meta: {
+			type: "problem",
+			docs: { description: rule.meta.description },
+			...(rule.meta.fixable && { fixable: "code", hasSuggestions: true }),
+			schema: [{ type: "object" }],
+		},
+
+		create(context) {
+			const { sourceCode } = context;
+			const file = getParsedFile(sourceCode);
+			if (!file.ast) return {};
+
+			const options = getRuleOptions(rule, context);
+			const state = getRuleState(rule, options);
+			const filePath = path.relative(context.cwd, context.filename);
+			const code = sourceCode.text;
+
+			const createFix = (report, nodePath) => {
+				if (!rule.meta.fixable || !nodePath || report.origin) return null;
+
+				file.quote ||= autoFixer.detectQuote(file.ast);
+				const result = autoFixer.createViolationEdits(nodePath, report, {
+					ast: file.ast,
+					code,
+					quote: file.quote,
+				});
+				if (result.reason) return null;
+
+				return {
+					local: result.local,
+					fix: (fixer) =>
+						result.edits.map(({ start, end, text }) =>
+							fixer.replaceTextRange([start, end], text),
+						),
+				};
+			};
+
+			return {
+				Program() {
+					const reports = [];
+					const reported = new Set();
+
+					traverse(
+						file.ast,
+						rule.create({
+							filePath,
+							code,
+							ast: file.ast,
+							options,
+							state,
+							addDependency: () => {},
+							report: ({ node, ...errorInfo }) => {
+								const { origin } = errorInfo;
+								const nodeKey = origin
+									? `${node.start}:${node.end}@${origin.filePath}:${origin.line}:${origin.column}`
+									: `${node.start}:${node.end}`;
+								if (reported.has(nodeKey)) return;
+								reported.add(nodeKey);
+
+								reports.push({
+									...errorInfo,
+									node,
+									line: node.loc.start.line,
+									column: node.loc.start.column,
+								});
+							},
+						}),
+					);
+
+					const visible = file.suppressions.filter(
+						filePath,
+						file.ast,
+						code,
+						reports,
+					);
+					if (visible.length === 0) return;
+
+					const paths = rule.meta.fixable
+						? findPaths(file.ast, new Set(visible.map(({ node }) => node)))
+						: new Map();
+					for (const report of visible) {
+						const { start, end } = report.node.loc;
+						const fix = createFix(report, paths.get(report.node));
+
+						context.report({
+							loc: {
+								start: { line: start.line, column: start.column },
+								end: { line: end.line, column: end.column },
+							},
+							message: report.reason
+								? `${report.message} (${report.reason})`
+								: report.message,
+							...(fix?.local && { fix: fix.fix }),
+							...(fix && {
+								suggest: [{ desc: report.suggestion, fix: fix.fix }],
+							}),
+						});
+					}
+				},
+			};
+		},
+	};
+}
+
+/**
+ * @description 하드코딩 검사 규칙을 ESLint 플러그인으로 제공합니다.
+ * 옵션은 설정 파일과 같은 형식의 settings.i18nCheck에 두고, 규칙별로 해당 섹션(jsx, toast, locales)을 덮어쓸 수 있습니다.
+ * @example
+ * // eslint.config.js
+ * import i18nCheck from "./i18n_script/eslint-plugin.mjs";
+ *
+ * export default [
+ *   i18nCheck.configs.recommended,
+ *   {
+ *     settings: { i18nCheck: { toast: { objectScope: ["jsx-props", "exports"] } } },
+ *     rules: { "i18n-check/no-hardcoded-jsx-props": ["warn", { checkProps: ["title"] }] },
+ *   },
+ * ];
+ */
+const plugin = {
+	meta: { name: PLUGIN_NAME },
+	rules: Object.fromEntries(
+		RULE_DEFINITIONS.map((rule) => [rule.id, createESLintRule(rule)]),
+	),
+	configs: {},
+};
+
+plugin.configs.recommended = {
+	name: `${PLUGIN_NAME}/recommended`,
+	files: ["**/*.{js,jsx,ts,tsx}"],
+	ignores: DEFAULT_IGNORES,
+	plugins: { [PLUGIN_NAME]: plugin },
+	rules: Object.fromEntries(
+		RULE_DEFINITIONS.map(({ id, meta }) => [
+			`${PLUGIN_NAME}/${id}`,
+			ESLINT_SEVERITY[meta.defaultSeverity],
+		]),
+	),
+};
+
+export default plugin;
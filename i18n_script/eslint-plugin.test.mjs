@@ -0,0 +1,90 @@
+import tsParser from "@typescript-eslint/parser";
+import { Linter } from "eslint";
+import plugin from "./eslint-plugin.mjs";
+
+const linter = new Linter({ configType: "flat" });
+
+const config = (rules) => [
+	{
+		files: ["**/*.tsx"],
+		plugins: { "i18n-check": plugin },
+		languageOptions: {
+			parser: tsParser,
+			parserOptions: { ecmaFeatures: { jsx: true } },
+		},
+		rules,
+	},
+];
+
+const JSX_TEXT_RULE = { "i18n-check/no-hardcoded-jsx-text": "error" };
+
+describe("ESLint 플러그인", () => {
+	test("recommended 설정은 모든 규칙을 기본 심각도로 켬", () => {
+		const { rules } = plugin.configs.recommended;
+
+		expect(rules["i18n-check/no-hardcoded-jsx-text"]).toBe("error");
+		expect(rules["i18n-check/no-text-concatenation"]).toBe("warn");
+		expect(Object.keys(rules)).toHaveLength(Object.keys(plugin.rules).length);
+	});
+
+	test("CLI와 같은 검사 결과를 보고하고 i18n-ignore 주석을 적용", () => {
+		const messages = linter.verify(
+			`export const App = () => (
+	<div>
+		<p>안녕하세요</p>
+		{/* i18n-ignore */}
+		<p>무시된 문구입니다</p>
+	</div>
+);
+`,
+			config(JSX_TEXT_RULE),
+			"src/App.tsx",
+		);
+
+		expect(
+			messages.map(({ ruleId, line, severity }) => [ruleId, line, severity]),
+		).toEqual([["i18n-check/no-hardcoded-jsx-text", 3, 2]]);
+	});
+
+	test("t를 쓸 수 있는 위치는 자동 수정하고, 훅 추가가 필요하면 수정 제안만 제공", () => {
+		const withHook = `import { useTranslation } from "react-i18next";
+export function App() {
+	const { t } = useTranslation();
+	return <p>안녕하세요</p>;
+}
+`;
+		const { output, fixed } = linter.verifyAndFix(
+			withHook,
+			config(JSX_TEXT_RULE),
+			"src/App.tsx",
+		);
+		expect(fixed).toBe(true);
+		expect(output).toMatch(/<p>\{t\("[^"]+"\)\}<\/p>/);
+
+		const [message] = linter.verify(
+			`export function App() {
+	return <p>안녕하세요</p>;
+}
+`,
+			config(JSX_TEXT_RULE),
+			"src/App.tsx",
+		);
+		expect(message.fix).toBeUndefined();
+		expect(message.suggestions).toHaveLength(1);
+	});
+
+	test("규칙 옵션은 해당 설정 섹션 형식으로 덮어씀", () => {
+		const messages = linter.verify(
+			`export const App = () => <Field label="사용자 이름" />;\n`,
+			config({
+				"i18n-check/no-hardcoded-jsx-props": [
+					"warn",
+					{ checkProps: ["label"] },
+				],
+			}),
+			"src/App.tsx",
+		);
+
+		expect(messages.map(({ severity }) => severity)).toEqual([1]);
+	});
+});
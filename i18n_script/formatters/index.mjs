@@ -0,0 +1,21 @@
+import formatJson from "./json.mjs";
+import formatJunit from "./junit.mjs";
+import formatPretty from "./pretty.mjs";
+import formatSarif from "./sarif.mjs";
+
+export const FORMATTERS = {
+	pretty: formatPretty,
+	json: formatJson,
+	sarif: formatSarif,
+	junit: formatJunit,
+};
+
+export function getFormatter(name) {
+	const formatter = FORMATTERS[name];
+	if (!formatter) {
+		throw new Error(
+			`지원하지 않는 출력 형식입니다: ${name} (사용 가능: ${Object.keys(FORMATTERS).join(", ")})`,
+		);
+	}
+	return formatter;
+}
@@ -0,0 +1,21 @@
+import { serializeViolation } from "../violation.mjs";
+
+// 대시보드/스크립트 연동용 JSON 리포트
+export default function formatJson(violations, { scannedFiles = [] } = {}) {
+	const errorCount = violations.filter((v) => v.severity === "error").length;
+
+	return `${JSON.stringify(
+		{
+			version: 1,
+			summary: {
+				filesScanned: scannedFiles.length,
+				filesWithViolations: new Set(violations.map((v) => v.filePath)).size,
+				errorCount,
+				warningCount: violations.length - errorCount,
+			},
+			violations: violations.map(serializeViolation),
+		},
+		null,
+		2,
+	)}\n`;
+}
@@ -0,0 +1,72 @@
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+}
+
+// 테스트 결과 뷰어용 JUnit XML (파일 = testsuite, 위반 = 실패한 testcase)
+// 위반이 없는 검사 파일은 통과한 testcase 하나로 표시합니다.
+export default function formatJunit(violations, { scannedFiles = [] } = {}) {
+	const byFile = new Map(scannedFiles.map((file) => [file, []]));
+	for (const violation of violations) {
+		if (!byFile.has(violation.filePath)) {
+			byFile.set(violation.filePath, []);
+		}
+		byFile.get(violation.filePath).push(violation);
+	}
+
+	const failures = violations.filter((v) => v.severity === "error").length;
+	const suites = [];
+	let testCount = 0;
+
+	for (const [filePath, fileViolations] of byFile) {
+		const name = escapeXml(filePath);
+		const cases = [];
+
+		if (fileViolations.length === 0) {
+			cases.push(`    <testcase name="i18n" classname="${name}" />`);
+		}
+
+		for (const violation of fileViolations) {
+			const { line, column } = violation.range.start;
+			const tag = violation.severity === "error" ? "failure" : "skipped";
+			const body = [
+				`${violation.message}: "${violation.value}"`,
+				`위치: ${filePath}:${line}:${column + 1}`,
+				violation.reason ? `판단 근거: ${violation.reason}` : null,
+				violation.suggestion ? `제안: ${violation.suggestion}` : null,
+			]
+				.filter(Boolean)
+				.join("\n");
+
+			cases.push(
+				`    <testcase name="${escapeXml(`${violation.ruleId} (${line}:${column + 1})`)}" classname="${name}">`,
+				`      <${tag} message="${escapeXml(violation.message)}" type="${escapeXml(violation.ruleId)}">${escapeXml(body)}</${tag}>`,
+				"    </testcase>",
+			);
+		}
+
+		const caseCount = Math.max(fileViolations.length, 1);
+		const fileFailures = fileViolations.filter(
+			(v) => v.severity === "error",
+		).length;
+		testCount += caseCount;
+
+		suites.push(
+			`  <testsuite name="${name}" tests="${caseCount}" failures="${fileFailures}">`,
+			...cases,
+			"  </testsuite>",
+		);
+	}
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="i18n-hardcoding" tests="${testCount}" failures="${failures}">`,
+		...suites,
+		"</testsuites>",
+		"",
+	].join("\n");
+}
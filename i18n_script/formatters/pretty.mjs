@@ -0,0 +1,63 @@
+import chalk from "chalk";
+
+function groupByFile(violations) {
+	return violations.reduce((groups, violation) => {
+		const file = violation.filePath;
+		if (!groups[file]) {
+			groups[file] = [];
+		}
+		groups[file].push(violation);
+		return groups;
+	}, {});
+}
+
+// 터미널용 컬러 리포트 (코드 스니펫 포함)
+export default function formatPretty(
+	violations,
+	{ title = `🚨 총 ${violations.length}개의 하드코딩 발견!\n` } = {},
+) {
+	if (violations.length === 0) {
+		return chalk.green("✅ 하드코딩된 콘텐츠가 발견되지 않았습니다!");
+	}
+
+	const report = [];
+
+	report.push(chalk.red.bold(title));
+
+	Object.entries(groupByFile(violations)).forEach(
+		([filePath, fileViolations]) => {
+			report.push(
+				chalk.yellow.bold(`📁 ${filePath} (${fileViolations.length}개 에러)`),
+			);
+			report.push(chalk.gray("─".repeat(80)));
+
+			fileViolations.forEach((violation, index) => {
+				const label =
+					violation.severity === "warning"
+						? chalk.yellow(`Warning ${index + 1}:`)
+						: chalk.red(`Error ${index + 1}:`);
+				report.push(`\n${label} ${violation.message}`);
+
+				if (violation.reason) {
+					report.push(chalk.gray(`🔎 판단 근거: ${violation.reason}`));
+				}
+
+				if (violation.suggestion) {
+					report.push(chalk.blue(`💡 제안: ${violation.suggestion}`));
+				}
+
+				if (violation.codeSnippet) {
+					report.push(violation.codeSnippet);
+				}
+
+				if (index < fileViolations.length - 1) {
+					report.push(""); // 에러 간 공백
+				}
+			});
+
+			report.push(`\n${chalk.gray("─".repeat(80))}\n`);
+		},
+	);
+
+	return report.join("\n");
+}
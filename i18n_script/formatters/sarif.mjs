@@ -0,0 +1,85 @@
+import { RULES } from "../violation.mjs";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const TOOL_NAME = "i18n-hardcoding-checker";
+
+const SARIF_LEVELS = {
+	error: "error",
+	warning: "warning",
+	info: "note",
+};
+
+function toUri(filePath) {
+	return filePath.split("\\").join("/").replace(/^\.\//, "");
+}
+
+// GitHub code scanning 업로드용 SARIF 2.1.0 리포트 (SARIF 열은 1-based)
+export default function formatSarif(violations) {
+	const rules = Object.entries(RULES).map(([id, rule]) => ({
+		id,
+		shortDescription: { text: rule.description },
+		defaultConfiguration: { level: SARIF_LEVELS[rule.defaultSeverity] },
+	}));
+
+	const results = violations.map((violation) => {
+		const { start, end } = violation.range;
+		const text = violation.suggestion
+			? `${violation.message}: "${violation.value}" (제안: ${violation.suggestion})`
+			: `${violation.message}: "${violation.value}"`;
+
+		return {
+			ruleId: violation.ruleId,
+			ruleIndex: rules.findIndex((rule) => rule.id === violation.ruleId),
+			level: SARIF_LEVELS[violation.severity] || "error",
+			message: { text },
+			locations: [
+				{
+					physicalLocation: {
+						artifactLocation: { uri: toUri(violation.filePath) },
+						region: {
+							startLine: start.line,
+							startColumn: start.column + 1,
+							endLine: end.line,
+							endColumn: end.column + 1,
+						},
+					},
+				},
+			],
+			...(violation.origin && {
+				relatedLocations: [
+					{
+						id: 0,
+						message: { text: "문자열 정의 위치" },
+						physicalLocation: {
+							artifactLocation: { uri: toUri(violation.origin.filePath) },
+							region: {
+								startLine: violation.origin.line,
+								startColumn: violation.origin.column + 1,
+							},
+						},
+					},
+				],
+			}),
+			properties: {
+				value: violation.value,
+				suggestion: violation.suggestion,
+				reason: violation.reason,
+			},
+		};
+	});
+
+	return `${JSON.stringify(
+		{
+			$schema: SARIF_SCHEMA,
+			version: "2.1.0",
+			runs: [
+				{
+					tool: { driver: { name: TOOL_NAME, rules } },
+					results,
+				},
+			],
+		},
+		null,
+		2,
+	)}\n`;
+}
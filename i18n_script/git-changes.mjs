@@ -0,0 +1,153 @@
+import { execFileSync } from "node:child_process";
+import path from "node:path";
+import { escape as escapeGlob, glob } from "glob";
+
+// @@ -12,3 +14,5 @@ 형식의 hunk 헤더에서 새 파일 쪽 범위
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * @description 로컬 git으로 변경된 파일/줄 목록을 구합니다.
+ * mode는 "changed"(작업 트리 vs HEAD, 추적되지 않는 파일 포함), "staged"(인덱스 vs HEAD),
+ * "since"(ref와의 merge-base vs 작업 트리) 중 하나이며 경로는 현재 디렉토리 기준입니다.
+ */
+export default class GitChanges {
+	constructor({ mode, since = null, cwd = process.cwd() }) {
+		this.mode = mode;
+		this.since = since;
+		this.cwd = cwd;
+		this.diffArgs = null;
+		this.changedLines = null;
+	}
+
+	git(args) {
+		try {
+			// 한글 등 비 ASCII 경로를 이스케이프 없이 받기 위해 quotepath 끔
+			return execFileSync("git", ["-c", "core.quotepath=off", ...args], {
+				cwd: this.cwd,
+				encoding: "utf8",
+				maxBuffer: 256 * 1024 * 1024,
+				stdio: ["ignore", "pipe", "pipe"],
+			});
+		} catch (error) {
+			const detail = error.stderr?.toString().trim() || error.message;
+			throw new Error(`git ${args[0]} 실행 실패: ${detail}`);
+		}
+	}
+
+	// 비교 기준 인수 (git diff에 전달)
+	getDiffArgs() {
+		if (!this.diffArgs) {
+			this.diffArgs =
+				this.mode === "staged"
+					? ["--cached"]
+					: this.mode === "since"
+						? [this.git(["merge-base", this.since, "HEAD"]).trim()]
+						: ["HEAD"];
+		}
+		return this.diffArgs;
+	}
+
+	getUntrackedFiles() {
+		if (this.mode === "staged") return [];
+		return this.git(["ls-files", "--others", "--exclude-standard"])
+			.split("\n")
+			.filter(Boolean);
+	}
+
+	// 삭제된 파일을 제외한 변경 파일 목록
+	getChangedFiles() {
+		const files = this.git([
+			"diff",
+			"--name-only",
+			"--relative",
+			"--diff-filter=ACMR",
+			...this.getDiffArgs(),
+		])
+			.split("\n")
+			.filter(Boolean);
+
+		return [...new Set([...files, ...this.getUntrackedFiles()])].sort();
+	}
+
+	/**
+	 * @description 파일별 변경된 줄 범위 (새 파일 기준 1-based, 양 끝 포함).
+	 * 추적되지 않는 파일은 모든 줄이 변경된 것으로 봅니다.
+	 * @returns {Map<string, { start: number, end: number }[] | "all">}
+	 */
+	getChangedLines() {
+		if (this.changedLines) return this.changedLines;
+
+		const result = new Map();
+		const diff = this.git([
+			"diff",
+			"--unified=0",
+			"--relative",
+			"--no-color",
+			"--no-ext-diff",
+			"--diff-filter=ACMR",
+			...this.getDiffArgs(),
+		]);
+		let current = null;
+
+		for (const line of diff.split("\n")) {
+			if (line.startsWith("+++ ")) {
+				const target = line.slice(4);
+				current = target === "/dev/null" ? null : target.replace(/^b\//, "");
+				if (current && !result.has(current)) result.set(current, []);
+				continue;
+			}
+
+			const match = current && line.match(HUNK_HEADER);
+			if (!match) continue;
+
+			const start = Number(match[1]);
+			const count = match[2] === undefined ? 1 : Number(match[2]);
+			// count가 0이면 삭제만 있는 hunk
+			if (count > 0) {
+				result.get(current).push({ start, end: start + count - 1 });
+			}
+		}
+
+		for (const file of this.getUntrackedFiles()) {
+			result.set(file, "all");
+		}
+
+		this.changedLines = result;
+		return result;
+	}
+
+	// 위반의 시작 줄이 변경된 줄 범위 안에 있는지 확인
+	isChangedLine(filePath, line) {
+		const ranges = this.getChangedLines().get(
+			path.normalize(filePath).split(path.sep).join("/"),
+		);
+		if (!ranges) return false;
+		if (ranges === "all") return true;
+		return ranges.some(({ start, end }) => line >= start && line <= end);
+	}
+
+	/**
+	 * @description 검사 패턴에 해당하는 파일 중 변경된 파일만 남긴 패턴 목록을 반환합니다.
+	 */
+	async filterPatterns(patterns) {
+		const includePatterns = patterns.filter((p) => !p.startsWith("!"));
+		const excludePatterns = patterns
+			.filter((p) => p.startsWith("!"))
+			.map((p) => p.substring(1));
+
+		const matched = new Set(
+			(
+				await glob(includePatterns, { ignore: excludePatterns, posix: true })
+			).map((file) => path.posix.normalize(file)),
+		);
+
+		return this.getChangedFiles()
+			.filter((file) => matched.has(file))
+			.map((file) => escapeGlob(file));
+	}
+
+	// 인덱스(스테이징 영역)에 있는 파일 내용
+	readStagedFile(filePath) {
+		return this.git(["show", `:./${filePath}`]);
+	}
+}
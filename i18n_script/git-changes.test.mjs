@@ -0,0 +1,85 @@
+import { execFileSync } from "node:child_process";
+import GitChanges from "./git-changes.mjs";
+import {
+	createTempProject,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+
+const git = (cwd, ...args) =>
+	execFileSync(
+		"git",
+		["-c", "user.name=test", "-c", "user.email=test@example.com", ...args],
+		{ cwd, stdio: "pipe" },
+	);
+
+describe("GitChanges", () => {
+	let root;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"src/App.tsx": "line 1\nline 2\nline 3\nline 4\n",
+			"src/Old.tsx": "old\n",
+		});
+		git(root, "init", "-q");
+		git(root, "add", "-A");
+		git(root, "commit", "-q", "-m", "init");
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	test("changed 모드는 수정/추적되지 않는 파일과 변경된 줄 범위를 구함", () => {
+		writeFiles(root, {
+			"src/App.tsx": "line 1\nchanged 2\nline 3\nline 4\nadded 5\n",
+			"src/New.tsx": "new\n",
+		});
+		const changes = new GitChanges({ mode: "changed", cwd: root });
+
+		expect(changes.getChangedFiles()).toEqual(["src/App.tsx", "src/New.tsx"]);
+		expect(changes.getChangedLines().get("src/App.tsx")).toEqual([
+			{ start: 2, end: 2 },
+			{ start: 5, end: 5 },
+		]);
+		expect(changes.isChangedLine("src/App.tsx", 2)).toBe(true);
+		expect(changes.isChangedLine("src/App.tsx", 3)).toBe(false);
+		// 추적되지 않는 파일은 모든 줄이 변경된 것으로 봄
+		expect(changes.isChangedLine("src/New.tsx", 100)).toBe(true);
+		expect(changes.isChangedLine("src/Old.tsx", 1)).toBe(false);
+	});
+
+	test("staged 모드는 인덱스의 변경과 파일 내용만 봄", () => {
+		writeFiles(root, { "src/App.tsx": "staged\nline 2\nline 3\nline 4\n" });
+		git(root, "add", "src/App.tsx");
+		writeFiles(root, {
+			"src/App.tsx": "working tree\nline 2\nline 3\nline 4\n",
+			"src/New.tsx": "new\n",
+		});
+		const changes = new GitChanges({ mode: "staged", cwd: root });
+
+		expect(changes.getChangedFiles()).toEqual(["src/App.tsx"]);
+		expect(changes.readStagedFile("src/App.tsx")).toBe(
+			"staged\nline 2\nline 3\nline 4\n",
+		);
+	});
+
+	test("since 모드는 ref와의 merge-base 이후 변경을 비교", () => {
+		git(root, "branch", "base");
+		writeFiles(root, { "src/Old.tsx": "updated\n" });
+		git(root, "commit", "-q", "-am", "update");
+		const changes = new GitChanges({ mode: "since", since: "base", cwd: root });
+
+		expect(changes.getChangedFiles()).toEqual(["src/Old.tsx"]);
+	});
+
+	test("git 실행이 실패하면 명령과 원인을 담은 오류", () => {
+		const changes = new GitChanges({
+			mode: "since",
+			since: "no-such-ref",
+			cwd: root,
+		});
+
+		expect(() => changes.getChangedFiles()).toThrow(/git merge-base 실행 실패/);
+	});
+});
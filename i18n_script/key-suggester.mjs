@@ -0,0 +1,53 @@
+// 검사기/자동 수정/추출이 같은 키를 쓰도록 공유하는 i18n 키 제안 로직
+
+// i18n 키 제안 함수
+export function suggestKey(context, value) {
+	// 값에서 특수문자 제거하고 camelCase로 변환
+	const cleanValue = value
+		.replace(/[^a-zA-Z0-9\s가-힣]/g, "") // 한글도 허용
+		.trim()
+		.split(/\s+/)
+		.map((word, index) => {
+			if (index === 0) {
+				return word.toLowerCase();
+			}
+			// 한글인 경우 그대로, 영어인 경우 첫 글자 대문자
+			if (/[가-힣]/.test(word)) {
+				return word;
+			}
+			return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+		})
+		.join("");
+
+	// 컨텍스트별 접두사 추가
+	const contextPrefix = getContextPrefix(context);
+
+	return `${contextPrefix}.${cleanValue}`;
+}
+
+export function getContextPrefix(context) {
+	const prefixMap = {
+		"message.error": "error",
+		"message.success": "success",
+		"message.warning": "warning",
+		"message.info": "info",
+		"Message.error": "error",
+		"Message.success": "success",
+		"Message.warning": "warning",
+		alert: "alert",
+		confirm: "confirm",
+		title: "title",
+		description: "description",
+		label: "label",
+		placeholder: "placeholder",
+		tooltip: "tooltip",
+		helpText: "help",
+	};
+
+	return prefixMap[context] || "common";
+}
+
+// 값에서 키로 쓸 수 있는 글자가 하나도 없으면 "common." 처럼 끝나므로 사용 불가
+export function isUsableKey(key) {
+	return Boolean(key) && !key.endsWith(".");
+}
@@ -0,0 +1,428 @@
+import _traverse from "@babel/traverse";
+
+const traverse = _traverse.default || _traverse;
+
+// t 함수를 제공하는 i18n 객체 이름 (import i18n from "./i18n" 등)
+const I18N_OBJECT_NAMES = ["i18n", "i18next"];
+
+// locale 값 안의 i18next 중첩 참조: $t(key), $t(key, { "count": 2 })
+const NESTING_PATTERN = /\$t\(([^,)]+)(?:,([^)]*))?\)/g;
+
+// 문자열 상수 노드의 값 (표현식이 섞인 템플릿 등은 null)
+function getStaticString(node) {
+	if (!node) return null;
+	if (node.type === "StringLiteral") return node.value;
+	if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+		return node.quasis[0].value.cooked ?? node.quasis[0].value.raw;
+	}
+	if (node.type === "JSXExpressionContainer") {
+		return getStaticString(node.expression);
+	}
+	return null;
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function getPropertyName(property) {
+	if (property.type !== "ObjectProperty" || property.computed) return null;
+	return property.key.type === "Identifier"
+		? property.key.name
+		: getStaticString(property.key);
+}
+
+// react-i18next 기본값: <br/>, <strong>텍스트</strong>처럼 속성 없는 요소는 인덱스 대신 태그 이름을 유지
+const TRANS_KEEP_BASIC_HTML_NODES = ["br", "strong", "i", "p"];
+
+// JSX 텍스트를 React와 같이 정리 (줄바꿈이 있는 앞뒤 공백 제거, 줄 사이는 공백 하나)
+function cleanJSXText(value) {
+	const lines = value.split(/\r\n|\n|\r/);
+	const lastNonEmptyLine = Math.max(
+		0,
+		lines.findLastIndex((line) => /[^ \t]/.test(line)),
+	);
+	let text = "";
+
+	lines.forEach((line, index) => {
+		let trimmed = line.replace(/\t/g, " ");
+		if (index !== 0) trimmed = trimmed.replace(/^[ ]+/, "");
+		if (index !== lines.length - 1) trimmed = trimmed.replace(/[ ]+$/, "");
+		if (!trimmed) return;
+		text += index === lastNonEmptyLine ? trimmed : `${trimmed} `;
+	});
+	return text;
+}
+
+// JSX 자식 목록 → React.Children 기준 자식 (빈 텍스트와 주석 제외)
+function getRenderedChildren(children) {
+	return children.filter((child) => {
+		if (child.type === "JSXText") return cleanJSXText(child.value) !== "";
+		if (child.type === "JSXExpressionContainer") {
+			return child.expression.type !== "JSXEmptyExpression";
+		}
+		return true;
+	});
+}
+
+/**
+ * @description <Trans> 자식을 react-i18next의 nodesToString과 같은 기본값 문자열로 만듭니다.
+ * Hello <b>{{name}}</b> → "Hello <1>{{name}}</1>". 변수처럼 정적으로 알 수 없는 자식이 있으면 null입니다.
+ */
+export function getTransDefaultValue(children) {
+	let text = "";
+
+	for (const [index, child] of getRenderedChildren(children).entries()) {
+		if (child.type === "JSXText") {
+			text += cleanJSXText(child.value);
+			continue;
+		}
+
+		if (child.type === "JSXExpressionContainer") {
+			const { expression } = child;
+			const value = getStaticString(expression);
+			if (value !== null) {
+				text += value;
+				continue;
+			}
+			// {{ name }}, {{ count, format: "number" }}
+			const properties =
+				expression.type === "ObjectExpression" ? expression.properties : [];
+			const format = properties.find(
+				(property) => getPropertyName(property) === "format",
+			);
+			const names = properties
+				.filter((property) => property !== format)
+				.map(getPropertyName);
+			if (names.length !== 1 || names[0] === null) return null;
+			const formatValue = format && getStaticString(format.value);
+			text += formatValue
+				? `{{${names[0]}, ${formatValue}}}`
+				: `{{${names[0]}}}`;
+			continue;
+		}
+
+		if (child.type !== "JSXElement") return null;
+
+		const { name, attributes } = child.openingElement;
+		const tagName = name.type === "JSXIdentifier" ? name.name : null;
+		const keep =
+			TRANS_KEEP_BASIC_HTML_NODES.includes(tagName) && attributes.length === 0;
+		const elementChildren = getRenderedChildren(child.children);
+
+		if (elementChildren.length === 0) {
+			text += keep ? `<${tagName}/>` : `<${index}></${index}>`;
+			continue;
+		}
+
+		const content = getTransDefaultValue(child.children);
+		if (content === null) return null;
+		// 문자열 자식 하나만 있는 경우만 태그 이름 유지 (<strong>{{name}}</strong>는 인덱스)
+		const [onlyChild, ...rest] = elementChildren;
+		const hasStringChild =
+			rest.length === 0 &&
+			(onlyChild.type === "JSXText" || getStaticString(onlyChild) !== null);
+		text +=
+			keep && hasStringChild
+				? `<${tagName}>${content}</${tagName}>`
+				: `<${index}>${content}</${index}>`;
+	}
+
+	return text;
+}
+
+// t("key", "기본값"), t("key", { defaultValue: "기본값" })
+function getCallDefaultValue(optionsArg) {
+	if (optionsArg?.type === "ObjectExpression") {
+		return getStaticString(findProperty(optionsArg, "defaultValue")?.value);
+	}
+	return getStaticString(optionsArg);
+}
+
+function findProperty(objectNode, name) {
+	if (objectNode?.type !== "ObjectExpression") return null;
+	return (
+		objectNode.properties.find(
+			(property) => getPropertyName(property) === name,
+		) || null
+	);
+}
+
+/**
+ * @description 코드에서 t("key"), i18n.t("key"), <Trans i18nKey="key" /> 사용 위치를 수집합니다.
+ * 네임스페이스는 useTranslation("ns") → 옵션의 ns → "ns:key" 순으로 결정됩니다.
+ * 코드에 적은 기본값(t의 defaultValue, <Trans>의 defaults 속성이나 자식)은 defaultValue로 기록합니다.
+ */
+export default class KeyUsageCollector {
+	constructor(localeOptions) {
+		this.options = localeOptions;
+	}
+
+	/**
+	 * @returns {{ key: string | null, pattern: RegExp | null, namespace: string, node: object, loc: object, hasCount: boolean, hasContext: boolean, context: string | null, ordinal: boolean, defaultValue: string | null }[]}
+	 * key가 null이면 정적으로 알 수 없는 동적 키이며, t(`status.${s}`) 같은 템플릿은 pattern으로 매칭합니다.
+	 * context는 문자열 상수로 넘긴 context 값이며, 변수로 넘기면 hasContext만 true입니다.
+	 */
+	collect(ast) {
+		const usages = [];
+		traverse(
+			ast,
+			this.createVisitor((usage) => usages.push(usage)),
+		);
+		return usages;
+	}
+
+	/**
+	 * @description 규칙 엔진의 합쳐진 순회에서 쓸 수 있도록 파일 하나에 대한 visitor를 만듭니다.
+	 * useTranslation 선언은 항상 t 호출보다 앞에 오므로 한 번의 순회로 네임스페이스를 결정할 수 있습니다.
+	 */
+	createVisitor(onUsage) {
+		// t 바인딩 → { namespace, keyPrefix }
+		const translators = new Map();
+		const hookNames = new Set(["useTranslation"]);
+		const moduleTranslators = new Set();
+		const i18nObjects = new Set(I18N_OBJECT_NAMES);
+
+		return {
+			Program: (path) => {
+				for (const statement of path.node.body) {
+					if (statement.type !== "ImportDeclaration") continue;
+					const source = statement.source.value;
+
+					for (const specifier of statement.specifiers) {
+						const imported =
+							specifier.type === "ImportSpecifier"
+								? specifier.imported.name || specifier.imported.value
+								: null;
+
+						if (source === "react-i18next" && imported === "useTranslation") {
+							hookNames.add(specifier.local.name);
+						}
+						if (source === "i18next" && imported === "t") {
+							moduleTranslators.add(specifier.local.name);
+						}
+						if (
+							source === "i18next" &&
+							specifier.type === "ImportDefaultSpecifier"
+						) {
+							i18nObjects.add(specifier.local.name);
+						}
+					}
+				}
+			},
+
+			// const { t } = useTranslation("ns", { keyPrefix })
+			VariableDeclarator: (path) => {
+				const { id, init } = path.node;
+				if (
+					id.type !== "ObjectPattern" ||
+					init?.type !== "CallExpression" ||
+					init.callee.type !== "Identifier" ||
+					!hookNames.has(init.callee.name)
+				) {
+					return;
+				}
+
+				const [nsArg, optionsArg] = init.arguments;
+				const namespace =
+					getStaticString(
+						nsArg?.type === "ArrayExpression" ? nsArg.elements[0] : nsArg,
+					) || this.options.defaultNamespace;
+				const keyPrefix = getStaticString(
+					findProperty(optionsArg, "keyPrefix")?.value,
+				);
+
+				for (const property of id.properties) {
+					if (
+						getPropertyName(property) === "t" &&
+						property.value.type === "Identifier"
+					) {
+						const binding = path.scope.getBinding(property.value.name);
+						if (binding) translators.set(binding, { namespace, keyPrefix });
+					}
+				}
+			},
+
+			CallExpression: (path) => {
+				const translator = this.getTranslator(
+					path,
+					translators,
+					moduleTranslators,
+					i18nObjects,
+				);
+				if (!translator) return;
+
+				const [keyArg, optionsArg] = path.node.arguments;
+				if (!keyArg) return;
+
+				const contextProperty = findProperty(optionsArg, "context");
+				const ordinalValue = findProperty(optionsArg, "ordinal")?.value;
+				onUsage(
+					this.createUsage(keyArg, translator, {
+						namespace: getStaticString(findProperty(optionsArg, "ns")?.value),
+						hasCount: Boolean(findProperty(optionsArg, "count")),
+						hasContext: Boolean(contextProperty),
+						context: getStaticString(contextProperty?.value),
+						ordinal:
+							ordinalValue?.type === "BooleanLiteral" && ordinalValue.value,
+						defaultValue: getCallDefaultValue(optionsArg),
+					}),
+				);
+			},
+
+			// <Trans i18nKey="key" ns="ns" count={n} context="male" defaults="기본값">기본값</Trans>
+			JSXOpeningElement: (path) => {
+				const attributes = new Map(
+					path.node.attributes
+						.filter((attribute) => attribute.type === "JSXAttribute")
+						.map((attribute) => [attribute.name.name, attribute]),
+				);
+				const keyAttribute = attributes.get("i18nKey");
+				if (!keyAttribute?.value) return;
+
+				// t={t}로 넘긴 경우 해당 useTranslation의 네임스페이스를 따름
+				const tValue = attributes.get("t")?.value?.expression;
+				const translator = (tValue?.type === "Identifier" &&
+					translators.get(path.scope.getBinding(tValue.name))) || {
+					namespace: this.options.defaultNamespace,
+					keyPrefix: null,
+				};
+
+				onUsage(
+					this.createUsage(keyAttribute.value, translator, {
+						namespace: getStaticString(attributes.get("ns")?.value),
+						hasCount: attributes.has("count"),
+						hasContext: attributes.has("context"),
+						context: getStaticString(attributes.get("context")?.value),
+						defaultValue: attributes.has("defaults")
+							? getStaticString(attributes.get("defaults").value)
+							: path.parentPath.isJSXElement() &&
+									path.parent.children.length > 0
+								? getTransDefaultValue(path.parent.children)
+								: null,
+					}),
+				);
+			},
+		};
+	}
+
+	// 호출 대상이 t 함수면 { namespace, keyPrefix }, 아니면 null
+	getTranslator(path, translators, moduleTranslators, i18nObjects) {
+		const { callee } = path.node;
+		const moduleDefault = {
+			namespace: this.options.defaultNamespace,
+			keyPrefix: null,
+		};
+
+		if (callee.type === "Identifier") {
+			const binding = path.scope.getBinding(callee.name);
+			if (translators.has(binding)) return translators.get(binding);
+			if (moduleTranslators.has(callee.name) && binding?.kind === "module") {
+				return moduleDefault;
+			}
+			return null;
+		}
+
+		if (
+			callee.type === "MemberExpression" &&
+			!callee.computed &&
+			callee.property.name === "t" &&
+			callee.object.type === "Identifier" &&
+			i18nObjects.has(callee.object.name)
+		) {
+			return moduleDefault;
+		}
+
+		return null;
+	}
+
+	createUsage(
+		keyNode,
+		translator,
+		{
+			namespace,
+			hasCount,
+			hasContext,
+			context = null,
+			ordinal = false,
+			defaultValue = null,
+		},
+	) {
+		const node =
+			keyNode.type === "JSXExpressionContainer" ? keyNode.expression : keyNode;
+		const usage = {
+			key: null,
+			pattern: null,
+			namespace: namespace || translator.namespace,
+			node,
+			loc: node.loc,
+			hasCount,
+			hasContext,
+			context,
+			ordinal,
+			defaultValue,
+		};
+
+		const key = getStaticString(node);
+		if (key !== null) {
+			usage.key = this.resolveKey(key, translator, usage);
+			return usage;
+		}
+
+		// 템플릿 키는 보간 부분을 와일드카드로 바꾼 패턴으로 기록
+		if (node.type === "TemplateLiteral") {
+			const parts = node.quasis.map(
+				(quasi) => quasi.value.cooked ?? quasi.value.raw,
+			);
+			parts[0] = this.resolveKey(parts[0], translator, usage);
+			usage.pattern = new RegExp(
+				`^${parts.map(escapeRegExp).join(".+")}$`,
+				"s",
+			);
+		}
+
+		return usage;
+	}
+
+	/**
+	 * @description locale 값의 중첩 참조($t(key))를 사용 위치로 수집합니다.
+	 * 네임스페이스가 없는 키는 값이 들어 있는 파일의 네임스페이스를 따릅니다.
+	 */
+	collectNested(value, namespace) {
+		return [...value.matchAll(NESTING_PATTERN)].map(([, key, params = ""]) => {
+			const usage = {
+				key: null,
+				pattern: null,
+				namespace,
+				node: null,
+				loc: null,
+				hasCount: /["']?count["']?\s*:/.test(params),
+				hasContext: /["']?context["']?\s*:/.test(params),
+				context: null,
+				ordinal: false,
+				defaultValue: null,
+			};
+			usage.key = this.resolveKey(
+				key.trim(),
+				{ namespace, keyPrefix: null },
+				usage,
+			);
+			return usage;
+		});
+	}
+
+	// "ns:key" 형식은 네임스페이스를 덮어쓰고, 아니면 keyPrefix를 붙임
+	resolveKey(key, translator, usage) {
+		const { nsSeparator, keySeparator } = this.options;
+
+		if (nsSeparator !== false && key.includes(nsSeparator)) {
+			const index = key.indexOf(nsSeparator);
+			usage.namespace = key.slice(0, index);
+			return key.slice(index + nsSeparator.length);
+		}
+		if (translator.keyPrefix) {
+			return `${translator.keyPrefix}${keySeparator || "."}${key}`;
+		}
+		return key;
+	}
+}
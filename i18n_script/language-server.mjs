@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parse } from "@babel/parser";
+import AutoFixer from "./auto-fixer.mjs";
+import { getBaseDirectory } from "./check-watcher.mjs";
+import ConfigLoader from "./config-loader.mjs";
+import KeyUsageCollector from "./key-usage-collector.mjs";
+import LocaleStore from "./locale-store.mjs";
+import LspConnection from "./lsp-connection.mjs";
+import RuleEngine from "./rule-engine.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+
+const SOURCE = "i18n-check";
+
+// 입력을 멈춘 뒤 검사 (키 입력마다 파싱하지 않도록)
+const VALIDATE_DELAY_MS = 200;
+
+const SUPPORTED_LANGUAGES = [
+	"javascript",
+	"javascriptreact",
+	"typescript",
+	"typescriptreact",
+];
+
+// LSP DiagnosticSeverity / MessageType / TextDocumentSyncKind
+const DIAGNOSTIC_SEVERITY = { error: 1, warning: 2 };
+const MESSAGE_TYPE = { warning: 2, info: 3 };
+const SYNC_FULL = 1;
+
+// 오프셋 ↔ LSP 위치 변환용 줄 시작 오프셋 (Babel과 LSP 모두 UTF-16 단위)
+function getLineStarts(text) {
+	const starts = [0];
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === "\n") starts.push(i + 1);
+	}
+	return starts;
+}
+
+function positionAt(lineStarts, offset) {
+	let line = lineStarts.length - 1;
+	while (line > 0 && lineStarts[line] > offset) line--;
+	return { line, character: offset - lineStarts[line] };
+}
+
+// Babel 위치(1-based 줄) → LSP 위치(0-based 줄)
+function toPosition({ line, column }) {
+	return { line: line - 1, character: column };
+}
+
+function containsPosition(loc, { line, character }) {
+	const start = toPosition(loc.start);
+	const end = toPosition(loc.end);
+	const afterStart =
+		line > start.line || (line === start.line && character >= start.character);
+	const beforeEnd =
+		line < end.line || (line === end.line && character <= end.character);
+	return afterStart && beforeEnd;
+}
+
+/**
+ * @description 에디터용 하드코딩 진단 Language Server (stdio).
+ * - 열린 문서는 저장하지 않은 버퍼 내용으로 검사해 textDocument/publishDiagnostics로 보냅니다.
+ * - 하드코딩 진단에는 t('키')로 감싸는 빠른 수정(code action)을 제공합니다.
+ * - t('key') 위에 마우스를 올리면 기본 언어 locale의 값을 보여줍니다.
+ * 설정 파일이나 locale 파일이 바뀌면 설정을 다시 읽고 열린 문서를 모두 다시 검사합니다.
+ * @example
+ * node i18n_script/language-server.mjs --stdio
+ */
+export default class LanguageServer {
+	constructor(connection) {
+		this.connection = connection;
+		this.autoFixer = new AutoFixer();
+		// uri → { uri, filePath, languageId, version, text }
+		this.documents = new Map();
+		this.timers = new Map();
+		this.watchers = [];
+		this.rootPath = process.cwd();
+		this.configPath = null;
+		this.config = null;
+		this.configFile = null;
+		this.engine = null;
+		this.instances = null;
+		this.targets = new Set();
+		this.shutdownRequested = false;
+
+		connection.onRequest("initialize", (params) => this.initialize(params));
+		connection.onRequest("shutdown", () => {
+			this.shutdownRequested = true;
+			this.closeWatchers();
+		});
+		connection.onNotification("exit", () =>
+			process.exit(this.shutdownRequested ? 0 : 1),
+		);
+		connection.onNotification("textDocument/didOpen", ({ textDocument }) =>
+			this.openDocument(textDocument),
+		);
+		connection.onNotification(
+			"textDocument/didChange",
+			({ textDocument, contentChanges }) =>
+				this.changeDocument(textDocument, contentChanges),
+		);
+		connection.onNotification("textDocument/didClose", ({ textDocument }) =>
+			this.closeDocument(textDocument.uri),
+		);
+		connection.onRequest("textDocument/codeAction", (params) =>
+			this.getCodeActions(params),
+		);
+		connection.onRequest("textDocument/hover", (params) =>
+			this.getHover(params),
+		);
+	}
+
+	async initialize({ rootUri, rootPath, initializationOptions }) {
+		const root = rootUri ? fileURLToPath(rootUri) : rootPath;
+		if (root) {
+			// locale 경로와 값 출처 경로가 CLI와 같도록 프로젝트 루트 기준으로 실행
+			this.rootPath = root;
+			process.chdir(root);
+		}
+		// 클라이언트가 initializationOptions.config로 설정 파일 경로를 지정할 수 있음
+		this.configPath = initializationOptions?.config ?? null;
+		await this.loadConfig();
+
+		return {
+			capabilities: {
+				textDocumentSync: { openClose: true, change: SYNC_FULL },
+				codeActionProvider: { codeActionKinds: ["quickfix"] },
+				hoverProvider: true,
+			},
+			serverInfo: { name: SOURCE },
+		};
+	}
+
+	async loadConfig() {
+		const { config, filepath } = await new ConfigLoader({
+			cwd: this.rootPath,
+		}).load(this.configPath);
+		this.config = config;
+		this.configFile = filepath ? path.resolve(filepath.split("#")[0]) : null;
+
+		// 리포터의 코드 스니펫도 저장하지 않은 버퍼 기준
+		this.engine = new RuleEngine({
+			rules: RULE_DEFINITIONS,
+			config,
+			readFile: (filePath) =>
+				this.findDocument(filePath)?.text ?? fs.readFileSync(filePath, "utf8"),
+		});
+		this.instances = this.engine.createInstances({
+			warn: (message) => this.log(message, MESSAGE_TYPE.warning),
+		});
+		this.localeStore = new LocaleStore(config.locales);
+		this.keyCollector = new KeyUsageCollector(config.locales);
+		this.targets = new Set(await this.engine.matchFiles(config.patterns));
+		this.watchConfigFiles();
+	}
+
+	// 설정/locale 파일이 바뀌면 설정을 다시 읽고 열린 문서 전체를 다시 검사
+	watchConfigFiles() {
+		this.closeWatchers();
+
+		let timer = null;
+		const reload = () => {
+			clearTimeout(timer);
+			timer = setTimeout(async () => {
+				try {
+					await this.loadConfig();
+					for (const uri of this.documents.keys()) {
+						this.validate(uri);
+					}
+				} catch (error) {
+					this.log(error.message, MESSAGE_TYPE.warning);
+				}
+			}, VALIDATE_DELAY_MS);
+		};
+
+		const localeDirectory = path.resolve(
+			getBaseDirectory(this.config.locales.path),
+		);
+		if (fs.existsSync(localeDirectory)) {
+			this.watchers.push(
+				fs.watch(localeDirectory, { recursive: true }, reload),
+			);
+		}
+		if (this.configFile) {
+			this.watchers.push(fs.watch(this.configFile, reload));
+		}
+	}
+
+	closeWatchers() {
+		for (const watcher of this.watchers) {
+			watcher.close();
+		}
+		this.watchers = [];
+	}
+
+	log(message, type = MESSAGE_TYPE.info) {
+		this.connection.sendNotification("window/logMessage", { type, message });
+	}
+
+	findDocument(filePath) {
+		for (const document of this.documents.values()) {
+			if (document.filePath === filePath) return document;
+		}
+		return null;
+	}
+
+	async openDocument({ uri, languageId, version, text }) {
+		if (!uri.startsWith("file:")) return;
+
+		const filePath = path.relative(this.rootPath, fileURLToPath(uri));
+		this.documents.set(uri, { uri, filePath, languageId, version, text });
+		// 새로 만든 파일도 검사 대상 패턴에 포함되는지 다시 확인
+		if (!this.targets.has(filePath)) {
+			this.targets = new Set(
+				await this.engine.matchFiles(this.config.patterns),
+			);
+		}
+		this.validate(uri);
+	}
+
+	changeDocument({ uri, version }, contentChanges) {
+		const document = this.documents.get(uri);
+		if (!document || contentChanges.length === 0) return;
+
+		// 전체 동기화이므로 마지막 변경이 문서 전체 내용
+		document.text = contentChanges[contentChanges.length - 1].text;
+		document.version = version;
+		this.scheduleValidation(uri);
+	}
+
+	closeDocument(uri) {
+		clearTimeout(this.timers.get(uri));
+		this.timers.delete(uri);
+		this.documents.delete(uri);
+		this.connection.sendNotification("textDocument/publishDiagnostics", {
+			uri,
+			diagnostics: [],
+		});
+	}
+
+	scheduleValidation(uri) {
+		clearTimeout(this.timers.get(uri));
+		this.timers.set(
+			uri,
+			setTimeout(() => {
+				this.timers.delete(uri);
+				this.validate(uri);
+			}, VALIDATE_DELAY_MS),
+		);
+	}
+
+	validate(uri) {
+		const document = this.documents.get(uri);
+		if (!document) return;
+
+		const diagnostics =
+			SUPPORTED_LANGUAGES.includes(document.languageId) &&
+			this.targets.has(document.filePath)
+				? this.checkDocument(document)
+				: [];
+		this.connection.sendNotification("textDocument/publishDiagnostics", {
+			uri,
+			version: document.version,
+			diagnostics,
+		});
+	}
+
+	checkDocument({ filePath, text }) {
+		this.engine.reporter.clearCache(filePath);
+		this.engine.suppressions.clear(filePath);
+
+		// 작성 중인 코드의 구문 오류는 TypeScript 서버가 보고하므로 진단 없음
+		const { errors } = this.engine.checkSource(filePath, text, this.instances, {
+			timings: { parse: 0, rules: 0, suppressions: 0 },
+		});
+
+		return errors.map((violation) => ({
+			range: {
+				start: toPosition(violation.range.start),
+				end: toPosition(violation.range.end),
+			},
+			severity: DIAGNOSTIC_SEVERITY[violation.severity],
+			source: SOURCE,
+			code: violation.ruleId,
+			message: [
+				violation.message,
+				violation.reason && `🔎 ${violation.reason}`,
+				violation.suggestion && `💡 ${violation.suggestion}`,
+			]
+				.filter(Boolean)
+				.join("\n"),
+			data: {
+				ruleId: violation.ruleId,
+				range: violation.range,
+				key: violation.key ?? null,
+				suggestion: violation.suggestion,
+				origin: violation.origin ?? null,
+			},
+		}));
+	}
+
+	// 하드코딩 진단의 suggestion을 적용하는 빠른 수정 (t가 없으면 훅/import도 추가)
+	getCodeActions({ textDocument, context }) {
+		const document = this.documents.get(textDocument.uri);
+		if (!document) return [];
+
+		const fixableRules = new Set(
+			RULE_DEFINITIONS.filter(({ meta }) => meta.fixable).map(({ id }) => id),
+		);
+		const lineStarts = getLineStarts(document.text);
+		const actions = [];
+
+		for (const diagnostic of context.diagnostics) {
+			const { data } = diagnostic;
+			// 변수/상수로 전달된 값은 정의 위치에서 고쳐야 함
+			if (
+				diagnostic.source !== SOURCE ||
+				!fixableRules.has(data?.ruleId) ||
+				data.origin
+			) {
+				continue;
+			}
+
+			let result;
+			try {
+				result = this.autoFixer.createQuickFix(document.text, data);
+			} catch {
+				continue; // 작성 중이라 파싱할 수 없는 코드
+			}
+			if (result.reason) continue;
+
+			actions.push({
+				title: data.suggestion,
+				kind: "quickfix",
+				diagnostics: [diagnostic],
+				isPreferred: result.local,
+				edit: {
+					changes: {
+						[document.uri]: result.edits.map(({ start, end, text }) => ({
+							range: {
+								start: positionAt(lineStarts, start),
+								end: positionAt(lineStarts, end),
+							},
+							newText: text,
+						})),
+					},
+				},
+			});
+		}
+
+		return actions;
+	}
+
+	// t('key') 위치면 기본 언어 locale의 값 표시
+	getHover({ textDocument, position }) {
+		const document = this.documents.get(textDocument.uri);
+		if (!document) return null;
+
+		let ast;
+		try {
+			ast = parse(document.text, {
+				sourceType: "module",
+				plugins: ["jsx", "typescript", "decorators-legacy"],
+			});
+		} catch {
+			return null;
+		}
+
+		const usage = this.keyCollector
+			.collect(ast)
+			.find(
+				({ key, node }) =>
+					key !== null && node.loc && containsPosition(node.loc, position),
+			);
+		if (!usage) return null;
+
+		const { key, namespace, node } = usage;
+		const language = this.config.locales.defaultLanguage;
+		// 저장된 locale 파일을 다시 읽음 (다른 에디터에서 수정했을 수 있음)
+		this.localeStore = new LocaleStore(this.config.locales);
+		const value = this.localeStore.getValue(language, namespace, key);
+
+		const lines = [`**${language}** · \`${namespace}:${key}\``, ""];
+		if (value === undefined) {
+			// count/context 옵션이면 key_one, key_male 같은 접미사 키
+			const suffixed = [
+				...this.localeStore.getKeys(language, namespace).entries(),
+			].filter(([candidate]) => candidate.startsWith(`${key}_`));
+			if (suffixed.length > 0) {
+				lines.push(
+					...suffixed.map(([candidate, text]) => `- \`${candidate}\`: ${text}`),
+				);
+			} else {
+				const localeFile = path.relative(
+					this.rootPath,
+					this.localeStore.getFilePath(language, namespace),
+				);
+				lines.push(`⚠️ ${localeFile}에 없는 키입니다`);
+			}
+		} else if (typeof value === "string") {
+			lines.push(value);
+		} else {
+			lines.push("```json", JSON.stringify(value, null, 2), "```");
+		}
+
+		return {
+			contents: { kind: "markdown", value: lines.join("\n") },
+			range: {
+				start: toPosition(node.loc.start),
+				end: toPosition(node.loc.end),
+			},
+		};
+	}
+}
+
+// stdio로 실행 (stdout은 LSP 메시지 전용이므로 로그는 stderr로)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+	console.log = (...logArgs) => console.error(...logArgs);
+	const connection = new LspConnection();
+	new LanguageServer(connection);
+	connection.listen();
+}
@@ -0,0 +1,117 @@
+import { pathToFileURL } from "node:url";
+import LanguageServer from "./language-server.mjs";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+
+// 핸들러 등록과 보낸 알림만 기록하는 연결
+function createConnection() {
+	return {
+		requests: new Map(),
+		notifications: [],
+		onRequest(method, handler) {
+			this.requests.set(method, handler);
+		},
+		onNotification() {},
+		sendNotification(method, params) {
+			this.notifications.push({ method, params });
+		},
+	};
+}
+
+describe("LanguageServer", () => {
+	let root;
+	let cwd;
+	let connection;
+	let server;
+	let uri;
+
+	beforeEach(async () => {
+		root = createTempProject({
+			"locales/ko/translation.json": { home: { title: "홈" } },
+			"src/App.tsx": "export const App = () => null;\n",
+		});
+		writeFiles(root, {
+			"i18n-check.config.json": { locales: localeOptions(root) },
+		});
+		uri = pathToFileURL(`${root}/src/App.tsx`).href;
+
+		cwd = process.cwd();
+		connection = createConnection();
+		server = new LanguageServer(connection);
+		await server.initialize({ rootUri: pathToFileURL(root).href });
+	});
+
+	afterEach(() => {
+		server.closeWatchers();
+		process.chdir(cwd);
+		removeTempProject(root);
+	});
+
+	const open = (text) =>
+		server.openDocument({
+			uri,
+			languageId: "typescriptreact",
+			version: 1,
+			text,
+		});
+
+	const lastDiagnostics = () =>
+		connection.notifications
+			.filter(({ method }) => method === "textDocument/publishDiagnostics")
+			.at(-1).params.diagnostics;
+
+	test("저장하지 않은 버퍼 내용으로 진단을 보냄", async () => {
+		await open("export const App = () => <div>안녕하세요</div>;\n");
+
+		const [diagnostic] = lastDiagnostics();
+		expect(lastDiagnostics()).toHaveLength(1);
+		expect(diagnostic).toMatchObject({
+			range: {
+				start: { line: 0, character: 30 },
+				end: { line: 0, character: 35 },
+			},
+			source: "i18n-check",
+			code: "no-hardcoded-jsx-text",
+		});
+	});
+
+	test("하드코딩 진단에 suggestion을 적용하는 빠른 수정을 제공", async () => {
+		await open("export const App = () => <div>안녕하세요</div>;\n");
+
+		const [action] = server.getCodeActions({
+			textDocument: { uri },
+			context: { diagnostics: lastDiagnostics() },
+		});
+		const edits = action.edit.changes[uri];
+
+		expect(action.kind).toBe("quickfix");
+		expect(edits.map(({ newText }) => newText).join("")).toContain(
+			"useTranslation",
+		);
+		expect(edits).toContainEqual(
+			expect.objectContaining({ newText: expect.stringMatching(/^\{t\("/) }),
+		);
+	});
+
+	test("t('key') 위에서 기본 언어 locale 값을 보여주고, 없는 키는 경고", async () => {
+		const text = `import { t } from "i18next";
+export const App = () => <h1>{t("home.title")} {t("home.missing")}</h1>;
+`;
+		await open(text);
+
+		const hover = (key) =>
+			server.getHover({
+				textDocument: { uri },
+				position: { line: 1, character: text.split("\n")[1].indexOf(key) },
+			});
+
+		expect(hover("home.title").contents.value).toBe(
+			"**ko** · `translation:home.title`\n\n홈",
+		);
+		expect(hover("home.missing").contents.value).toContain("에 없는 키입니다");
+	});
+});
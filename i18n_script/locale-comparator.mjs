@@ -0,0 +1,259 @@
+import path from "node:path";
+import chalk from "chalk";
+import LocaleStore from "./locale-store.mjs";
+import {
+	formatPluralKey,
+	getPluralCategories,
+	parsePluralKey,
+} from "./plural-rules.mjs";
+
+// {{name}}, {{count, number}} 형식의 보간 변수 이름
+function getVariables(value) {
+	return [...value.matchAll(/\{\{\s*([^,}\s]+)[^}]*\}\}/g)]
+		.map((match) => match[1])
+		.sort();
+}
+
+// <0>, </0>, <1/>, <br/> 같은 Trans 컴포넌트 태그
+function getTags(value) {
+	return [...value.matchAll(/<\s*(\/?)\s*([\w-]+)\s*(\/?)\s*>/g)].map(
+		([, close, name, selfClose]) => `<${close}${name}${selfClose}>`,
+	);
+}
+
+function isSameList(a, b) {
+	return a.length === b.length && a.every((item, index) => item === b[index]);
+}
+
+/**
+ * @description 기준 언어와 다른 언어의 locale 파일을 비교합니다.
+ * 누락/여분 키, 기준과 같은 값(미번역 추정), 보간 변수와 Trans 태그 불일치를 찾고 완성도를 계산합니다.
+ */
+export default class LocaleComparator {
+	constructor(localeOptions, { store = new LocaleStore(localeOptions) } = {}) {
+		this.store = store;
+	}
+
+	/**
+	 * @returns {{ language: string, missing: object[], extra: object[], identical: object[], mismatched: object[], total: number, completeness: number }[]}
+	 */
+	compare(reference) {
+		// 기준 언어가 없으면 모든 언어가 0/0(100%)으로 보이므로 오류
+		if (!this.store.hasLanguage(reference)) {
+			const languages = this.store.listLanguages();
+			throw new Error(
+				`기준 언어(${reference})의 locale 파일이 없습니다: ${this.store.getFilePath(reference, "*")}\n  사용 가능한 언어: ${languages.length > 0 ? languages.join(", ") : "없음"}`,
+			);
+		}
+
+		return this.store
+			.listLanguages()
+			.filter((language) => language !== reference)
+			.map((language) => this.compareLanguage(reference, language));
+	}
+
+	compareLanguage(reference, language) {
+		const result = {
+			language,
+			missing: [],
+			extra: [],
+			identical: [],
+			mismatched: [],
+			total: 0,
+			completeness: 100,
+		};
+		const namespaces = new Set([
+			...this.store.listNamespaces(reference),
+			...this.store.listNamespaces(language),
+		]);
+
+		for (const namespace of [...namespaces].sort()) {
+			const required = this.getRequiredKeys(reference, language, namespace);
+			const targetKeys = this.store.getKeys(language, namespace);
+			const entry = (key) => ({
+				namespace,
+				key,
+				filepath: this.store.getFilePath(language, namespace),
+			});
+
+			result.total += required.size;
+
+			for (const [key, { value: referenceValue, plural }] of required) {
+				if (!targetKeys.has(key)) {
+					result.missing.push(entry(key));
+					continue;
+				}
+
+				const value = targetKeys.get(key);
+				if (typeof value !== "string" || typeof referenceValue !== "string") {
+					continue;
+				}
+
+				if (value === referenceValue && /\p{L}/u.test(value)) {
+					result.identical.push({ ...entry(key), value });
+				}
+
+				const differences = this.getPlaceholderDifferences(
+					referenceValue,
+					value,
+					{ plural },
+				);
+				if (differences.length > 0) {
+					result.mismatched.push({
+						...entry(key),
+						referenceValue,
+						value,
+						differences,
+					});
+				}
+			}
+
+			for (const key of targetKeys.keys()) {
+				if (!required.has(key)) {
+					result.extra.push(entry(key));
+				}
+			}
+		}
+
+		if (result.total > 0) {
+			result.completeness =
+				((result.total - result.missing.length) / result.total) * 100;
+		}
+
+		return result;
+	}
+
+	/**
+	 * @description 기준 언어 키를 대상 언어에 필요한 키로 변환합니다.
+	 * 복수형 키는 대상 언어의 복수형 카테고리에 맞춰 펼칩니다 (예: ko는 _other만, ar은 6개).
+	 * @returns {Map<string, { value: unknown, plural: boolean }>}
+	 */
+	getRequiredKeys(reference, language, namespace) {
+		const referenceKeys = this.store.getKeys(reference, namespace);
+		const required = new Map();
+
+		for (const [key, value] of referenceKeys) {
+			const pluralKey = parsePluralKey(key);
+			if (!pluralKey) {
+				required.set(key, { value, plural: false });
+				continue;
+			}
+
+			const { base, ordinal } = pluralKey;
+			for (const category of getPluralCategories(language, { ordinal })) {
+				const targetKey = formatPluralKey(base, category, { ordinal });
+				if (required.has(targetKey)) continue;
+
+				// 기준 언어에 같은 카테고리가 없으면 other 형태와 비교
+				const referenceValue =
+					referenceKeys.get(targetKey) ??
+					referenceKeys.get(formatPluralKey(base, "other", { ordinal })) ??
+					value;
+				required.set(targetKey, { value: referenceValue, plural: true });
+			}
+		}
+
+		return required;
+	}
+
+	// 복수형 키는 "한 개" 처럼 {{count}}를 생략할 수 있으므로 count 차이는 허용
+	getPlaceholderDifferences(referenceValue, value, { plural = false } = {}) {
+		const differences = [];
+		const variableNames = (text) => [
+			...new Set(
+				getVariables(text).filter((name) => !(plural && name === "count")),
+			),
+		];
+		const formatVariables = (names) =>
+			names.length > 0 ? names.map((name) => `{{${name}}}`).join(", ") : "없음";
+
+		const referenceVariables = variableNames(referenceValue);
+		const variables = variableNames(value);
+		if (!isSameList(referenceVariables, variables)) {
+			differences.push(
+				`보간 변수 ${formatVariables(referenceVariables)} → ${formatVariables(variables)}`,
+			);
+		}
+
+		const referenceTags = getTags(referenceValue);
+		const tags = getTags(value);
+		// 어순에 따라 태그 순서는 달라질 수 있으므로 종류와 개수만 비교
+		if (!isSameList([...referenceTags].sort(), [...tags].sort())) {
+			differences.push(
+				`Trans 태그 ${referenceTags.join("") || "없음"} → ${tags.join("") || "없음"}`,
+			);
+		}
+
+		return differences;
+	}
+
+	printReport(reference, results) {
+		const relative = (filepath) => path.relative(process.cwd(), filepath);
+
+		console.log(chalk.gray(`기준 언어: ${reference}`));
+
+		if (results.length === 0) {
+			console.log(
+				chalk.yellow("⚠️  비교할 다른 언어의 locale 파일이 없습니다."),
+			);
+			return;
+		}
+
+		for (const result of results) {
+			const { language, missing, extra, identical, mismatched } = result;
+
+			console.log(chalk.gray(`\n${"─".repeat(80)}`));
+			console.log(chalk.cyan.bold(`🌐 ${language}`));
+
+			if (missing.length > 0) {
+				console.log(chalk.red(`\n누락된 키 ${missing.length}개:`));
+				missing.forEach(({ filepath, key }) => {
+					console.log(chalk.red(`  ${relative(filepath)}  ${key}`));
+				});
+			}
+
+			if (mismatched.length > 0) {
+				console.log(
+					chalk.red(`\n보간 변수/태그 불일치 ${mismatched.length}개:`),
+				);
+				mismatched.forEach(
+					({ filepath, key, referenceValue, value, differences }) => {
+						console.log(chalk.red(`  ${relative(filepath)}  ${key}`));
+						differences.forEach((difference) => {
+							console.log(chalk.red(`    ${difference}`));
+						});
+						console.log(chalk.gray(`    ${reference}: ${referenceValue}`));
+						console.log(chalk.gray(`    ${language}: ${value}`));
+					},
+				);
+			}
+
+			if (identical.length > 0) {
+				console.log(
+					chalk.yellow(
+						`\n기준 언어와 같은 값 (미번역 추정) ${identical.length}개:`,
+					),
+				);
+				identical.forEach(({ filepath, key, value }) => {
+					console.log(
+						chalk.yellow(`  ${relative(filepath)}  ${key}: "${value}"`),
+					);
+				});
+			}
+
+			if (extra.length > 0) {
+				console.log(chalk.yellow(`\n기준 언어에 없는 키 ${extra.length}개:`));
+				extra.forEach(({ filepath, key }) => {
+					console.log(chalk.yellow(`  ${relative(filepath)}  ${key}`));
+				});
+			}
+
+			if (
+				missing.length + mismatched.length + identical.length + extra.length ===
+				0
+			) {
+				console.log(chalk.green("✅ 기준 언어와 일치합니다."));
+			}
+		}
+	}
+}
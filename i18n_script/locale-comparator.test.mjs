@@ -0,0 +1,75 @@
+import LocaleComparator from "./locale-comparator.mjs";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+
+describe("LocaleComparator", () => {
+	let root;
+	let comparator;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": {
+				greeting: "안녕하세요 {{name}}님",
+				save: "저장",
+				item_other: "{{count}}개",
+			},
+			"locales/en/translation.json": {
+				greeting: "Hello {{user}}",
+				item_one: "{{count}} item",
+				item_other: "{{count}} items",
+				legacy: "Old",
+			},
+		});
+		comparator = new LocaleComparator(
+			localeOptions(root, {
+				defaultLanguage: "ko",
+				defaultNamespace: "translation",
+				keySeparator: ".",
+			}),
+		);
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	test("누락/여분 키와 보간 변수 불일치를 찾고 언어별 복수형으로 완성도를 계산", () => {
+		const [en] = comparator.compare("ko");
+
+		expect(en.language).toBe("en");
+		expect(en.missing.map(({ key }) => key)).toEqual(["save"]);
+		expect(en.extra.map(({ key }) => key)).toEqual(["legacy"]);
+		expect(en.mismatched.map(({ key }) => key)).toEqual(["greeting"]);
+		// greeting, save, item_one, item_other 중 save 누락
+		expect(en.total).toBe(4);
+		expect(en.completeness).toBe(75);
+	});
+
+	test("기준 언어의 locale 파일이 없으면 사용 가능한 언어를 알려주는 오류", () => {
+		expect(() => comparator.compare("kr")).toThrow(
+			/기준 언어\(kr\)의 locale 파일이 없습니다[\s\S]*사용 가능한 언어: en, ko/,
+		);
+	});
+
+	test("서수 복수형 키는 대상 언어의 서수 카테고리로 펼침", () => {
+		writeFiles(root, {
+			"locales/ko/translation.json": { place_ordinal_other: "{{count}}번째" },
+			"locales/en/translation.json": {
+				place_ordinal_one: "{{count}}st",
+				place_ordinal_other: "{{count}}th",
+			},
+		});
+
+		const [en] = comparator.compare("ko");
+
+		expect(en.missing.map(({ key }) => key)).toEqual([
+			"place_ordinal_few",
+			"place_ordinal_two",
+		]);
+		expect(en.extra).toEqual([]);
+	});
+});
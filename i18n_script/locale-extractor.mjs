@@ -0,0 +1,204 @@
+import chalk from "chalk";
+import AutoFixer from "./auto-fixer.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+
+const MISSING_KEY_RULE = "no-missing-translation-key";
+
+// t() 호출로 바꿀 수 있는 하드코딩 규칙 (그 외 위반은 추출 대상이 아님)
+const FIXABLE_RULES = new Set(
+	RULE_DEFINITIONS.filter(({ meta }) => meta.fixable).map(({ id }) => id),
+);
+
+/**
+ * @description 검사기가 찾은 하드코딩 문자열을 locale 리소스 파일로 추출합니다.
+ * 키는 --fix와 같은 규칙(key-suggester)으로 만들어 코드 수정 결과와 일치합니다.
+ * 코드에 기본값이 있는 누락 키(t("key", "기본값"), <Trans i18nKey="key">기본값</Trans>)는 그 키와 네임스페이스로 추가합니다.
+ */
+export default class LocaleExtractor {
+	constructor(store, { language, namespace } = {}) {
+		this.store = store;
+		this.language = language || store.defaultLanguage;
+		this.namespace = namespace || store.defaultNamespace;
+		this.fixer = new AutoFixer();
+	}
+
+	/**
+	 * @description 위반 목록에서 { key, value, namespace, sources } 항목과 실행 내 키 충돌을 계산합니다.
+	 * 변수/상수로 전달된 값(origin이 있는 위반)처럼 t() 호출로 바꿀 수 없는 위반은 이유와 함께 skipped로 반환합니다.
+	 */
+	collect(violations) {
+		const entries = new Map();
+		const collisions = [];
+		const skipped = [];
+
+		const add = ({ key, value, namespace, violation }) => {
+			const source = `${violation.filePath}:${violation.range.start.line}`;
+			const entryKey = `${namespace}\0${key}`;
+			const entry = entries.get(entryKey);
+
+			if (!entry) {
+				entries.set(entryKey, { key, value, namespace, sources: [source] });
+			} else if (entry.value === value) {
+				entry.sources.push(source);
+			} else {
+				collisions.push({
+					key,
+					value,
+					existingValue: entry.value,
+					source,
+					reason: "같은 키에 다른 문자열",
+				});
+			}
+		};
+
+		const defaults = violations.filter(
+			({ ruleId, defaultValue }) =>
+				ruleId === MISSING_KEY_RULE && typeof defaultValue === "string",
+		);
+		const hardcoded = violations.filter(({ ruleId }) =>
+			FIXABLE_RULES.has(ruleId),
+		);
+
+		for (const result of this.fixer.fixFiles(hardcoded, { write: false })) {
+			for (const { key, value, violation } of result.translations) {
+				add({ key, value, namespace: this.namespace, violation });
+			}
+			for (const { violation, reason } of result.skipped) {
+				skipped.push({
+					value: violation.value,
+					source: `${violation.filePath}:${violation.range.start.line}`,
+					reason,
+				});
+			}
+		}
+		for (const violation of defaults) {
+			add({
+				key: violation.key,
+				value: violation.defaultValue,
+				namespace: violation.namespace,
+				violation,
+			});
+		}
+
+		return { entries: [...entries.values()], collisions, skipped };
+	}
+
+	/**
+	 * @description locale 파일에 없는 키만 추가합니다. 기존 값은 덮어쓰지 않습니다.
+	 * @returns {{ added: object[], existing: object[], collisions: object[], skipped: object[], filepaths: string[] }}
+	 */
+	extract(violations, { write = true } = {}) {
+		const { entries, collisions, skipped } = this.collect(violations);
+		// 네임스페이스 → 수정할 locale 데이터
+		const files = new Map();
+		const added = [];
+		const existing = [];
+
+		for (const entry of entries) {
+			if (!files.has(entry.namespace)) {
+				files.set(entry.namespace, {
+					data: structuredClone(
+						this.store.read(this.language, entry.namespace),
+					),
+					changed: false,
+				});
+			}
+			const file = files.get(entry.namespace);
+			const status = this.store.setIfMissing(file.data, entry.key, entry.value);
+
+			if (status === "added") {
+				added.push(entry);
+				file.changed = true;
+			} else if (status === "exists") {
+				existing.push(entry);
+			} else {
+				collisions.push({
+					key: entry.key,
+					value: entry.value,
+					existingValue: this.store.getValue(
+						this.language,
+						entry.namespace,
+						entry.key,
+					),
+					source: entry.sources[0],
+					reason: "locale 파일에 다른 값이 있음",
+				});
+			}
+		}
+
+		for (const [namespace, { data, changed }] of files) {
+			if (write && changed) {
+				this.store.write(this.language, namespace, data);
+			}
+		}
+
+		const namespaces = files.size > 0 ? [...files.keys()] : [this.namespace];
+		return {
+			added,
+			existing,
+			collisions,
+			skipped,
+			filepaths: namespaces.map((namespace) =>
+				this.store.getFilePath(this.language, namespace),
+			),
+		};
+	}
+
+	printSummary(
+		{ added, existing, collisions, skipped = [], filepaths },
+		{ dryRun = false } = {},
+	) {
+		console.log(chalk.gray(`\n${"=".repeat(60)}`));
+		console.log(chalk.cyan.bold("📦 locale 추출 결과"));
+		console.log(chalk.gray(`대상 파일: ${filepaths.join(", ")}`));
+		console.log(chalk.gray("-".repeat(30)));
+
+		if (added.length > 0) {
+			console.log(
+				chalk.green(`${dryRun ? "추가 예정" : "추가됨"}: ${added.length}개`),
+			);
+			added.forEach(({ key, value, namespace, sources }) => {
+				const more = sources.length > 1 ? ` 외 ${sources.length - 1}곳` : "";
+				const label =
+					namespace === this.namespace ? key : `${namespace}:${key}`;
+				console.log(
+					chalk.green(`  + ${label}: "${value}"`) +
+						chalk.gray(`  (${sources[0]}${more})`),
+				);
+			});
+		}
+
+		if (existing.length > 0) {
+			console.log(chalk.gray(`이미 존재: ${existing.length}개`));
+		}
+
+		if (collisions.length > 0) {
+			console.log(
+				chalk.yellow(`⚠️  키 충돌: ${collisions.length}개 (추가하지 않음)`),
+			);
+			collisions.forEach(({ key, value, existingValue, source, reason }) => {
+				console.log(
+					chalk.yellow(
+						`  ! ${key}: "${value}" ↔ "${typeof existingValue === "string" ? existingValue : JSON.stringify(existingValue)}" (${reason}, ${source})`,
+					),
+				);
+			});
+		}
+
+		// 변수/상수 값은 정의 위치(출처)에서 t()로 바꾼 뒤 다시 추출해야 함
+		if (skipped.length > 0) {
+			console.log(
+				chalk.yellow(`⚠️  추출하지 못함: ${skipped.length}개 (수동 확인 필요)`),
+			);
+			skipped.forEach(({ value, source, reason }) => {
+				console.log(chalk.yellow(`  - "${value}" (${reason}, ${source})`));
+			});
+		}
+
+		if (added.length === 0 && collisions.length === 0 && skipped.length === 0) {
+			console.log(chalk.green("✅ 추가할 새 문자열이 없습니다."));
+		}
+
+		console.log(chalk.gray("=".repeat(60)));
+	}
+}
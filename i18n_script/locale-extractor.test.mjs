@@ -0,0 +1,133 @@
+import path from "node:path";
+import LocaleExtractor from "./locale-extractor.mjs";
+import LocaleStore from "./locale-store.mjs";
+import { JSX_RULES } from "./rules/index.mjs";
+import noMissingTranslationKey from "./rules/no-missing-translation-key.mjs";
+import {
+	checkCode,
+	createTempProject,
+	localeOptions,
+	readJson,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+import { toViolation } from "./violation.mjs";
+
+const APP = `export function App() {
+	return (
+		<div>
+			<h1>환영합니다</h1>
+			<p>환영합니다</p>
+		</div>
+	);
+}
+`;
+
+describe("LocaleExtractor", () => {
+	let root;
+	let store;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"src/App.tsx": APP,
+			"locales/ko/translation.json": { existing: "기존 값" },
+		});
+		store = new LocaleStore(
+			localeOptions(root, {
+				defaultLanguage: "ko",
+				defaultNamespace: "translation",
+				keySeparator: ".",
+			}),
+		);
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const detect = (code = APP) => {
+		const filePath = path.join(root, "src/App.tsx");
+		writeFiles(root, { "src/App.tsx": code });
+		return checkCode(JSX_RULES, code, { filePath }).map((error) =>
+			toViolation(error, filePath),
+		);
+	};
+
+	test("같은 문자열은 한 키로 모아 기존 값을 유지한 채 추가", () => {
+		const result = new LocaleExtractor(store).extract(detect());
+
+		expect(result.added).toEqual([
+			expect.objectContaining({
+				value: "환영합니다",
+				sources: [expect.stringMatching(/App\.tsx:4$/), expect.any(String)],
+			}),
+		]);
+		const data = readJson(root, "locales/ko/translation.json");
+		expect(data.existing).toBe("기존 값");
+		expect(store.getValue("ko", "translation", result.added[0].key)).toBe(
+			"환영합니다",
+		);
+	});
+
+	test("locale 파일에 다른 값이 있는 키는 충돌로 보고하고 덮어쓰지 않음", () => {
+		const extractor = new LocaleExtractor(store);
+		const [{ key }] = extractor.extract(detect(), { write: false }).added;
+		const data = structuredClone(store.read("ko", "translation"));
+		store.setIfMissing(data, key, "다른 값");
+		store.write("ko", "translation", data);
+
+		const result = extractor.extract(detect(), { write: false });
+
+		expect(result.added).toEqual([]);
+		expect(result.collisions).toEqual([
+			expect.objectContaining({ key, existingValue: "다른 값" }),
+		]);
+	});
+
+	test("변수/상수로 전달된 값은 추출하지 않고 출처 위치와 함께 skipped로 반환", () => {
+		const code = `const LABEL = "저장하고 닫기";
+export function App() {
+	return <button>{LABEL}</button>;
+}
+`;
+		const result = new LocaleExtractor(store).extract(detect(code), {
+			write: false,
+		});
+
+		expect(result.added).toEqual([]);
+		expect(result.skipped).toEqual([
+			{
+				value: "저장하고 닫기",
+				source: expect.stringMatching(/App\.tsx:3$/),
+				reason: expect.stringMatching(/App\.tsx:1에 정의된 값에서 수정 필요$/),
+			},
+		]);
+	});
+
+	test("코드에 기본값이 있는 누락 키는 그 키와 네임스페이스로 추가", () => {
+		const code = `import { t } from "i18next";
+import { Trans } from "react-i18next";
+t("home.title", "홈");
+t("settings:profile.name", { defaultValue: "이름" });
+t("existing", "기존 값");
+t("home.empty");
+const view = <Trans i18nKey="home.welcome">환영합니다 <b>{{ name }}</b></Trans>;
+`;
+		const violations = checkCode([noMissingTranslationKey], code, {
+			config: { locales: store.options },
+		}).map((error) => toViolation(error));
+
+		const result = new LocaleExtractor(store).extract(violations);
+
+		expect(
+			result.added.map(({ namespace, key, value }) => [namespace, key, value]),
+		).toEqual([
+			["translation", "home.title", "홈"],
+			["settings", "profile.name", "이름"],
+			["translation", "home.welcome", "환영합니다 <1>{{name}}</1>"],
+		]);
+		expect(readJson(root, "locales/ko/settings.json")).toEqual({
+			profile: { name: "이름" },
+		});
+	});
+});
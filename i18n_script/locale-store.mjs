@@ -0,0 +1,227 @@
+import fs from "node:fs";
+import path from "node:path";
+import { glob } from "glob";
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @description react-i18next 리소스 파일(locales/{{lng}}/{{ns}}.json)을 읽고 씁니다.
+ * 키는 keySeparator 기준으로 중첩 객체에 매핑되며 keySeparator가 false면 평면 키를 사용합니다.
+ */
+export default class LocaleStore {
+	constructor(options, { cwd = process.cwd() } = {}) {
+		this.options = options;
+		this.cwd = cwd;
+		this.cache = new Map();
+		this.keyCache = new Map();
+	}
+
+	get defaultLanguage() {
+		return this.options.defaultLanguage;
+	}
+
+	get defaultNamespace() {
+		return this.options.defaultNamespace;
+	}
+
+	getFilePath(lng, ns) {
+		return path.resolve(
+			this.cwd,
+			this.options.path.replace("{{lng}}", lng).replace("{{ns}}", ns),
+		);
+	}
+
+	// 설정된 언어 목록, 없으면 디렉토리에서 탐색 (네임스페이스 파일이 하나라도 있는 언어)
+	listLanguages() {
+		if (this.options.languages?.length) {
+			return this.options.languages;
+		}
+		return this.listPathSegments("{{lng}}");
+	}
+
+	listNamespaces(lng = this.defaultLanguage) {
+		const namespaces = this.listPathSegments("{{ns}}", { lng });
+		return namespaces.length > 0 ? namespaces : [this.defaultNamespace];
+	}
+
+	// 경로 템플릿의 한 자리에 실제 존재하는 값 목록을 구함 (fixed로 고정하지 않은 다른 자리는 와일드카드)
+	listPathSegments(placeholder, fixed = {}) {
+		const parts = this.options.path.split(/(\{\{\w+\}\})/);
+		const resolve = (part) => fixed[part.slice(2, -2)];
+		const pattern = parts
+			.map((part, index) => (index % 2 === 0 ? part : (resolve(part) ?? "*")))
+			.join("");
+		const matcher = new RegExp(
+			`^${parts
+				.map((part, index) => {
+					if (index % 2 === 0) return escapeRegExp(part);
+					if (part === placeholder) return "([^/]+)";
+					const value = resolve(part);
+					return value === undefined ? "[^/]+" : escapeRegExp(value);
+				})
+				.join("")}$`,
+		);
+
+		const files = glob.sync(pattern, { cwd: this.cwd, posix: true });
+		return [
+			...new Set(files.map((file) => file.match(matcher)?.[1]).filter(Boolean)),
+		].sort();
+	}
+
+	read(lng, ns) {
+		const filepath = this.getFilePath(lng, ns);
+
+		if (!this.cache.has(filepath)) {
+			let data = {};
+			if (fs.existsSync(filepath)) {
+				try {
+					data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+				} catch (error) {
+					throw new Error(
+						`locale 파일을 읽지 못했습니다: ${filepath}\n  ${error.message}`,
+					);
+				}
+			}
+			this.cache.set(filepath, data);
+		}
+
+		return this.cache.get(filepath);
+	}
+
+	exists(lng, ns) {
+		return fs.existsSync(this.getFilePath(lng, ns));
+	}
+
+	// 해당 언어의 리소스 파일이 하나라도 있는지 확인
+	hasLanguage(lng) {
+		return this.listPathSegments("{{ns}}", { lng }).length > 0;
+	}
+
+	write(lng, ns, data) {
+		const filepath = this.getFilePath(lng, ns);
+		fs.mkdirSync(path.dirname(filepath), { recursive: true });
+		fs.writeFileSync(filepath, `${JSON.stringify(data, null, 2)}\n`);
+		this.cache.set(filepath, data);
+		this.keyCache.delete(filepath);
+	}
+
+	splitKey(key) {
+		const { keySeparator } = this.options;
+		return keySeparator === false ? [key] : key.split(keySeparator);
+	}
+
+	// 리소스 객체를 { "a.b.c": 값 } 형태의 Map으로 변환
+	flatten(data) {
+		const result = new Map();
+		const { keySeparator } = this.options;
+
+		const visit = (value, prefix) => {
+			if (isPlainObject(value) && keySeparator !== false) {
+				for (const [key, child] of Object.entries(value)) {
+					visit(child, prefix ? `${prefix}${keySeparator}${key}` : key);
+				}
+				return;
+			}
+			result.set(prefix, value);
+		};
+
+		visit(data, "");
+		return result;
+	}
+
+	// 리소스 파일의 평면 키 목록 (캐시)
+	getKeys(lng, ns) {
+		const filepath = this.getFilePath(lng, ns);
+
+		if (!this.keyCache.has(filepath)) {
+			this.keyCache.set(filepath, this.flatten(this.read(lng, ns)));
+		}
+
+		return this.keyCache.get(filepath);
+	}
+
+	/**
+	 * @description 번역 키가 존재하는지 확인합니다.
+	 * allowSuffix면 count/context 옵션으로 붙는 key_one, key_male 같은 접미사 키도 인정합니다.
+	 */
+	hasKey(lng, ns, key, { allowSuffix = false } = {}) {
+		const keys = this.getKeys(lng, ns);
+		if (keys.has(key)) return true;
+		if (!allowSuffix) return false;
+
+		const prefix = `${key}_`;
+		for (const candidate of keys.keys()) {
+			if (candidate.startsWith(prefix)) return true;
+		}
+		return false;
+	}
+
+	getValue(lng, ns, key) {
+		let current = this.read(lng, ns);
+
+		for (const segment of this.splitKey(key)) {
+			if (!isPlainObject(current) || !(segment in current)) {
+				return undefined;
+			}
+			current = current[segment];
+		}
+
+		return current;
+	}
+
+	/**
+	 * @description 키가 없을 때만 값을 추가합니다 (기존 값은 절대 덮어쓰지 않음).
+	 * @returns {"added" | "exists" | "conflict"} conflict는 다른 값이 있거나 경로가 문자열과 겹치는 경우
+	 */
+	setIfMissing(data, key, value) {
+		const segments = this.splitKey(key);
+		let current = data;
+
+		for (const segment of segments.slice(0, -1)) {
+			if (current[segment] === undefined) {
+				current[segment] = {};
+			}
+			if (!isPlainObject(current[segment])) {
+				return "conflict";
+			}
+			current = current[segment];
+		}
+
+		const last = segments[segments.length - 1];
+		if (current[last] === undefined) {
+			current[last] = value;
+			return "added";
+		}
+
+		return current[last] === value ? "exists" : "conflict";
+	}
+
+	// 키를 삭제하고 비게 된 상위 객체도 함께 정리
+	deleteKey(data, key) {
+		const segments = this.splitKey(key);
+		const parents = [];
+		let current = data;
+
+		for (const segment of segments.slice(0, -1)) {
+			if (!isPlainObject(current[segment])) return false;
+			parents.push([current, segment]);
+			current = current[segment];
+		}
+
+		const last = segments[segments.length - 1];
+		if (!(last in current)) return false;
+		delete current[last];
+
+		for (const [parent, segment] of parents.reverse()) {
+			if (Object.keys(parent[segment]).length > 0) break;
+			delete parent[segment];
+		}
+		return true;
+	}
+}
@@ -0,0 +1,52 @@
+import LocaleStore from "./locale-store.mjs";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+} from "./test-helpers.mjs";
+
+describe("LocaleStore", () => {
+	let root;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": { greeting: { hello: "안녕" } },
+			"locales/ko/common.json": {},
+			// 기본 네임스페이스 파일이 없는 언어
+			"locales/en/common.json": { ok: "OK" },
+		});
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	test("기본 네임스페이스 파일이 없는 언어 폴더도 찾음", () => {
+		const store = new LocaleStore(
+			localeOptions(root, { defaultNamespace: "translation" }),
+		);
+
+		expect(store.listLanguages()).toEqual(["en", "ko"]);
+		expect(store.listNamespaces("ko")).toEqual(["common", "translation"]);
+		expect(store.hasLanguage("en")).toBe(true);
+		expect(store.hasLanguage("ja")).toBe(false);
+	});
+
+	test("설정된 languages가 있으면 그대로 사용", () => {
+		const store = new LocaleStore(localeOptions(root, { languages: ["ko"] }));
+
+		expect(store.listLanguages()).toEqual(["ko"]);
+	});
+
+	test("keySeparator 기준으로 중첩 키를 읽음", () => {
+		const store = new LocaleStore(
+			localeOptions(root, {
+				defaultNamespace: "translation",
+				keySeparator: ".",
+			}),
+		);
+
+		expect(store.getValue("ko", "translation", "greeting.hello")).toBe("안녕");
+		expect(store.hasKey("ko", "translation", "greeting.bye")).toBe(false);
+	});
+});
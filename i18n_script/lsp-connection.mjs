@@ -0,0 +1,108 @@
+// JSON-RPC 에러 코드 (LSP base protocol)
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * @description stdio 위의 JSON-RPC 2.0 연결입니다 (LSP base protocol: Content-Length 헤더 + JSON 본문).
+ * 요청 핸들러의 반환값(Promise 포함)은 응답의 result로, 던진 에러는 error로 보냅니다.
+ */
+export default class LspConnection {
+	constructor({ input = process.stdin, output = process.stdout } = {}) {
+		this.input = input;
+		this.output = output;
+		this.buffer = Buffer.alloc(0);
+		this.requestHandlers = new Map();
+		this.notificationHandlers = new Map();
+	}
+
+	onRequest(method, handler) {
+		this.requestHandlers.set(method, handler);
+	}
+
+	onNotification(method, handler) {
+		this.notificationHandlers.set(method, handler);
+	}
+
+	listen() {
+		this.input.on("data", (chunk) => {
+			this.buffer = Buffer.concat([this.buffer, chunk]);
+			this.readMessages();
+		});
+	}
+
+	// 버퍼에 완성된 메시지가 있는 만큼 꺼내서 처리 (본문 길이는 바이트 기준)
+	readMessages() {
+		for (;;) {
+			const headerEnd = this.buffer.indexOf("\r\n\r\n");
+			if (headerEnd === -1) return;
+
+			const header = this.buffer.subarray(0, headerEnd).toString("ascii");
+			const length = Number(header.match(/Content-Length:\s*(\d+)/i)?.[1]);
+			const bodyStart = headerEnd + 4;
+			if (Number.isNaN(length)) {
+				this.buffer = this.buffer.subarray(bodyStart);
+				continue;
+			}
+			if (this.buffer.length < bodyStart + length) return;
+
+			const body = this.buffer
+				.subarray(bodyStart, bodyStart + length)
+				.toString("utf8");
+			this.buffer = this.buffer.subarray(bodyStart + length);
+
+			try {
+				this.dispatch(JSON.parse(body));
+			} catch (error) {
+				console.error(`잘못된 LSP 메시지: ${error.message}`);
+			}
+		}
+	}
+
+	async dispatch(message) {
+		// 서버가 보낸 요청의 응답은 사용하지 않음
+		if (!message.method) return;
+
+		if (message.id === undefined) {
+			const handler = this.notificationHandlers.get(message.method);
+			try {
+				await handler?.(message.params);
+			} catch (error) {
+				console.error(`${message.method} 처리 중 오류: ${error.stack}`);
+			}
+			return;
+		}
+
+		const handler = this.requestHandlers.get(message.method);
+		if (!handler) {
+			this.send({
+				id: message.id,
+				error: {
+					code: METHOD_NOT_FOUND,
+					message: `지원하지 않는 요청: ${message.method}`,
+				},
+			});
+			return;
+		}
+
+		try {
+			const result = await handler(message.params);
+			this.send({ id: message.id, result: result ?? null });
+		} catch (error) {
+			this.send({
+				id: message.id,
+				error: { code: INTERNAL_ERROR, message: error.message },
+			});
+		}
+	}
+
+	sendNotification(method, params) {
+		this.send({ method, params });
+	}
+
+	send(message) {
+		const body = JSON.stringify({ jsonrpc: "2.0", ...message });
+		this.output.write(
+			`Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`,
+		);
+	}
+}
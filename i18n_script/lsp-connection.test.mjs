@@ -0,0 +1,91 @@
+import { PassThrough } from "node:stream";
+import LspConnection from "./lsp-connection.mjs";
+
+const frame = (message) => {
+	const body = JSON.stringify(message);
+	return `Content-Length: ${Buffer.byteLength(body, "utf8")}\r\n\r\n${body}`;
+};
+
+// 출력 스트림에 쓴 메시지를 본문 JSON 목록으로 파싱
+const readMessages = (text) =>
+	text
+		.split(/Content-Length: \d+\r\n\r\n/)
+		.filter(Boolean)
+		.map((body) => JSON.parse(body));
+
+describe("LspConnection", () => {
+	let input;
+	let output;
+	let written;
+	let connection;
+
+	beforeEach(() => {
+		input = new PassThrough();
+		output = new PassThrough();
+		written = "";
+		output.on("data", (chunk) => {
+			written += chunk.toString("utf8");
+		});
+		connection = new LspConnection({ input, output });
+		connection.listen();
+	});
+
+	// 핸들러의 Promise와 스트림 이벤트가 처리될 때까지 대기
+	const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+	test("여러 조각으로 나뉜 메시지와 멀티바이트 본문을 바이트 길이로 읽음", async () => {
+		const received = [];
+		connection.onNotification("textDocument/didOpen", (params) => {
+			received.push(params.text);
+		});
+
+		const message = Buffer.from(
+			frame({
+				jsonrpc: "2.0",
+				method: "textDocument/didOpen",
+				params: { text: "<div>안녕하세요</div>" },
+			}),
+		);
+		input.write(message.subarray(0, 10));
+		input.write(message.subarray(10, message.length - 3));
+		await flush();
+		expect(received).toEqual([]);
+
+		input.write(
+			Buffer.concat([
+				message.subarray(message.length - 3),
+				Buffer.from(frame({ jsonrpc: "2.0", method: "initialized" })),
+			]),
+		);
+		await flush();
+		expect(received).toEqual(["<div>안녕하세요</div>"]);
+	});
+
+	test("요청 핸들러의 반환값은 result, 던진 에러와 없는 메서드는 error로 응답", async () => {
+		connection.onRequest("hover", async ({ key }) => ({ key }));
+		connection.onRequest("shutdown", () => undefined);
+		connection.onRequest("fail", () => {
+			throw new Error("실패");
+		});
+
+		input.write(
+			frame({ jsonrpc: "2.0", id: 1, method: "hover", params: { key: "a" } }),
+		);
+		input.write(frame({ jsonrpc: "2.0", id: 2, method: "shutdown" }));
+		input.write(frame({ jsonrpc: "2.0", id: 3, method: "fail" }));
+		input.write(frame({ jsonrpc: "2.0", id: 4, method: "unknown" }));
+		await flush();
+
+		const responses = readMessages(written).sort((a, b) => a.id - b.id);
+		expect(responses).toEqual([
+			{ jsonrpc: "2.0", id: 1, result: { key: "a" } },
+			{ jsonrpc: "2.0", id: 2, result: null },
+			{ jsonrpc: "2.0", id: 3, error: { code: -32603, message: "실패" } },
+			{
+				jsonrpc: "2.0",
+				id: 4,
+				error: { code: -32601, message: "지원하지 않는 요청: unknown" },
+			},
+		]);
+	});
+});
@@ -0,0 +1,61 @@
+import chalk from "chalk";
+import RuleEngine from "./rule-engine.mjs";
+import { KEY_RULES } from "./rules/index.mjs";
+
+/**
+ * @description 코드에서 사용하는 t() 키가 기본 언어 locale 파일에 있는지 검사합니다 (--keys-only).
+ * 실제 판별 로직은 rules/no-missing-translation-key.mjs 규칙에 있고, 언어별 복수형/context 변형 키는 no-missing-plural-form, 코드 기본값과 locale 값 비교는 no-mismatched-default-value 규칙이 합니다.
+ */
+export default class MissingKeyChecker {
+	constructor(
+		localeOptions,
+		{ suppressions, readFile, severities, concurrency } = {},
+	) {
+		this.engine = new RuleEngine({
+			rules: KEY_RULES,
+			config: { locales: localeOptions, rules: severities },
+			suppressions,
+			readFile,
+			concurrency,
+		});
+		this.reporter = this.engine.reporter;
+	}
+
+	get ruleIds() {
+		return this.engine.ruleIds;
+	}
+
+	get scannedFiles() {
+		return this.engine.scannedFiles;
+	}
+
+	get timings() {
+		return this.engine.timings;
+	}
+
+	async checkFiles(patterns) {
+		const errors = await this.collectErrors(patterns);
+		return this.reportErrors(errors);
+	}
+
+	// 패턴에 해당하는 파일을 검사하여 에러 목록만 반환 (리포트 출력 없음)
+	async collectErrors(patterns) {
+		console.log(chalk.blue("🔍 번역 키 누락 검사 시작...\n"));
+		return this.engine.run(patterns);
+	}
+
+	// 에러 리포트 출력 후 통과 여부 반환
+	reportErrors(errors) {
+		if (errors.length === 0) {
+			console.log(chalk.green("✅ 번역 키 누락 검사 통과!"));
+			return true;
+		}
+
+		console.log(
+			this.reporter.generateReport(errors, {
+				title: `🚨 총 ${errors.length}개의 번역 키 문제 발견!\n`,
+			}),
+		);
+		return false;
+	}
+}
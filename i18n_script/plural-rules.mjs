@@ -0,0 +1,39 @@
+// i18next v21+ 복수형 키 규칙 (key_one, key_other, key_ordinal_few ...)
+
+// 기본 키는 최소로 매칭해야 key_ordinal_one의 ordinal_이 기본 키에 포함되지 않음
+const PLURAL_KEY = /^(.*?)_(ordinal_)?(zero|one|two|few|many|other)$/s;
+
+const categoryCache = new Map();
+
+// 언어별로 필요한 복수형 카테고리 (Intl.PluralRules 기준)
+export function getPluralCategories(language, { ordinal = false } = {}) {
+	const cacheKey = `${language}:${ordinal}`;
+
+	if (!categoryCache.has(cacheKey)) {
+		let categories;
+		try {
+			categories = new Intl.PluralRules(language, {
+				type: ordinal ? "ordinal" : "cardinal",
+			}).resolvedOptions().pluralCategories;
+		} catch {
+			categories = ["one", "other"];
+		}
+		categoryCache.set(cacheKey, categories);
+	}
+
+	return categoryCache.get(cacheKey);
+}
+
+/**
+ * @description 복수형 키를 기본 키와 카테고리로 나눕니다. 복수형 키가 아니면 null을 반환합니다.
+ * @returns {{ base: string, category: string, ordinal: boolean } | null}
+ */
+export function parsePluralKey(key) {
+	const match = key.match(PLURAL_KEY);
+	if (!match) return null;
+	return { base: match[1], category: match[3], ordinal: Boolean(match[2]) };
+}
+
+export function formatPluralKey(base, category, { ordinal = false } = {}) {
+	return `${base}_${ordinal ? "ordinal_" : ""}${category}`;
+}
@@ -0,0 +1,42 @@
+import {
+	formatPluralKey,
+	getPluralCategories,
+	parsePluralKey,
+} from "./plural-rules.mjs";
+
+describe("plural-rules", () => {
+	test("언어별 복수형 카테고리는 Intl.PluralRules를 따름", () => {
+		expect(getPluralCategories("ko")).toEqual(["other"]);
+		expect([...getPluralCategories("en")].sort()).toEqual(["one", "other"]);
+		expect([...getPluralCategories("pl")].sort()).toEqual([
+			"few",
+			"many",
+			"one",
+			"other",
+		]);
+		expect(getPluralCategories("ar")).toHaveLength(6);
+		expect([...getPluralCategories("en", { ordinal: true })].sort()).toEqual([
+			"few",
+			"one",
+			"other",
+			"two",
+		]);
+	});
+
+	test("복수형 키를 기본 키와 카테고리로 나누고 다시 조합", () => {
+		expect(parsePluralKey("item_one")).toEqual({
+			base: "item",
+			category: "one",
+			ordinal: false,
+		});
+		expect(parsePluralKey("place_ordinal_few")).toEqual({
+			base: "place",
+			category: "few",
+			ordinal: true,
+		});
+		expect(parsePluralKey("friend_male")).toBeNull();
+		expect(formatPluralKey("place", "two", { ordinal: true })).toBe(
+			"place_ordinal_two",
+		);
+	});
+});
@@ -0,0 +1,389 @@
+import fs from "node:fs";
+import { Worker } from "node:worker_threads";
+import { parse } from "@babel/parser";
+import _traverse from "@babel/traverse";
+import chalk from "chalk";
+import { glob } from "glob";
+import { stableStringify } from "./check-cache.mjs";
+import ConfigLoader from "./config-loader.mjs";
+import { DEFAULT_CONFIG } from "./default-config.mjs";
+import EnhancedErrorReporter from "./enhanced-error-reporter.mjs";
+import SuppressionRegistry from "./suppression-registry.mjs";
+
+const traverse = _traverse.default || _traverse;
+
+const WORKER_URL = new URL("./rule-worker.mjs", import.meta.url);
+
+export const DEFAULT_IGNORES = [
+	"**/*.test.{js,jsx,ts,tsx}",
+	"**/*.stories.{js,jsx,ts,tsx}",
+	"**/*.spec.{js,jsx,ts,tsx}",
+	"**/node_modules/**",
+	"**/dist/**",
+	"**/build/**",
+];
+
+export function splitPatterns(patterns) {
+	return {
+		includePatterns: patterns.filter((p) => !p.startsWith("!")),
+		excludePatterns: patterns
+			.filter((p) => p.startsWith("!"))
+			.map((p) => p.substring(1)), // ! 제거
+	};
+}
+
+// JS 설정 파일의 함수(자연어 판별 classifier 등)는 워커로 전달할 수 없음
+function hasFunction(value) {
+	if (typeof value === "function") return true;
+	if (value === null || typeof value !== "object" || value instanceof RegExp) {
+		return false;
+	}
+	return Object.values(value).some(hasFunction);
+}
+
+/**
+ * @description 규칙 기본값 위에 설정의 optionsKey 섹션을 병합합니다.
+ * meta.usesLocales인 규칙은 locales 설정도 options.locales로 받습니다 (jsx 규칙이 번역 키를 해석할 때 등).
+ */
+export function resolveRuleOptions(rule, config) {
+	const { optionsKey, defaultOptions = {}, usesLocales } = rule.meta;
+	const options = ConfigLoader.merge(defaultOptions, config[optionsKey] || {});
+	if (!usesLocales) return options;
+
+	return {
+		...options,
+		locales: ConfigLoader.merge(DEFAULT_CONFIG.locales, config.locales || {}),
+	};
+}
+
+/**
+ * @description 파일마다 한 번만 파싱하고, 등록된 규칙의 visitor를 합쳐 한 번에 순회합니다.
+ *
+ * 규칙은 { id, meta: { description, defaultSeverity, types, optionsKey, defaultOptions, fixable? }, setup?, create } 형태입니다.
+ * - optionsKey: 규칙 옵션을 읽을 설정 섹션 (jsx, toast, locales). defaultOptions 위에 병합됩니다.
+ * - usesLocales: optionsKey가 locales가 아니어도 locales 설정을 options.locales로 받습니다.
+ * - fixable: 보고한 노드(하드코딩 문자열)를 t('키') 호출로 바꿀 수 있는 규칙 (ESLint 수정 등에 사용).
+ * - setup(options, { warn }): 실행(워커)마다 한 번 호출되며 반환값은 context.state로 전달됩니다.
+ *   경고는 console 대신 warn으로 출력해야 워커 수만큼 반복되지 않습니다.
+ * - create(context): 파일마다 호출되어 Babel visitor를 반환합니다. context.report({ node, ... })로 위반을 보고합니다.
+ *   다른 파일을 읽어 판단하면 context.addDependency(filePath)로 기록해야 캐시가 그 파일의 변경을 감지합니다.
+ * - cacheKey(state): 결과가 소스 외의 파일(locale 등)에 의존하면 그 내용을 반환해 캐시 무효화에 사용합니다.
+ *
+ * 여러 규칙이 같은 노드를 보고하면 먼저 등록된 규칙의 위반만 남깁니다.
+ *
+ * concurrency가 2 이상이면 파일 검사를 worker_threads 풀에 나누어 실행합니다 (설정에 함수가 있으면 메인 스레드에서 실행).
+ * 파일 읽기는 메인 스레드에서 하고(--staged 지원), 결과는 파일 순서대로 합치므로 출력이 스케줄링에 따라 달라지지 않습니다.
+ */
+export default class RuleEngine {
+	constructor({
+		rules,
+		config = {},
+		suppressions = new SuppressionRegistry(),
+		readFile = (filePath) => fs.readFileSync(filePath, "utf8"),
+		concurrency = 1,
+		cache = null,
+	}) {
+		this.config = config;
+		this.suppressions = suppressions;
+		this.readFile = readFile;
+		this.concurrency = concurrency;
+		// CheckCache (없으면 항상 모든 파일 검사)
+		this.cache = cache;
+		this.cacheHits = 0;
+		this.reporter = new EnhancedErrorReporter({ readFile });
+		this.scannedFiles = [];
+		// 파일 경로 → 검사 중 읽은 다른 파일 (마지막 run 기준, --watch가 다시 검사할 파일을 찾는 데 사용)
+		this.fileDependencies = new Map();
+		// 단계별 소요 시간 (ms). parse/rules/suppressions는 워커 사용 시 모든 워커의 합계
+		this.timings = null;
+		this.workerCount = 0;
+
+		// 설정의 rules 섹션으로 심각도 변경 또는 비활성화 ("off")
+		this.rules = rules
+			.map((rule) => ({
+				rule,
+				severity: config.rules?.[rule.id] || rule.meta.defaultSeverity,
+				options: resolveRuleOptions(rule, config),
+			}))
+			.filter(({ severity }) => severity !== "off");
+	}
+
+	get ruleIds() {
+		return this.rules.map(({ rule }) => rule.id);
+	}
+
+	// 패턴에서 포함/제외를 분리해 검사 대상 파일 목록을 구함
+	async collectFiles(patterns) {
+		const { includePatterns, excludePatterns } = splitPatterns(patterns);
+
+		console.log(chalk.gray(`📋 포함 패턴: [${includePatterns.join(", ")}]`));
+		console.log(chalk.gray(`📋 제외 패턴: [${excludePatterns.join(", ")}]`));
+
+		const files = await this.matchFiles(patterns);
+
+		console.log(chalk.gray(`📊 검사 대상: ${files.length}개 파일`));
+		return files;
+	}
+
+	// 로그 없이 패턴에 해당하는 파일 목록만 구함
+	async matchFiles(patterns) {
+		const { includePatterns, excludePatterns } = splitPatterns(patterns);
+
+		// glob 결과 순서는 파일 시스템 탐색 순서에 따라 달라지므로 정렬
+		return (
+			await glob(includePatterns, {
+				ignore: [...DEFAULT_IGNORES, ...excludePatterns],
+				nodir: true,
+			})
+		).sort();
+	}
+
+	/**
+	 * @description 패턴에 해당하는 파일을 검사해 모든 규칙의 위반 목록을 반환합니다.
+	 */
+	async run(patterns) {
+		const startTime = performance.now();
+		this.timings = {
+			collect: 0,
+			read: 0,
+			parse: 0,
+			rules: 0,
+			suppressions: 0,
+			cache: 0,
+			total: 0,
+		};
+
+		const files = await this.collectFiles(patterns);
+		this.scannedFiles = files;
+		this.timings.collect = performance.now() - startTime;
+
+		// 워커에서도 setup을 하지만 경고는 메인 스레드에서 한 번만 출력
+		const instances = this.createInstances({
+			warn: (message) => console.log(chalk.yellow(message)),
+		});
+
+		let phaseStart = performance.now();
+		this.cache?.load(this.ruleIds, this.getCacheKey(instances));
+		this.timings.cache += performance.now() - phaseStart;
+
+		// 내용이 바뀌지 않은 파일은 캐시된 결과를 쓰고 나머지만 검사
+		const results = new Array(files.length);
+		const tasks = [];
+		files.forEach((filePath, index) => {
+			const code = this.readSource(filePath);
+			const cached = this.cache?.get(filePath, code);
+			if (cached) {
+				results[index] = cached;
+			} else {
+				tasks.push({ index, filePath, code });
+			}
+		});
+		this.cacheHits = files.length - tasks.length;
+
+		// 설정에 함수가 있으면 워커 없이 메인 스레드에서 검사
+		const concurrency = hasFunction(this.config) ? 1 : this.concurrency;
+		this.workerCount = Math.min(concurrency, tasks.length);
+		const checked =
+			this.workerCount > 1
+				? await this.runWorkers(tasks)
+				: this.runSerial(tasks, instances);
+
+		phaseStart = performance.now();
+		checked.forEach((result, position) => {
+			const { index, filePath, code } = tasks[position];
+			results[index] = result;
+			this.cache?.set(filePath, code, result);
+		});
+		this.cache?.save();
+		this.timings.cache += performance.now() - phaseStart;
+
+		// 억제 주석 사용 여부와 에러를 완료 순서가 아닌 파일 순서로 합침
+		const allErrors = [];
+		this.fileDependencies = new Map();
+		results.forEach((result, index) => {
+			this.suppressions.mergeDirectives(files[index], result.directives);
+			this.fileDependencies.set(files[index], result.dependencies || []);
+			if (result.parseError) {
+				console.error(
+					chalk.yellow(`⚠️  파싱 에러 in ${files[index]}: ${result.parseError}`),
+				);
+			}
+			allErrors.push(...result.errors);
+		});
+
+		this.timings.total = performance.now() - startTime;
+		return allErrors;
+	}
+
+	// 유효 설정(규칙, 심각도, 옵션)과 규칙이 의존하는 파일(locale 등)이 같아야 캐시를 재사용
+	getCacheKey(instances) {
+		return stableStringify(
+			instances.map(({ rule, severity, options, state }) => [
+				rule.id,
+				severity,
+				options,
+				rule.cacheKey ? rule.cacheKey(state) : null,
+			]),
+		);
+	}
+
+	createInstances({ warn }) {
+		return this.rules.map((entry) => ({
+			...entry,
+			state: entry.rule.setup
+				? entry.rule.setup(entry.options, { warn })
+				: null,
+		}));
+	}
+
+	readSource(filePath) {
+		const startTime = performance.now();
+		const code = this.readFile(filePath);
+		this.timings.read += performance.now() - startTime;
+		return code;
+	}
+
+	// 워커와 같은 방식으로 파일별 억제 주석 결과를 따로 모아 반환
+	runSerial(tasks, instances) {
+		const suppressions = new SuppressionRegistry();
+
+		return tasks.map(({ filePath, code }) => {
+			const result = this.checkSource(filePath, code, instances, {
+				suppressions,
+			});
+			const directives = suppressions.getDirectives(filePath);
+			suppressions.clear(filePath);
+			return { ...result, directives };
+		});
+	}
+
+	// 파일을 순서대로 워커에 하나씩 배정하고, 끝난 워커에 다음 파일을 넘김
+	async runWorkers(tasks) {
+		const results = new Array(tasks.length);
+		const workers = [];
+
+		try {
+			await new Promise((resolve, reject) => {
+				let nextPosition = 0;
+				let completed = 0;
+
+				const dispatch = (worker) => {
+					if (nextPosition >= tasks.length) return;
+					const position = nextPosition++;
+					const { filePath, code } = tasks[position];
+					worker.postMessage({ position, filePath, code });
+				};
+
+				for (let i = 0; i < this.workerCount; i++) {
+					const worker = new Worker(WORKER_URL, {
+						workerData: { ruleIds: this.ruleIds, config: this.config },
+					});
+					workers.push(worker);
+
+					worker.on("message", ({ position, timings, ...result }) => {
+						results[position] = result;
+						for (const phase of ["parse", "rules", "suppressions"]) {
+							this.timings[phase] += timings[phase];
+						}
+
+						if (++completed === tasks.length) {
+							resolve();
+							return;
+						}
+						dispatch(worker);
+					});
+					worker.on("error", reject);
+					worker.on("exit", (code) => {
+						if (code !== 0) {
+							reject(
+								new Error(`검사 워커가 비정상 종료되었습니다 (code ${code})`),
+							);
+						}
+					});
+
+					dispatch(worker);
+				}
+			});
+		} finally {
+			await Promise.all(workers.map((worker) => worker.terminate()));
+		}
+
+		return results;
+	}
+
+	/**
+	 * @description 파일 하나를 파싱하고 모든 규칙을 실행합니다. 워커에서도 같은 함수를 사용합니다.
+	 * dependencies는 검사 중 읽은 다른 파일(import한 상수 모듈 등)로, 캐시 무효화에 사용됩니다.
+	 * @returns {{ errors: object[], parseError: string | null, dependencies: string[] }}
+	 */
+	checkSource(
+		filePath,
+		code,
+		instances,
+		{ timings = this.timings, suppressions = this.suppressions } = {},
+	) {
+		const errors = [];
+		// 노드 위치 → 이미 보고된 위반 (규칙 간 중복 제거)
+		const reported = new Set();
+		const dependencies = new Set();
+		let startTime = performance.now();
+
+		try {
+			const ast = parse(code, {
+				sourceType: "module",
+				plugins: ["jsx", "typescript", "decorators-legacy"],
+			});
+			timings.parse += performance.now() - startTime;
+			startTime = performance.now();
+
+			const visitors = instances.map(({ rule, severity, options, state }) =>
+				rule.create({
+					filePath,
+					code,
+					ast,
+					options,
+					state,
+					addDependency: (dependency) => dependencies.add(dependency),
+					report: ({ node, ...errorInfo }) => {
+						// 같은 변수에 여러 출처(조건식 분기 등)가 있으면 출처별로 보고
+						const { origin } = errorInfo;
+						const nodeKey = origin
+							? `${node.start}:${node.end}@${origin.filePath}:${origin.line}:${origin.column}`
+							: `${node.start}:${node.end}`;
+						if (reported.has(nodeKey)) return;
+						reported.add(nodeKey);
+
+						errors.push(
+							this.reporter.formatError(
+								{
+									line: node.loc?.start.line || 0,
+									column: node.loc?.start.column || 0,
+									end: node.loc?.end,
+									...errorInfo,
+									ruleId: rule.id,
+									severity,
+								},
+								filePath,
+							),
+						);
+					},
+				}),
+			);
+
+			traverse(ast, traverse.visitors.merge(visitors));
+			timings.rules += performance.now() - startTime;
+			startTime = performance.now();
+
+			// i18n-ignore 등 억제 주석에 해당하는 에러 제외
+			const filtered = suppressions.filter(filePath, ast, code, errors);
+			timings.suppressions += performance.now() - startTime;
+			return {
+				errors: filtered,
+				parseError: null,
+				dependencies: [...dependencies],
+			};
+		} catch (error) {
+			return { errors, parseError: error.message, dependencies: [] };
+		}
+	}
+}
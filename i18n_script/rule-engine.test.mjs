@@ -0,0 +1,215 @@
+import path from "node:path";
+import RuleEngine from "./rule-engine.mjs";
+import { JSX_RULES, RULE_DEFINITIONS, TOAST_RULES } from "./rules/index.mjs";
+import SuppressionRegistry from "./suppression-registry.mjs";
+import {
+	checkCode,
+	createTempProject,
+	removeTempProject,
+} from "./test-helpers.mjs";
+
+const { jest } = import.meta;
+
+// 문자열 상수마다 보고하는 테스트용 규칙
+const createStringRule = (id, calls) => ({
+	id,
+	meta: {
+		description: id,
+		defaultSeverity: "warning",
+		types: [id],
+		optionsKey: "test",
+		defaultOptions: { prefix: "" },
+	},
+	setup(options) {
+		calls.setup.push(id);
+		return { prefix: options.prefix };
+	},
+	create({ state, report }) {
+		calls.create.push(id);
+		return {
+			StringLiteral(path) {
+				report({
+					node: path.node,
+					message: `${state.prefix}${path.node.value}`,
+					type: id,
+					value: path.node.value,
+				});
+			},
+		};
+	},
+});
+
+describe("RuleEngine", () => {
+	let calls;
+
+	beforeEach(() => {
+		calls = { setup: [], create: [] };
+	});
+
+	test("규칙마다 setup은 한 번, create는 파일마다 호출하고 옵션은 기본값 위에 병합", () => {
+		const rule = createStringRule("test-rule", calls);
+
+		const errors = checkCode([rule], `const a = "x";`, {
+			config: { test: { prefix: "값: " } },
+		});
+
+		expect(calls).toEqual({ setup: ["test-rule"], create: ["test-rule"] });
+		expect(errors).toEqual([
+			expect.objectContaining({
+				ruleId: "test-rule",
+				severity: "warning",
+				message: "값: x",
+				line: 1,
+				column: 10,
+			}),
+		]);
+	});
+
+	test("같은 노드를 여러 규칙이 보고하면 먼저 등록된 규칙만 남김", () => {
+		const errors = checkCode(
+			[createStringRule("first", calls), createStringRule("second", calls)],
+			`const a = "x";`,
+		);
+
+		expect(errors.map(({ ruleId }) => ruleId)).toEqual(["first"]);
+	});
+
+	test("설정의 rules로 심각도를 바꾸거나 끔", () => {
+		const rules = [
+			createStringRule("first", calls),
+			createStringRule("second", calls),
+		];
+		const engine = new RuleEngine({
+			rules,
+			config: { rules: { first: "off", second: "error" } },
+		});
+
+		expect(engine.ruleIds).toEqual(["second"]);
+		expect(
+			checkCode(rules, `const a = "x";`, {
+				config: { rules: { first: "off", second: "error" } },
+			}),
+		).toEqual([
+			expect.objectContaining({ ruleId: "second", severity: "error" }),
+		]);
+	});
+
+	test("JSX와 토스트 규칙을 한 번의 파싱으로 실행", () => {
+		const errors = checkCode(
+			[...JSX_RULES, ...TOAST_RULES],
+			`export const App = () => (
+	<button onClick={() => message.error("실패했습니다")}>저장하기</button>
+);`,
+		);
+
+		expect(errors.map(({ ruleId, value }) => [ruleId, value])).toEqual([
+			["no-hardcoded-jsx-text", "저장하기"],
+			["no-hardcoded-toast", "실패했습니다"],
+		]);
+	});
+
+	describe("run", () => {
+		let root;
+
+		beforeEach(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			jest.spyOn(console, "error").mockImplementation(() => {});
+			root = createTempProject({
+				"src/b.ts": `const b = "b";`,
+				"src/a.ts": `const a = "a";`,
+				"src/broken.ts": `const = ;`,
+				// 기본 제외 패턴
+				"src/a.test.ts": `const t = "test";`,
+			});
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+			removeTempProject(root);
+		});
+
+		test("파일 순서대로 결과를 합치고 파싱 에러는 경고로 출력", async () => {
+			const engine = new RuleEngine({
+				rules: [createStringRule("test-rule", calls)],
+			});
+
+			const errors = await engine.run([path.join(root, "src/**/*.ts")]);
+
+			expect(errors.map(({ value }) => value)).toEqual(["a", "b"]);
+			expect(engine.scannedFiles.map((file) => path.basename(file))).toEqual([
+				"a.ts",
+				"b.ts",
+				"broken.ts",
+			]);
+			expect(console.error).toHaveBeenCalledWith(
+				expect.stringContaining("파싱 에러"),
+			);
+		});
+	});
+
+	describe("concurrency", () => {
+		let root;
+		const patterns = () => [path.join(root, "src/**/*.tsx")];
+
+		beforeEach(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			root = createTempProject(
+				Object.fromEntries(
+					Array.from({ length: 6 }, (_, index) => [
+						`src/Page${index}.tsx`,
+						`export const Page${index} = () => (
+	<div>
+		{/* i18n-ignore */}
+		<p>무시된 문구 ${index}</p>
+		<p>페이지 ${index} 제목입니다</p>
+	</div>
+);
+// i18n-ignore-next-line
+const unused${index} = 1;
+`,
+					]),
+				),
+			);
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+			removeTempProject(root);
+		});
+
+		const run = async (options) => {
+			const suppressions = new SuppressionRegistry();
+			const engine = new RuleEngine({
+				rules: RULE_DEFINITIONS,
+				suppressions,
+				...options,
+			});
+			const errors = await engine.run(patterns());
+			return { engine, errors, unused: suppressions.getUnused() };
+		};
+
+		test("워커 풀로 나누어 검사해도 결과와 억제 주석 사용 여부가 직렬 실행과 같음", async () => {
+			const serial = await run({ concurrency: 1 });
+			const parallel = await run({ concurrency: 2 });
+
+			expect(parallel.engine.workerCount).toBe(2);
+			expect(serial.engine.workerCount).toBe(1);
+			expect(parallel.errors.map(({ value }) => value)).toEqual(
+				serial.errors.map(({ value }) => value),
+			);
+			expect(parallel.errors).toHaveLength(6);
+			expect(parallel.unused).toEqual(serial.unused);
+			expect(parallel.unused).toHaveLength(6);
+		});
+
+		test("설정에 함수가 있으면 워커 없이 메인 스레드에서 검사", async () => {
+			const { engine, errors } = await run({
+				concurrency: 2,
+				config: { jsx: { text: { classifier: () => undefined } } },
+			});
+
+			expect(engine.workerCount).toBe(1);
+			expect(errors).toHaveLength(6);
+		});
+	});
+});
@@ -0,0 +1,32 @@
+import { parentPort, workerData } from "node:worker_threads";
+import RuleEngine from "./rule-engine.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+
+// RuleEngine.runWorkers가 띄우는 워커: 메인 스레드가 읽은 파일 내용을 받아 검사 결과를 돌려줌
+const { ruleIds, config } = workerData;
+const sources = new Map();
+
+const engine = new RuleEngine({
+	rules: ruleIds.map((id) => RULE_DEFINITIONS.find((rule) => rule.id === id)),
+	config,
+	readFile: (filePath) => sources.get(filePath),
+});
+const instances = engine.createInstances({ warn: () => {} });
+
+parentPort.on("message", ({ position, filePath, code }) => {
+	const timings = { parse: 0, rules: 0, suppressions: 0 };
+	sources.set(filePath, code);
+
+	const result = engine.checkSource(filePath, code, instances, { timings });
+	parentPort.postMessage({
+		position,
+		...result,
+		directives: engine.suppressions.getDirectives(filePath),
+		timings,
+	});
+
+	// 파일마다 한 번만 검사하므로 내용과 억제 주석을 메모리에 남기지 않음
+	sources.delete(filePath);
+	engine.reporter.clearCache(filePath);
+	engine.suppressions.clear(filePath);
+});
@@ -0,0 +1,238 @@
+import path from "node:path";
+import { loadModule, resolveModulePath } from "./value-origins.mjs";
+
+// 호출 대상/JSX 컴포넌트를 import 출처 기준 접근 경로로 바꿉니다 (toast 싱크, 모듈별 JSX 옵션 판별용)
+//   import { message as msg } from "antd"; const [api] = msg.useMessage(); api.error(...)
+//   → { source: "antd", segments: ["message", "useMessage", "()", "[0]", "error"] }
+
+// 별칭 → 별칭 → import 로 이어지는 추적 깊이 제한
+const MAX_DEPTH = 10;
+
+const WRAPPER_TYPES = [
+	"TSAsExpression",
+	"TSSatisfiesExpression",
+	"TSNonNullExpression",
+	"ParenthesizedExpression",
+];
+
+function getKeyName(node, computed) {
+	if (!computed && node.type === "Identifier") return node.name;
+	if (node.type === "StringLiteral") return node.value;
+	return null;
+}
+
+function getMemberSegment(node) {
+	if (node.computed && node.property.type === "NumericLiteral") {
+		return `[${node.property.value}]`;
+	}
+	return getKeyName(node.property, node.computed);
+}
+
+// 구조 분해 패턴에서 name까지의 경로: const [api] = ... → ["[0]"], const { message } = ... → ["message"]
+function getPatternSegments(pattern, name) {
+	if (!pattern) return null;
+
+	switch (pattern.type) {
+		case "Identifier":
+			return pattern.name === name ? [] : null;
+		case "AssignmentPattern":
+			return getPatternSegments(pattern.left, name);
+		case "ObjectPattern":
+			for (const property of pattern.properties) {
+				if (property.type !== "ObjectProperty") continue;
+				const key = getKeyName(property.key, property.computed);
+				const rest = key && getPatternSegments(property.value, name);
+				if (rest) return [key, ...rest];
+			}
+			return null;
+		case "ArrayPattern":
+			for (const [index, element] of pattern.elements.entries()) {
+				const rest = getPatternSegments(element, name);
+				if (rest) return [`[${index}]`, ...rest];
+			}
+			return null;
+		default:
+			return null;
+	}
+}
+
+function getBindingAccessPath(binding, name, depth) {
+	const { node } = binding.path;
+
+	if (binding.kind === "module") {
+		const source = binding.path.parent.source.value;
+		if (node.type === "ImportNamespaceSpecifier") {
+			return { source, segments: [] };
+		}
+		const exported =
+			node.type === "ImportDefaultSpecifier"
+				? "default"
+				: getKeyName(node.imported, false);
+		return exported ? { source, segments: [exported] } : null;
+	}
+
+	// 재할당되지 않는 변수만 초기값을 따라감 (매개변수, 함수 선언 등 로컬 값은 추적하지 않음)
+	if (!binding.constant || !binding.path.isVariableDeclarator() || !node.init) {
+		return null;
+	}
+
+	const patternSegments = getPatternSegments(node.id, name);
+	const init = getAccessPath(binding.path.get("init"), depth + 1);
+	return patternSegments && init
+		? { ...init, segments: [...init.segments, ...patternSegments] }
+		: null;
+}
+
+/**
+ * @description 식의 접근 경로를 구합니다.
+ * 전역 식별자에서 시작하면 source가 null이고, 로컬 값(매개변수, 로컬 객체 등)이라 추적할 수 없으면 null을 반환합니다.
+ * @returns {{ source: string | null, segments: string[] } | null}
+ */
+export function getAccessPath(path, depth = 0) {
+	if (!path?.node || depth > MAX_DEPTH) return null;
+	const { node } = path;
+
+	if (WRAPPER_TYPES.includes(node.type)) {
+		return getAccessPath(path.get("expression"), depth + 1);
+	}
+
+	if (node.type === "Identifier" || node.type === "JSXIdentifier") {
+		const binding = path.scope.getBinding(node.name);
+		return binding
+			? getBindingAccessPath(binding, node.name, depth + 1)
+			: { source: null, segments: [node.name] };
+	}
+
+	if (
+		node.type === "MemberExpression" ||
+		node.type === "OptionalMemberExpression"
+	) {
+		const segment = getMemberSegment(node);
+		const object = segment && getAccessPath(path.get("object"), depth + 1);
+		return object
+			? { ...object, segments: [...object.segments, segment] }
+			: null;
+	}
+
+	// <Form.Item>
+	if (node.type === "JSXMemberExpression") {
+		const object = getAccessPath(path.get("object"), depth + 1);
+		return object
+			? { ...object, segments: [...object.segments, node.property.name] }
+			: null;
+	}
+
+	if (
+		node.type === "CallExpression" ||
+		node.type === "OptionalCallExpression"
+	) {
+		const callee = getAccessPath(path.get("callee"), depth + 1);
+		return callee ? { ...callee, segments: [...callee.segments, "()"] } : null;
+	}
+
+	return null;
+}
+
+// ["message", "useMessage", "()", "[0]", "error"] → "message.useMessage()[0].error"
+export function formatAccessPath(segments) {
+	return segments.reduce((text, segment) => {
+		if (segment === "()" || segment.startsWith("[")) return text + segment;
+		return text ? `${text}.${segment}` : segment;
+	}, "");
+}
+
+// 모듈의 export가 가리키는 접근 경로 (모듈 안에서 정의한 값이면 null)
+function findExportAccess(program, exportName, context, depth) {
+	let exportAll = null;
+
+	for (const statementPath of program.get("body")) {
+		const statement = statementPath.node;
+
+		if (statement.type === "ExportDefaultDeclaration") {
+			if (exportName !== "default") continue;
+			return getAccessPath(statementPath.get("declaration"), depth + 1);
+		}
+
+		// export * from "antd": 로컬 모듈은 실제로 export하는지 확인하고, 패키지는 마지막 후보로 사용
+		if (statement.type === "ExportAllDeclaration") {
+			if (exportName === "default") continue;
+			const candidate = {
+				source: statement.source.value,
+				segments: [exportName],
+			};
+			if (!candidate.source.startsWith(".")) {
+				exportAll ||= candidate;
+				continue;
+			}
+			const resolved = resolveAccessSource(candidate, context, depth + 1);
+			if (resolved !== candidate) return resolved;
+			continue;
+		}
+
+		if (statement.type !== "ExportNamedDeclaration") continue;
+
+		if (statement.declaration?.type === "VariableDeclaration") {
+			const declared = statement.declaration.declarations.some(
+				(declarator) =>
+					declarator.id.type === "Identifier" &&
+					declarator.id.name === exportName,
+			);
+			if (declared) {
+				const binding = program.scope.getBinding(exportName);
+				return binding
+					? getBindingAccessPath(binding, exportName, depth + 1)
+					: null;
+			}
+		}
+
+		const specifier = statement.specifiers.find(
+			(item) => getKeyName(item.exported, false) === exportName,
+		);
+		if (!specifier) continue;
+
+		// export * as Antd from "antd"
+		if (specifier.type === "ExportNamespaceSpecifier") {
+			return { source: statement.source.value, segments: [] };
+		}
+		const localName = getKeyName(specifier.local, false);
+		if (statement.source) {
+			return { source: statement.source.value, segments: [localName] };
+		}
+		const binding = program.scope.getBinding(localName);
+		return binding ? getBindingAccessPath(binding, localName, depth + 1) : null;
+	}
+
+	return exportAll;
+}
+
+/**
+ * @description 상대 경로 import(로컬 barrel 파일)를 재export를 따라가 패키지 출처로 바꿉니다.
+ * 따라갈 수 없으면(모듈 안에서 정의한 컴포넌트, tsconfig 경로 별칭 등) 받은 접근 경로를 그대로 반환합니다.
+ * @param {object} context { filePath, addDependency } (addDependency는 읽은 barrel 파일을 캐시 의존성으로 기록)
+ */
+export function resolveAccessSource(access, context, depth = 0) {
+	const [exportName, ...rest] = access?.segments || [];
+	if (!access?.source?.startsWith(".") || !exportName || depth > MAX_DEPTH) {
+		return access;
+	}
+
+	const absolutePath = resolveModulePath(
+		path.resolve(context.filePath),
+		access.source,
+	);
+	if (!absolutePath) return access;
+
+	const filePath = path.relative(process.cwd(), absolutePath);
+	context.addDependency?.(filePath);
+	const program = loadModule(absolutePath);
+	const moduleContext = { ...context, filePath };
+	const exported =
+		program && findExportAccess(program, exportName, moduleContext, depth);
+	if (!exported?.source) return access;
+
+	return resolveAccessSource(
+		{ source: exported.source, segments: [...exported.segments, ...rest] },
+		moduleContext,
+		depth + 1,
+	);
+}
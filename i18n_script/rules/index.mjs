@@ -0,0 +1,32 @@
+import noHardcodedDataAttribute from "./no-hardcoded-data-attribute.mjs";
+import noHardcodedJsxProps from "./no-hardcoded-jsx-props.mjs";
+import noHardcodedJsxText from "./no-hardcoded-jsx-text.mjs";
+import noHardcodedObjectProperty from "./no-hardcoded-object-property.mjs";
+import noHardcodedToast from "./no-hardcoded-toast.mjs";
+import noMismatchedDefaultValue from "./no-mismatched-default-value.mjs";
+import noMissingPluralForm from "./no-missing-plural-form.mjs";
+import noMissingTranslationKey from "./no-missing-translation-key.mjs";
+import noTextConcatenation from "./no-text-concatenation.mjs";
+import noTransWithoutKey from "./no-trans-without-key.mjs";
+
+// 규칙 엔진에 등록되는 규칙 (같은 노드를 여러 규칙이 보고하면 앞의 규칙이 우선)
+export const JSX_RULES = [
+	noHardcodedJsxText,
+	noHardcodedJsxProps,
+	noTransWithoutKey,
+	noTextConcatenation,
+];
+
+export const TOAST_RULES = [
+	noHardcodedDataAttribute,
+	noHardcodedToast,
+	noHardcodedObjectProperty,
+];
+
+export const KEY_RULES = [
+	noMissingTranslationKey,
+	noMissingPluralForm,
+	noMismatchedDefaultValue,
+];
+
+export const RULE_DEFINITIONS = [...JSX_RULES, ...TOAST_RULES, ...KEY_RULES];
@@ -0,0 +1,220 @@
+import {
+	formatAccessPath,
+	getAccessPath,
+	resolveAccessSource,
+} from "./access-paths.mjs";
+import {
+	classifyText,
+	getStaticText,
+	TEXT_DEFAULT_OPTIONS,
+} from "./natural-language.mjs";
+import { findStringOrigins } from "./value-origins.mjs";
+
+// JSX 하드코딩 규칙(no-hardcoded-jsx-text, no-hardcoded-jsx-props)이 공유하는 옵션과 판별 로직
+
+// 설정의 jsx 섹션이 이 값 위에 병합됩니다
+export const JSX_DEFAULT_OPTIONS = {
+	allowStrings: false,
+	allowNumbers: true,
+	checkProps: ["title", "aria-label", "alt", "placeholder"],
+	dom: {
+		img: {
+			checkProps: ["alt", "title", "aria-label"],
+		},
+		input: {
+			checkProps: ["placeholder", "title", "aria-label"],
+		},
+		button: {
+			checkProps: ["title", "aria-label"],
+		},
+		a: {
+			checkProps: ["title", "aria-label"],
+		},
+		area: {
+			checkProps: ["alt", "title", "aria-label"],
+		},
+	},
+	// 프로젝트 특정 모듈 설정
+	/**
+	 * @description 특정 라이브러리 모듈을 검사하고 싶다면 다음과 같이 하세요.
+	 * import 출처(패키지 이름)와 export 기준 컴포넌트 이름(Form.Item 같은 멤버 포함)으로 찾으므로
+	 * import { Button as AntButton } from "antd"나 로컬 barrel 파일의 재export로 가져온 컴포넌트에도 적용됩니다.
+	 * @example
+	 * antd: {
+	 *   Button: {
+	 *     allowStrings: false,
+	 *     checkProps: ['children'],
+	 *   },
+	 *   Input: {
+	 *     allowStrings: false,
+	 *     checkProps: ['placeholder', 'addonBefore', 'addonAfter'],
+	 *   },
+	 *   Modal: {
+	 *     allowStrings: false,
+	 *     checkProps: ['title', 'children'],
+	 *   },
+	 *   Tooltip: {
+	 *     allowStrings: false,
+	 *     checkProps: ['title', 'children'],
+	 *   },
+	 *   'Form.Item': {
+	 *     allowStrings: false,
+	 *     checkProps: ['label', 'extra', 'tooltip'],
+	 *   },
+	 * },
+	 */
+	modules: {},
+	// 자연어 판별 옵션 (요소별 옵션과 관계없이 규칙 전체에 적용)
+	text: TEXT_DEFAULT_OPTIONS,
+};
+
+/**
+ * @description JSX 요소에 적용할 옵션을 구합니다.
+ * DOM 요소는 dom, import한 컴포넌트는 modules[출처][컴포넌트 이름]을 사용하고 없으면 전역 옵션을 사용합니다.
+ * @param {object} context { filePath, addDependency } (로컬 barrel 파일 추적용)
+ */
+export function getOptionsForNode(path, options, context) {
+	const tagName = path.node.openingElement.name.name;
+
+	// DOM 요소인지 확인 (소문자로 시작)
+	if (tagName && tagName[0] === tagName[0].toLowerCase()) {
+		// DOM 요소
+		return options.dom[tagName] || options;
+	}
+
+	// React 컴포넌트 - import 출처 기준 모듈 설정 (<Form.Item>, 별칭 import 포함)
+	const access = resolveAccessSource(
+		getAccessPath(path.get("openingElement.name")),
+		context,
+	);
+	const componentName = access?.source && formatAccessPath(access.segments);
+	return options.modules[access?.source]?.[componentName] || options;
+}
+
+// <Trans>를 export하는 react-i18next 계열 패키지
+const TRANS_SOURCES = ["react-i18next", "next-i18next"];
+
+/**
+ * @description react-i18next의 <Trans> 요소인지 확인합니다 (별칭 import, 로컬 barrel 재export 포함).
+ */
+export function isTransElement(path, context) {
+	const access = resolveAccessSource(
+		getAccessPath(path.get("openingElement.name")),
+		context,
+	);
+	return (
+		TRANS_SOURCES.includes(access?.source) &&
+		formatAccessPath(access.segments) === "Trans"
+	);
+}
+
+export function hasTransKey(path) {
+	return path.node.openingElement.attributes.some(
+		(attribute) =>
+			attribute.type === "JSXAttribute" && attribute.name.name === "i18nKey",
+	);
+}
+
+// <Trans> 요소 자신이거나 그 자손 요소인지 확인
+// i18nKey가 있으면 자식은 기본 언어 기본값이고, 없으면 no-trans-without-key가 <Trans>를 보고
+export function isInsideTrans(path, context) {
+	return Boolean(
+		path.find(
+			(parentPath) =>
+				parentPath.isJSXElement() && isTransElement(parentPath, context),
+		),
+	);
+}
+
+/**
+ * @description 하드코딩으로 보고할 값인지 확인합니다.
+ * 문자열은 allowStrings가 아니면 자연어 판별(textOptions)로 사용자에게 보이는 문자열만 골라냅니다.
+ */
+export function isInvalidContent(
+	node,
+	{ allowStrings = false, allowNumbers = true },
+	textOptions = TEXT_DEFAULT_OPTIONS,
+) {
+	if (!node) return false;
+
+	// Literal 노드 (Babel은 StringLiteral/NumericLiteral로 구분)
+	if (
+		(node.type === "Literal" || node.type === "NumericLiteral") &&
+		typeof node.value === "number"
+	) {
+		return !allowNumbers;
+	}
+
+	// JSXText, 문자열 리터럴, 템플릿 리터럴 (빈 텍스트와 기호/URL 등은 허용)
+	if (
+		node.type === "JSXText" ||
+		node.type === "TemplateLiteral" ||
+		((node.type === "Literal" || node.type === "StringLiteral") &&
+			typeof node.value === "string")
+	) {
+		if (allowStrings) return false;
+		return classifyText(getStaticText(node), textOptions).userFacing;
+	}
+
+	// JSXExpressionContainer 노드
+	if (node.type === "JSXExpressionContainer") {
+		return isInvalidContent(
+			node.expression,
+			{ allowStrings, allowNumbers },
+			textOptions,
+		);
+	}
+
+	return false;
+}
+
+// 보고할 때 표시할 판별 근거
+export function getContentReason(node, textOptions = TEXT_DEFAULT_OPTIONS) {
+	if (node.type === "JSXExpressionContainer") {
+		return getContentReason(node.expression, textOptions);
+	}
+	if (typeof node.value === "number") {
+		return "숫자 값 (allowNumbers: false)";
+	}
+	return classifyText(getStaticText(node), textOptions).reason;
+}
+
+export function getStringValue(node) {
+	if (!node) return "";
+
+	if (node.type === "JSXText") {
+		return node.value;
+	}
+	if (
+		node.type === "Literal" ||
+		node.type === "StringLiteral" ||
+		node.type === "NumericLiteral"
+	) {
+		return String(node.value);
+	}
+	if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+		return node.quasis[0]?.value?.raw || "";
+	}
+	if (node.type === "JSXExpressionContainer") {
+		return getStringValue(node.expression);
+	}
+
+	return "[복잡한 표현식]";
+}
+
+/**
+ * @description 변수/상수, 조건식과 논리식의 분기를 거쳐 JSX에 렌더링되는 하드코딩 문자열을 찾습니다.
+ * 리터럴을 직접 쓴 경우는 isInvalidContent가 처리하므로 JSXExpressionContainer 안의 식에 사용합니다.
+ */
+export function findInvalidOrigins(
+	valuePath,
+	elementOptions,
+	originContext,
+	textOptions,
+) {
+	return findStringOrigins(valuePath, originContext).filter(
+		(origin) =>
+			getStaticText(origin.node).trim() !== "" &&
+			isInvalidContent(origin.node, elementOptions, textOptions),
+	);
+}
@@ -0,0 +1,217 @@
+// 하드코딩 규칙이 공유하는 자연어 판별: 문자열이 사용자에게 보이는 문장/단어인지 점수로 판단
+
+// 설정의 jsx.text, toast.text가 이 값 위에 병합됩니다
+export const TEXT_DEFAULT_OPTIONS = {
+	// 이 문자 체계(Unicode Script 이름)의 글자가 있는 문자열만 보고 (예: ["Hangul"]). 비어 있으면 모든 문자 체계
+	scripts: [],
+	// 사용자 노출 문자열로 판단할 최소 점수 (0~1)
+	minScore: 0.5,
+	/**
+	 * @description 기본 판별 결과를 바꾸는 함수 (JS 설정 파일에서만 지정 가능)
+	 * true/false 또는 { userFacing, reason }을 반환하며, undefined를 반환하면 기본 판별을 사용합니다.
+	 * @example
+	 * classifier: (text, result) => (/^[A-Z]{2,5}$/.test(text) ? false : undefined),
+	 */
+	classifier: null,
+};
+
+// 판별 근거에 표시할 문자 체계 이름
+const SCRIPT_LABELS = {
+	Hangul: "한글",
+	Han: "한자",
+	Hiragana: "히라가나",
+	Katakana: "가타카나",
+	Latin: "영문",
+	Cyrillic: "키릴 문자",
+	Greek: "그리스 문자",
+	Arabic: "아랍 문자",
+	Hebrew: "히브리 문자",
+	Thai: "태국 문자",
+	Devanagari: "데바나가리 문자",
+};
+
+const LETTER = /\p{L}/gu;
+const WORD = /\p{L}{2,}/gu;
+
+// 글자가 있어도 사용자에게 보이는 문장이 아닌 형식 (문자열 전체가 일치해야 함)
+const TECHNICAL_FORMATS = [
+	{
+		name: "URL",
+		pattern: /^(?:[a-z][a-z\d+.-]*:\/\/|www\.|mailto:|tel:)\S+$/i,
+	},
+	{ name: "이메일 주소", pattern: /^[\w.+-]+@[\w-]+(?:\.[\w-]+)+$/ },
+	{ name: "경로", pattern: /^\.{0,2}\/[\w@.\-/:[\]{}]*$/ },
+	{ name: "MIME 타입", pattern: /^[a-z]+\/[a-z\d.+-]+$/ },
+	{
+		name: "단축키",
+		pattern:
+			/^(?:(?:ctrl|control|cmd|command|alt|option|opt|shift|meta|super|win|mod)\s*[+-]\s*|[⌘⌥⇧⌃]\s*)+(?:[a-z\d]|f\d{1,2}|enter|return|esc|escape|tab|space|delete|del|backspace|up|down|left|right|home|end|pageup|pagedown|[^\s\w])$/i,
+	},
+	{
+		name: "CSS 색상",
+		pattern:
+			/^(?:#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})|(?:rgba?|hsla?)\(.*\))$/i,
+	},
+	{
+		name: "CSS 값",
+		pattern:
+			/^(?:(?:-?\d*\.?\d+(?:px|r?em|%|vh|vw|vmin|vmax|ch|pt|s|ms|deg|fr)?|auto|inherit|none)\s*)+$|^(?:calc|var|url|min|max|clamp|(?:linear|radial)-gradient)\(.*\)$/i,
+	},
+	{
+		name: "CSS 선언",
+		pattern: /^(?:-?[a-z]+(?:-[a-z]+)*\s*:\s*[^;:]+;\s*)+$/i,
+	},
+	{
+		// "flex items-center gap-2", "text-gray-500", "md:hidden"
+		name: "CSS 클래스 목록",
+		test: (text) => {
+			const tokens = text.split(/\s+/);
+			return (
+				tokens.every(
+					(token) => /^[a-z\d:[\]/.%#!-]+$/.test(token) && /[a-z]/.test(token),
+				) &&
+				(tokens.some((token) => /[:[\d]/.test(token)) ||
+					tokens.every((token) => token.includes("-")))
+			);
+		},
+	},
+	{
+		name: "날짜/시간",
+		pattern:
+			/^(?:Y+|M+|D+|d+|H+|h+|m+|s+|S+|A|a|Z+|E+|Q|w+|W+|x|X)(?:[-/.:,\s]+(?:Y+|M+|D+|d+|H+|h+|m+|s+|S+|A|a|Z+|E+|Q|w+|W+|x|X))+$/,
+	},
+	{ name: "코드/식별자", pattern: /^(?=.*\d)[A-Z\d]+(?:[-_/][A-Z\d]+)+$/ },
+	{
+		name: "코드/식별자",
+		pattern: /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z\d]{4,}$/,
+	},
+	{ name: "점으로 구분된 키/파일 이름", pattern: /^[\w-]+(?:\.[\w-]+)+$/ },
+	{ name: "변수/상수 이름", pattern: /^[a-z]+(?:[A-Z][a-z\d]*)+$/ },
+	{ name: "변수/상수 이름", pattern: /^[A-Z][A-Z\d]*(?:_[A-Z\d]+)+$/ },
+	{ name: "변수/상수 이름", pattern: /^[a-z][a-z\d]*(?:_[a-z\d]+)+$/ },
+];
+
+const scriptPatterns = new Map();
+
+function getScriptPattern(script) {
+	if (!scriptPatterns.has(script)) {
+		scriptPatterns.set(script, new RegExp(`\\p{Script=${script}}`, "u"));
+	}
+	return scriptPatterns.get(script);
+}
+
+// 설정 검증용: Unicode Script 이름인지 확인
+export function isScriptName(script) {
+	try {
+		getScriptPattern(script);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+function getScriptLabel(script) {
+	return SCRIPT_LABELS[script] || script;
+}
+
+function findTechnicalFormat(text) {
+	return TECHNICAL_FORMATS.find(({ pattern, test }) =>
+		pattern ? pattern.test(text) : test(text),
+	);
+}
+
+function classifyDefault(text, { scripts, minScore }) {
+	if (!text) {
+		return { userFacing: false, score: 0, reason: "빈 문자열" };
+	}
+
+	const letterCount = text.match(LETTER)?.length || 0;
+	if (letterCount === 0) {
+		return {
+			userFacing: false,
+			score: 0,
+			reason: "글자 없이 기호/숫자만 있음",
+		};
+	}
+
+	const format = findTechnicalFormat(text);
+	if (format) {
+		return { userFacing: false, score: 0, reason: `${format.name} 형식` };
+	}
+
+	if (
+		scripts.length > 0 &&
+		!scripts.some((script) => getScriptPattern(script).test(text))
+	) {
+		return {
+			userFacing: false,
+			score: 0,
+			reason: `${scripts.map(getScriptLabel).join("/")} 글자 없음`,
+		};
+	}
+
+	// 영문 외 문자 체계의 글자는 그 자체로 자연어로 봄
+	const nonLatin = Object.keys(SCRIPT_LABELS).find(
+		(script) => script !== "Latin" && getScriptPattern(script).test(text),
+	);
+	const letterRatio = letterCount / text.replace(/\s/g, "").length;
+	const words = text.match(WORD) || [];
+
+	let score;
+	let reason;
+	if (nonLatin) {
+		score = 1;
+		reason = `${getScriptLabel(nonLatin)} 포함`;
+	} else if (words.length >= 2) {
+		score = Math.min(1, letterRatio + 0.3);
+		reason = `단어 ${words.length}개로 된 문구`;
+	} else if (words.length === 1) {
+		score = letterRatio;
+		reason = `단어 "${words[0]}"`;
+	} else {
+		score = 0;
+		reason = "두 글자 이상인 단어 없음";
+	}
+
+	const userFacing = score >= minScore;
+	return {
+		userFacing,
+		score,
+		reason: userFacing
+			? reason
+			: `${reason} (점수 ${score.toFixed(2)} < ${minScore})`,
+	};
+}
+
+/**
+ * @description 문자열이 사용자에게 보이는 자연어인지 판별합니다.
+ * 글자 유무, 기술적 형식(URL, 이메일, CSS, 단축키, 식별자 등), 문자 체계, 단어 모양 순으로 판단하며
+ * reason은 보고할 때 왜 사용자 노출 문자열로 봤는지(또는 왜 제외했는지) 설명합니다.
+ * @returns {{ userFacing: boolean, score: number, reason: string }}
+ */
+export function classifyText(text, options = TEXT_DEFAULT_OPTIONS) {
+	const {
+		scripts = [],
+		minScore = TEXT_DEFAULT_OPTIONS.minScore,
+		classifier,
+	} = options;
+	const result = classifyDefault(text.trim(), { scripts, minScore });
+	if (!classifier) return result;
+
+	const custom = classifier(text, result);
+	if (custom === undefined || custom === null) return result;
+	if (typeof custom === "boolean") {
+		return custom === result.userFacing
+			? result
+			: { ...result, userFacing: custom, reason: "사용자 정의 판별 함수" };
+	}
+	return { ...result, reason: "사용자 정의 판별 함수", ...custom };
+}
+
+// 표현식 없이 쓴 텍스트 부분 (템플릿 리터럴은 정적 부분만, 보간 위치는 공백)
+export function getStaticText(node) {
+	if (node.type === "TemplateLiteral") {
+		return node.quasis.map((quasi) => quasi.value.cooked ?? "").join(" ");
+	}
+	return String(node.value ?? "");
+}
@@ -0,0 +1,102 @@
+import ConfigLoader from "../config-loader.mjs";
+import { checkCode } from "../test-helpers.mjs";
+import { JSX_RULES } from "./index.mjs";
+import { classifyText } from "./natural-language.mjs";
+
+describe("classifyText", () => {
+	test.each([
+		["·", "글자 없이 기호/숫자만 있음"],
+		["→", "글자 없이 기호/숫자만 있음"],
+		["|", "글자 없이 기호/숫자만 있음"],
+		["https://example.com/docs", "URL 형식"],
+		["support@example.com", "이메일 주소 형식"],
+		["flex items-center gap-2", "CSS 클래스 목록 형식"],
+		["12px", "CSS 값 형식"],
+		["#fff", "CSS 색상 형식"],
+		["Ctrl+S", "단축키 형식"],
+		["SKU-1234-AB", "코드/식별자 형식"],
+		["YYYY-MM-DD", "날짜/시간 형식"],
+		["userName", "변수/상수 이름 형식"],
+	])("%s: 사용자 노출 문자열이 아님 (%s)", (text, reason) => {
+		expect(classifyText(text)).toEqual({ userFacing: false, score: 0, reason });
+	});
+
+	test.each([
+		["안녕하세요", "한글 포함"],
+		["Save changes", "단어 2개로 된 문구"],
+		["Cancel", '단어 "Cancel"'],
+	])("%s: 사용자 노출 문자열 (%s)", (text, reason) => {
+		expect(classifyText(text)).toMatchObject({ userFacing: true, reason });
+	});
+
+	test("scripts를 지정하면 그 문자 체계의 글자가 있는 문자열만 보고", () => {
+		const options = { scripts: ["Hangul"] };
+
+		expect(classifyText("Save changes", options)).toMatchObject({
+			userFacing: false,
+			reason: "한글 글자 없음",
+		});
+		expect(classifyText("저장 Save", options).userFacing).toBe(true);
+	});
+
+	test("minScore보다 점수가 낮으면 제외하고 점수를 이유에 표시", () => {
+		expect(classifyText("OK!!!", { minScore: 0.8 })).toMatchObject({
+			userFacing: false,
+			reason: '단어 "OK" (점수 0.40 < 0.8)',
+		});
+	});
+
+	test("classifier 함수는 기본 판별을 덮어쓰고, undefined면 기본 판별을 사용", () => {
+		const classifier = (text) => {
+			if (text === "OK") return false;
+			if (text === "v2") return { userFacing: true, reason: "버전 표기" };
+			return undefined;
+		};
+
+		expect(classifyText("OK", { classifier })).toMatchObject({
+			userFacing: false,
+			reason: "사용자 정의 판별 함수",
+		});
+		expect(classifyText("v2", { classifier })).toMatchObject({
+			userFacing: true,
+			reason: "버전 표기",
+		});
+		expect(classifyText("Cancel", { classifier }).reason).toBe('단어 "Cancel"');
+	});
+});
+
+describe("하드코딩 규칙의 자연어 판별", () => {
+	test("기호, URL, 단축키는 보고하지 않고, 보고한 위반에는 판별 이유를 남김", () => {
+		const errors = checkCode(
+			JSX_RULES,
+			`export const App = () => (
+	<p>
+		<span>·</span>
+		<a href="https://example.com">https://example.com</a>
+		<kbd>Ctrl+S</kbd>
+		<span>저장되었습니다</span>
+	</p>
+);`,
+		);
+
+		expect(errors.map(({ value, reason }) => [value, reason])).toEqual([
+			["저장되었습니다", "한글 포함"],
+		]);
+	});
+
+	test("jsx.text.scripts로 한글이 있는 문자열만 보고", () => {
+		const errors = checkCode(
+			JSX_RULES,
+			`export const App = () => <p><b>Hello world</b><i>안녕</i></p>;`,
+			{ config: { jsx: { text: { scripts: ["Hangul"] } } } },
+		);
+
+		expect(errors.map(({ value }) => value)).toEqual(["안녕"]);
+	});
+
+	test("Unicode 문자 체계 이름이 아닌 scripts는 설정 오류", () => {
+		expect(
+			ConfigLoader.validate({ jsx: { text: { scripts: ["Hangle"] } } }),
+		).toEqual([expect.stringContaining("Unicode 문자 체계 이름이어야 합니다")]);
+	});
+});
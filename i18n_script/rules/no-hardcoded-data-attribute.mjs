@@ -0,0 +1,49 @@
+import { suggestKey } from "../key-suggester.mjs";
+import {
+	getHardcodedReason,
+	getStringValue,
+	isHardcodedValue,
+	TOAST_DEFAULT_OPTIONS,
+} from "./toast-values.mjs";
+
+// 툴팁/메시지로 노출되는 data-* 속성 하드코딩: <span data-tooltip="도움말" />
+export default {
+	id: "no-hardcoded-data-attribute",
+	meta: {
+		description: "data-* 툴팁/메시지 속성 하드코딩",
+		defaultSeverity: "error",
+		fixable: true,
+		types: ["jsx-attribute"],
+		optionsKey: "toast",
+		defaultOptions: TOAST_DEFAULT_OPTIONS,
+	},
+
+	create({ options, report }) {
+		return {
+			JSXAttribute(path) {
+				const { node } = path;
+				const attrName = node.name.name;
+
+				if (
+					!options.dataAttributes.includes(attrName) ||
+					!isHardcodedValue(node.value, options)
+				) {
+					return;
+				}
+
+				const value = getStringValue(node.value);
+				const key = suggestKey(attrName, value);
+				report({
+					node: node.value,
+					message: `하드코딩된 JSX 속성 "${attrName}"`,
+					type: "jsx-attribute",
+					value,
+					attributeName: attrName,
+					key,
+					reason: getHardcodedReason(node.value, options),
+					suggestion: `${attrName}={t('${key}')}`,
+				});
+			},
+		};
+	},
+};
@@ -0,0 +1,83 @@
+import { suggestKey } from "../key-suggester.mjs";
+import {
+	findInvalidOrigins,
+	getContentReason,
+	getOptionsForNode,
+	getStringValue,
+	isInvalidContent,
+	JSX_DEFAULT_OPTIONS,
+} from "./jsx-content.mjs";
+import { getOriginReport } from "./value-origins.mjs";
+
+// 사용자에게 보이는 JSX 속성 하드코딩: <img alt="로고" />
+export default {
+	id: "no-hardcoded-jsx-props",
+	meta: {
+		description: "JSX 속성 값 하드코딩",
+		defaultSeverity: "error",
+		fixable: true,
+		types: ["jsx-prop"],
+		optionsKey: "jsx",
+		defaultOptions: JSX_DEFAULT_OPTIONS,
+	},
+
+	create({ filePath, options, addDependency, report }) {
+		const originContext = { filePath, addDependency };
+
+		return {
+			JSXElement(path) {
+				const elementOptions = getOptionsForNode(path, options, originContext);
+				const { checkProps = [] } = elementOptions;
+
+				path.get("openingElement.attributes").forEach((attrPath) => {
+					const attr = attrPath.node;
+					if (
+						attr.type !== "JSXAttribute" ||
+						!checkProps.includes(attr.name.name)
+					) {
+						return;
+					}
+
+					const propName = attr.name.name;
+					const reportValue = (
+						valueNode,
+						{ node: target, origin, originText },
+					) => {
+						const value = getStringValue(valueNode);
+						const key = suggestKey(propName, value);
+						report({
+							node: target,
+							message: `하드코딩된 JSX 속성 "${propName}"${originText}`,
+							type: "jsx-prop",
+							value,
+							key,
+							reason: getContentReason(valueNode, options.text),
+							suggestion: `${propName}={t('${key}')}로 교체하세요`,
+							...(origin && { origin }),
+						});
+					};
+
+					if (isInvalidContent(attr.value, elementOptions, options.text)) {
+						reportValue(attr.value, {
+							node: attr.value || attr,
+							origin: null,
+							originText: "",
+						});
+						return;
+					}
+
+					// title={LABEL}, title={isEdit ? "수정" : "추가"}
+					if (attr.value?.type !== "JSXExpressionContainer") return;
+					findInvalidOrigins(
+						attrPath.get("value"),
+						elementOptions,
+						originContext,
+						options.text,
+					).forEach((found) => {
+						reportValue(found.node, getOriginReport(found));
+					});
+				});
+			},
+		};
+	},
+};
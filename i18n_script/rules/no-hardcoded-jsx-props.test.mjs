@@ -0,0 +1,61 @@
+import path from "node:path";
+import {
+	checkCode,
+	createTempProject,
+	removeTempProject,
+} from "../test-helpers.mjs";
+import noHardcodedJsxProps from "./no-hardcoded-jsx-props.mjs";
+
+const MODULES = {
+	antd: {
+		"Form.Item": { checkProps: ["label"] },
+		Modal: { checkProps: ["okText"] },
+	},
+};
+
+describe("no-hardcoded-jsx-props", () => {
+	let root;
+
+	beforeEach(() => {
+		root = createTempProject({
+			// 로컬 barrel 파일의 재export
+			"src/ui/index.ts": `export { Form as AntForm } from "antd";\n`,
+		});
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const check = (code) =>
+		checkCode([noHardcodedJsxProps], code, {
+			config: { jsx: { modules: MODULES } },
+			filePath: path.join(root, "src/App.tsx"),
+		}).map(({ value }) => value);
+
+	test("import 출처와 멤버 이름으로 모듈별 옵션을 찾음 (별칭, barrel 재export 포함)", () => {
+		expect(
+			check(`import { Form, Modal as Dialog } from "antd";
+import { AntForm } from "./ui";
+import { Field } from "./field";
+
+export const App = () => (
+	<>
+		<Form.Item label="사용자 이름" />
+		<AntForm.Item label="비밀번호 확인" />
+		<Dialog okText="저장하고 닫기" title="모듈 설정에 없는 속성" />
+		<Field label="설정 대상이 아닌 컴포넌트" />
+	</>
+);
+`),
+		).toEqual(["사용자 이름", "비밀번호 확인", "저장하고 닫기"]);
+	});
+
+	test("모듈 설정이 없는 컴포넌트는 전역 checkProps를 사용", () => {
+		expect(
+			check(`import { Card } from "antd";
+export const App = () => <Card title="카드 제목입니다" label="라벨" />;
+`),
+		).toEqual(["카드 제목입니다"]);
+	});
+});
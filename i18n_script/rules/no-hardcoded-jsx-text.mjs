@@ -0,0 +1,74 @@
+import { suggestKey } from "../key-suggester.mjs";
+import {
+	findInvalidOrigins,
+	getContentReason,
+	getOptionsForNode,
+	getStringValue,
+	isInsideTrans,
+	isInvalidContent,
+	JSX_DEFAULT_OPTIONS,
+} from "./jsx-content.mjs";
+import { getOriginReport } from "./value-origins.mjs";
+
+// JSX 자식 텍스트 하드코딩: <p>안녕하세요</p> (<Trans> 자식은 제외)
+export default {
+	id: "no-hardcoded-jsx-text",
+	meta: {
+		description: "JSX 텍스트 콘텐츠 하드코딩",
+		defaultSeverity: "error",
+		fixable: true,
+		types: ["jsx-children"],
+		optionsKey: "jsx",
+		defaultOptions: JSX_DEFAULT_OPTIONS,
+	},
+
+	create({ filePath, options, addDependency, report }) {
+		const originContext = { filePath, addDependency };
+
+		return {
+			JSXElement(path) {
+				// <Trans i18nKey="key">의 자식은 기본값이므로 키 규칙이 locale 값과 비교
+				if (isInsideTrans(path, originContext)) return;
+
+				const elementOptions = getOptionsForNode(path, options, originContext);
+
+				const reportValue = (
+					valueNode,
+					{ node: target, origin, originText },
+				) => {
+					const value = getStringValue(valueNode);
+					const key = suggestKey("text", value);
+					report({
+						node: target,
+						message: `하드코딩된 JSX 텍스트 콘텐츠${originText}`,
+						type: "jsx-children",
+						value,
+						key,
+						reason: getContentReason(valueNode, options.text),
+						suggestion: `{t('${key}')}로 교체하세요`,
+						...(origin && { origin }),
+					});
+				};
+
+				path.get("children").forEach((childPath) => {
+					const child = childPath.node;
+					if (isInvalidContent(child, elementOptions, options.text)) {
+						reportValue(child, { node: child, origin: null, originText: "" });
+						return;
+					}
+
+					// {LABEL}, {count > 0 ? "있음" : "없음"}
+					if (child.type !== "JSXExpressionContainer") return;
+					findInvalidOrigins(
+						childPath,
+						elementOptions,
+						originContext,
+						options.text,
+					).forEach((found) => {
+						reportValue(found.node, getOriginReport(found));
+					});
+				});
+			},
+		};
+	},
+};
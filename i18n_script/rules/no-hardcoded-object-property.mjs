@@ -0,0 +1,200 @@
+import { suggestKey } from "../key-suggester.mjs";
+import {
+	getCalleeText,
+	getHardcodedReason,
+	getPropertyName,
+	getStringValue,
+	isHardcodedValue,
+	isToastCall,
+	isUserFacingProperty,
+	TOAST_DEFAULT_OPTIONS,
+} from "./toast-values.mjs";
+
+// 객체 리터럴을 감싸도 값이 그대로 전달되는 표현식 (as const, satisfies, 괄호, 조건식 등)
+const TRANSPARENT_WRAPPERS = [
+	"TSAsExpression",
+	"TSSatisfiesExpression",
+	"TSTypeAssertion",
+	"TSNonNullExpression",
+	"ParenthesizedExpression",
+	"ConditionalExpression",
+	"LogicalExpression",
+	"SpreadElement",
+];
+
+// 사용자에게 보이지 않는 값을 받는 함수 (로그, 번역 함수의 옵션 등)
+const NON_UI_CALLEE = /^(console\..+|t|i18n\.t|i18next\.t|require)$/;
+
+/**
+ * @description 객체 리터럴이 속한 가장 바깥 리터럴 표현식을 구합니다.
+ * 배열 요소와 중첩 객체(메뉴의 children 등)를 따라 올라가므로
+ * const columns = [{ title: "이름" }, { title: "나이" }]에서는 배열 전체가 됩니다.
+ */
+function getLiteralRoot(objectPath) {
+	let current = objectPath;
+
+	while (current.parentPath) {
+		const parent = current.parentPath;
+		if (
+			parent.isArrayExpression() ||
+			TRANSPARENT_WRAPPERS.includes(parent.node.type)
+		) {
+			current = parent;
+		} else if (parent.isObjectProperty() && current.key === "value") {
+			current = parent.parentPath;
+		} else {
+			break;
+		}
+	}
+
+	return current;
+}
+
+// 함수 인수나 useMemo(() => [...]) 콜백의 반환값이면 그 호출식으로 값의 흐름을 이어감
+function getValueHolder(rootPath) {
+	let current = rootPath;
+
+	for (;;) {
+		const parent = current.parentPath;
+		if (parent?.isCallExpression() && current.listKey === "arguments") {
+			current = parent;
+			continue;
+		}
+
+		const returned = parent?.isReturnStatement()
+			? parent.getFunctionParent()
+			: parent?.isArrowFunctionExpression() && current.key === "body"
+				? parent
+				: null;
+		if (
+			returned?.parentPath?.isCallExpression() &&
+			returned.listKey === "arguments"
+		) {
+			current = returned.parentPath;
+			continue;
+		}
+
+		return current;
+	}
+}
+
+// 식이 같은 문장 안에서 JSX 속성 값으로 쓰이는지 확인 (columns={columns.filter(...)} 포함)
+function isInJSXAttribute(path) {
+	const owner = path.findParent(
+		(parent) =>
+			parent.isJSXAttribute() || parent.isStatement() || parent.isFunction(),
+	);
+	return Boolean(owner?.isJSXAttribute());
+}
+
+function getDeclaredBinding(holderPath) {
+	const declarator = holderPath.parentPath;
+	if (
+		!declarator?.isVariableDeclarator() ||
+		holderPath.key !== "init" ||
+		declarator.node.id.type !== "Identifier"
+	) {
+		return null;
+	}
+	return declarator.scope.getBinding(declarator.node.id.name) || null;
+}
+
+// objectScope 옵션: 객체 값이 JSX 속성으로 전달되는지, 모듈에서 export되는지 ("all"은 범위 제한 없음)
+const SCOPE_CHECKS = {
+	"jsx-props": (holderPath) => {
+		if (isInJSXAttribute(holderPath)) return true;
+		const binding = getDeclaredBinding(holderPath);
+		return Boolean(binding?.referencePaths.some(isInJSXAttribute));
+	},
+	exports: (holderPath) => {
+		if (holderPath.parentPath?.isExportDefaultDeclaration()) return true;
+
+		const binding = getDeclaredBinding(holderPath);
+		if (!binding) return false;
+		if (binding.path.parentPath?.parentPath?.isExportNamedDeclaration()) {
+			return true;
+		}
+		// const columns = [...]; export { columns };
+		return binding.referencePaths.some(
+			(reference) =>
+				reference.parentPath?.isExportSpecifier() ||
+				reference.parentPath?.isExportDefaultDeclaration(),
+		);
+	},
+};
+
+// 함수 호출 외부의 사용자 노출 객체 속성 하드코딩: const columns = [{ title: "이름" }]
+export default {
+	id: "no-hardcoded-object-property",
+	meta: {
+		description: "사용자 노출 객체 속성 하드코딩",
+		defaultSeverity: "error",
+		fixable: true,
+		types: ["object-property"],
+		optionsKey: "toast",
+		defaultOptions: TOAST_DEFAULT_OPTIONS,
+	},
+
+	create({ options, report }) {
+		const scopes = options.objectScope || [];
+		const checksAll = scopes.includes("all");
+
+		const isReportableObject = (objectPath) => {
+			// toast 함수의 객체 인수는 no-hardcoded-toast가 보고
+			const { parentPath } = objectPath;
+			if (
+				parentPath.isCallExpression() &&
+				objectPath.listKey === "arguments" &&
+				isToastCall(parentPath, options)
+			) {
+				return false;
+			}
+
+			const holder = getValueHolder(getLiteralRoot(objectPath));
+			if (
+				holder.isCallExpression() &&
+				NON_UI_CALLEE.test(getCalleeText(holder.node.callee))
+			) {
+				return false;
+			}
+
+			// objectScope에 "all"이 있으면 모든 객체 리터럴 검사
+			return checksAll || scopes.some((scope) => SCOPE_CHECKS[scope]?.(holder));
+		};
+
+		return {
+			ObjectProperty(path) {
+				const { node } = path;
+				// 구조 분해 기본값, 계산된 키, 중첩 객체/배열(내부 속성이 따로 방문됨)은 제외
+				if (!path.parentPath.isObjectExpression() || node.computed) return;
+				if (
+					node.value.type === "ObjectExpression" ||
+					node.value.type === "ArrayExpression"
+				) {
+					return;
+				}
+				if (
+					!isUserFacingProperty(node, options) ||
+					!isHardcodedValue(node.value, options) ||
+					!isReportableObject(path.parentPath)
+				) {
+					return;
+				}
+
+				const propertyName = getPropertyName(node);
+				const value = getStringValue(node.value);
+				const key = suggestKey(propertyName, value);
+				report({
+					node: node.value,
+					message: `하드코딩된 객체 속성 "${propertyName}"`,
+					type: "object-property",
+					value,
+					propertyName,
+					key,
+					reason: getHardcodedReason(node.value, options),
+					suggestion: `${propertyName}: t('${key}')`,
+				});
+			},
+		};
+	},
+};
@@ -0,0 +1,47 @@
+import { checkCode } from "../test-helpers.mjs";
+import { TOAST_RULES } from "./index.mjs";
+
+const CODE = `import { message } from "antd";
+
+const columns = [{ title: "이름", dataIndex: "name" }];
+export const menu = [{ label: "설정 메뉴" }];
+
+function collect(errors, file) {
+	errors.push({ message: "파싱 에러가 발생했습니다", file });
+}
+
+export function Users() {
+	message.error({ content: "불러오기에 실패했습니다" });
+	return <Table columns={columns} pagination={{ title: "페이지 이동" }} />;
+}
+`;
+
+const check = (objectScope) =>
+	checkCode(TOAST_RULES, CODE, {
+		config: objectScope ? { toast: { objectScope } } : {},
+	}).map(({ ruleId, value }) => `${ruleId}: ${value}`);
+
+describe("no-hardcoded-object-property", () => {
+	test("기본 범위는 JSX 속성으로 전달되는 객체만 검사하고 토스트 인수는 중복 보고하지 않음", () => {
+		expect(check()).toEqual([
+			"no-hardcoded-object-property: 이름",
+			"no-hardcoded-toast: 불러오기에 실패했습니다",
+			"no-hardcoded-object-property: 페이지 이동",
+		]);
+	});
+
+	test("exports를 추가하면 모듈에서 export되는 객체도 검사", () => {
+		expect(check(["jsx-props", "exports"])).toContain(
+			"no-hardcoded-object-property: 설정 메뉴",
+		);
+	});
+
+	test("all이면 내부 데이터 객체까지 모든 객체 리터럴을 검사", () => {
+		expect(check(["all"])).toEqual(
+			expect.arrayContaining([
+				"no-hardcoded-object-property: 설정 메뉴",
+				"no-hardcoded-object-property: 파싱 에러가 발생했습니다",
+			]),
+		);
+	});
+});
@@ -0,0 +1,104 @@
+import { suggestKey } from "../key-suggester.mjs";
+import {
+	getCalleeText,
+	getHardcodedReason,
+	getPropertyName,
+	getStringValue,
+	isHardcodedValue,
+	isToastCall,
+	isUserFacingProperty,
+	TOAST_DEFAULT_OPTIONS,
+} from "./toast-values.mjs";
+import { findStringOrigins, getOriginReport } from "./value-origins.mjs";
+
+// Toast/알림 함수 인수 하드코딩: message.error("실패"), toast({ title: "완료" })
+export default {
+	id: "no-hardcoded-toast",
+	meta: {
+		description: "Toast/알림 함수 메시지 하드코딩",
+		defaultSeverity: "error",
+		fixable: true,
+		types: ["toast-function", "toast-object-property"],
+		optionsKey: "toast",
+		defaultOptions: TOAST_DEFAULT_OPTIONS,
+	},
+
+	create({ filePath, options, addDependency, report }) {
+		const originContext = { filePath, addDependency };
+
+		// 인수/속성 값이 될 수 있는 하드코딩 문자열 (변수, 조건식 분기, import한 상수 포함)
+		const findHardcodedOrigins = (valuePath) =>
+			findStringOrigins(valuePath, originContext).filter((origin) =>
+				isHardcodedValue(origin.node, options),
+			);
+
+		// 객체 인수는 속성별로 보고
+		const reportObjectProperties = (objectPath, functionName) => {
+			objectPath.get("properties").forEach((propertyPath) => {
+				const prop = propertyPath.node;
+				if (
+					prop.type !== "ObjectProperty" ||
+					!isUserFacingProperty(prop, options)
+				) {
+					return;
+				}
+
+				const propertyName = getPropertyName(prop);
+				findHardcodedOrigins(propertyPath.get("value")).forEach((found) => {
+					const { node, origin, originText } = getOriginReport(found);
+					const value = getStringValue(found.node);
+					const key = suggestKey(propertyName, value);
+					report({
+						node,
+						message: `하드코딩된 ${functionName} 객체 속성 "${propertyName}"${originText}`,
+						type: "toast-object-property",
+						value,
+						functionName,
+						propertyName,
+						key,
+						reason: getHardcodedReason(found.node, options),
+						suggestion: `${propertyName}: t('${key}')`,
+						...(origin && { origin }),
+					});
+				});
+			});
+		};
+
+		return {
+			CallExpression(path) {
+				if (!isToastCall(path, options)) return;
+				const calleeText = getCalleeText(path.node.callee);
+
+				path.get("arguments").forEach((argPath) => {
+					if (argPath.isObjectExpression()) {
+						reportObjectProperties(argPath, calleeText);
+						return;
+					}
+
+					const origins = findHardcodedOrigins(argPath);
+					// 문자열이 아닌 하드코딩 값 (객체 배열 등)은 인수 위치에 보고
+					if (origins.length === 0 && isHardcodedValue(argPath.node, options)) {
+						origins.push({ node: argPath.node, reference: null });
+					}
+
+					origins.forEach((found) => {
+						const { node, origin, originText } = getOriginReport(found);
+						const value = getStringValue(found.node);
+						const key = suggestKey(calleeText, value);
+						report({
+							node,
+							message: `하드코딩된 ${calleeText} 메시지${originText}`,
+							type: "toast-function",
+							value,
+							functionName: calleeText,
+							key,
+							reason: getHardcodedReason(found.node, options),
+							suggestion: `${calleeText}(t('${key}'))`,
+							...(origin && { origin }),
+						});
+					});
+				});
+			},
+		};
+	},
+};
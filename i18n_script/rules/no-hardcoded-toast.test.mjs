@@ -0,0 +1,65 @@
+import { checkCode } from "../test-helpers.mjs";
+import noHardcodedToast from "./no-hardcoded-toast.mjs";
+
+const check = (code, config = {}) =>
+	checkCode([noHardcodedToast], code, { config }).map(({ value }) => value);
+
+describe("no-hardcoded-toast", () => {
+	test("import한 알림 함수는 별칭, 네임스페이스 import, 훅 인스턴스까지 인식", () => {
+		expect(
+			check(`import { App, message } from "antd";
+import * as Toastify from "react-toastify";
+import { toast as notify } from "react-toastify";
+
+notify("별칭으로 호출한 알림");
+Toastify.toast.error("네임스페이스로 호출한 알림");
+
+export function Page() {
+	const [api] = message.useMessage();
+	const { message: appMessage } = App.useApp();
+	api.error("훅 인스턴스로 호출한 알림");
+	appMessage.success("useApp으로 호출한 알림");
+}
+`),
+		).toEqual([
+			"별칭으로 호출한 알림",
+			"네임스페이스로 호출한 알림",
+			"훅 인스턴스로 호출한 알림",
+			"useApp으로 호출한 알림",
+		]);
+	});
+
+	test("알림 라이브러리에서 import하지 않은 같은 이름의 객체는 무시", () => {
+		expect(
+			check(`const message = { error: (text) => text };
+message.error("로컬 객체의 메서드");
+`),
+		).toEqual([]);
+	});
+
+	test("설정의 sinks로 프로젝트 알림 함수를 추가", () => {
+		expect(
+			check(
+				`import { notify } from "@/lib/notify";
+notify.warn("프로젝트 알림 함수");
+`,
+				{
+					toast: {
+						sinks: [{ from: "@/lib/notify", export: "notify", methods: ["*"] }],
+					},
+				},
+			),
+		).toEqual(["프로젝트 알림 함수"]);
+	});
+
+	test("자리 표시자/값 이름 문자열은 allowPatterns로, 기호와 숫자는 자연어 판별로 제외", () => {
+		expect(
+			check(`alert("\${name}");
+alert("undefined");
+alert("404");
+alert("→");
+alert("Saved successfully");
+`),
+		).toEqual(["Saved successfully"]);
+	});
+});
@@ -0,0 +1,55 @@
+import path from "node:path";
+import noMissingTranslationKey from "./no-missing-translation-key.mjs";
+
+// t("key", "기본값"), <Trans i18nKey="key">기본값</Trans>처럼 코드에 적은 기본값이 기본 언어 locale 값과 같은지 검사
+export default {
+	id: "no-mismatched-default-value",
+	meta: {
+		description: "코드의 기본값과 다른 locale 값",
+		defaultSeverity: "warning",
+		types: ["default-value-mismatch"],
+		optionsKey: "locales",
+		defaultOptions: noMissingTranslationKey.meta.defaultOptions,
+	},
+
+	// locale 파일이 없다는 경고는 no-missing-translation-key가 출력
+	setup(options) {
+		return noMissingTranslationKey.setup(options, { warn: () => {} });
+	},
+
+	cacheKey: noMissingTranslationKey.cacheKey,
+
+	create({ state, addDependency, report }) {
+		if (!state) return {};
+
+		const { store, language, collector } = state;
+
+		return collector.createVisitor((usage) => {
+			if (usage.key === null || usage.defaultValue === null) return;
+
+			// 키가 없으면 no-missing-translation-key가 보고하고, count/context 접미사 키는 비교하지 않음
+			const { key, namespace, defaultValue } = usage;
+			addDependency(
+				path.relative(process.cwd(), store.getFilePath(language, namespace)),
+			);
+			const localeValue = store.getValue(language, namespace, key);
+			if (typeof localeValue !== "string" || localeValue === defaultValue) {
+				return;
+			}
+
+			const localeFile = path.relative(
+				process.cwd(),
+				store.getFilePath(language, namespace),
+			);
+			report({
+				node: usage.node,
+				message: `번역 키 "${namespace}:${key}"의 코드 기본값이 ${language} locale 값 "${localeValue}"와 다릅니다`,
+				type: "default-value-mismatch",
+				value: defaultValue,
+				key,
+				namespace,
+				suggestion: `코드 기본값을 locale 값과 맞추거나 ${localeFile}의 값을 수정하세요`,
+			});
+		});
+	},
+};
@@ -0,0 +1,62 @@
+import {
+	checkCode,
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+} from "../test-helpers.mjs";
+import noMismatchedDefaultValue from "./no-mismatched-default-value.mjs";
+
+describe("no-mismatched-default-value", () => {
+	let root;
+	let config;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": {
+				greeting: "안녕하세요",
+				welcome: "환영합니다 <1>{{name}}</1>",
+				item_other: "{{count}}개",
+			},
+		});
+		config = { locales: localeOptions(root) };
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const check = (code) =>
+		checkCode([noMismatchedDefaultValue], code, { config }).map(
+			({ key, value }) => `${key}: ${value}`,
+		);
+
+	test("t()의 두 번째 인수와 defaultValue 옵션을 locale 값과 비교", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("greeting", "안녕하세요");
+t("greeting", "안녕");
+t("greeting", { defaultValue: "반가워요" });`),
+		).toEqual(["greeting: 안녕", "greeting: 반가워요"]);
+	});
+
+	test("<Trans>의 자식과 defaults 속성을 locale 값과 비교", () => {
+		expect(
+			check(`import { Trans } from "react-i18next";
+export const App = ({ name }) => (
+	<>
+		<Trans i18nKey="welcome">환영합니다 <b>{{ name }}</b></Trans>
+		<Trans i18nKey="welcome" defaults="어서 오세요" />
+	</>
+);`),
+		).toEqual(["welcome: 어서 오세요"]);
+	});
+
+	test("없는 키와 count 접미사 키, 정적이 아닌 기본값은 비교하지 않음", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("missing", "없음");
+t("item", { count, defaultValue: "항목" });
+t("greeting", fallback);`),
+		).toEqual([]);
+	});
+});
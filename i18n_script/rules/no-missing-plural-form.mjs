@@ -0,0 +1,189 @@
+import path from "node:path";
+import { DEFAULT_CONFIG } from "../default-config.mjs";
+import KeyUsageCollector from "../key-usage-collector.mjs";
+import LocaleStore from "../locale-store.mjs";
+import {
+	formatPluralKey,
+	getPluralCategories,
+	parsePluralKey,
+} from "../plural-rules.mjs";
+
+// locale에 있는 context 변형의 기본 키 (key_male, key_male_one → key_male)
+function findContextBases(keys, key) {
+	const prefix = `${key}_`;
+	const bases = new Set();
+
+	for (const candidate of keys.keys()) {
+		if (!candidate.startsWith(prefix)) continue;
+		const plural = parsePluralKey(candidate);
+		const base = plural ? plural.base : candidate;
+		if (base.startsWith(prefix)) bases.add(base);
+	}
+	return [...bases];
+}
+
+// Intl.PluralRules는 카테고리를 정해진 순서 없이 반환하므로 i18next 문서의 순서로 정렬
+const CATEGORY_ORDER = ["zero", "one", "two", "few", "many", "other"];
+
+function getSortedCategories(language, options) {
+	return [...getPluralCategories(language, options)].sort(
+		(a, b) => CATEGORY_ORDER.indexOf(a) - CATEGORY_ORDER.indexOf(b),
+	);
+}
+
+/**
+ * @description 한 언어에서 t() 호출이 필요로 하는 키 중 locale에 없는 키를 찾습니다.
+ * context는 정적 값이면 key_값, 변수면 locale에 있는 key_* 변형(없으면 i18next처럼 기본 키)을 기준으로 하고,
+ * count가 있으면 각 기준 키에 그 언어의 복수형 카테고리 접미사가 모두 있어야 합니다.
+ * 복수형 카테고리가 other 하나뿐인 언어(ko, ja 등)는 접미사 없는 키만 있어도 인정합니다.
+ */
+function findMissingKeys(keys, usage, language) {
+	const { key, context, hasContext, hasCount, ordinal } = usage;
+	let bases = [key];
+
+	if (context) {
+		bases = [`${key}_${context}`];
+	} else if (hasContext && context === null) {
+		const contextBases = findContextBases(keys, key);
+		if (contextBases.length > 0) bases = contextBases;
+	}
+
+	if (!hasCount) {
+		return bases.filter((base) => !keys.has(base));
+	}
+
+	const categories = getSortedCategories(language, { ordinal });
+	const missing = [];
+	for (const base of bases) {
+		const required = categories.map((category) =>
+			formatPluralKey(base, category, { ordinal }),
+		);
+		const absent = required.filter((pluralKey) => !keys.has(pluralKey));
+		if (
+			categories.length === 1 &&
+			absent.length === required.length &&
+			keys.has(base)
+		) {
+			continue;
+		}
+		missing.push(...absent);
+	}
+	return missing;
+}
+
+// count/context 옵션을 넘긴 t() 호출의 키에 언어별로 필요한 복수형(Intl.PluralRules 기준)과 context 변형 키가 있는지 검사
+export default {
+	id: "no-missing-plural-form",
+	meta: {
+		description: "locale에 없는 복수형/context 변형 키",
+		defaultSeverity: "error",
+		types: ["missing-plural-form", "missing-context-form"],
+		optionsKey: "locales",
+		defaultOptions: DEFAULT_CONFIG.locales,
+	},
+
+	// locale 파일이 없다는 경고는 no-missing-translation-key가 출력
+	setup(options) {
+		const store = new LocaleStore(options);
+		const languages = store
+			.listLanguages()
+			.filter((language) => store.hasLanguage(language));
+		if (languages.length === 0) return null;
+
+		return { store, languages, collector: new KeyUsageCollector(options) };
+	},
+
+	// 기본 언어뿐 아니라 모든 언어의 locale 파일이 바뀌면 다시 검사
+	cacheKey(state) {
+		if (!state) return null;
+		const { store, languages } = state;
+		return languages.map((language) => [
+			language,
+			store
+				.listNamespaces(language)
+				.map((namespace) => [namespace, store.read(language, namespace)]),
+		]);
+	},
+
+	create({ state, addDependency, report }) {
+		if (!state) return {};
+
+		const { store, languages, collector } = state;
+
+		return collector.createVisitor((usage) => {
+			if (usage.key === null || !(usage.hasCount || usage.hasContext)) return;
+
+			const { key, namespace } = usage;
+			// 변수로 넘긴 context는 값을 알 수 없으므로 어느 언어에든 변형 키가 있는지만 확인
+			const dynamicContext = usage.hasContext && usage.context === null;
+			let hasContextVariant = false;
+			const results = [];
+			for (const language of languages) {
+				addDependency(
+					path.relative(process.cwd(), store.getFilePath(language, namespace)),
+				);
+				// 키 자체가 없는 언어는 no-missing-translation-key, compare-locales가 보고
+				if (!store.hasKey(language, namespace, key, { allowSuffix: true })) {
+					continue;
+				}
+				const keys = store.getKeys(language, namespace);
+				if (dynamicContext && findContextBases(keys, key).length > 0) {
+					hasContextVariant = true;
+				}
+				const missing = findMissingKeys(keys, usage, language);
+				if (missing.length > 0) results.push({ language, missing });
+			}
+
+			if (results.length === 0) {
+				if (!dynamicContext || hasContextVariant) return;
+				report({
+					node: usage.node,
+					message: `번역 키 "${namespace}:${key}"에 context를 넘기지만 어느 언어에도 context 변형 키(${key}_*)가 없습니다`,
+					type: "missing-context-form",
+					value: key,
+					key,
+					namespace,
+					suggestion: `context 값별 키(${key}_male, ${key}_female 등)를 locale 파일에 추가하거나 context 옵션을 제거하세요`,
+				});
+				return;
+			}
+
+			const isPlural =
+				usage.hasCount &&
+				results.some(({ missing }) =>
+					missing.some((missingKey) => parsePluralKey(missingKey)),
+				);
+			const summary = results
+				.map(({ language, missing }) => `${language}(${missing.join(", ")})`)
+				.join(", ");
+			const files = results
+				.map(({ language, missing }) => {
+					const localeFile = path.relative(
+						process.cwd(),
+						store.getFilePath(language, namespace),
+					);
+					return `${localeFile}: ${missing.map((missingKey) => `"${missingKey}"`).join(", ")}`;
+				})
+				.join(" / ");
+
+			report({
+				node: usage.node,
+				message: `번역 키 "${namespace}:${key}"에 필요한 ${isPlural ? "복수형" : "context"} 키가 없습니다: ${summary}`,
+				type: isPlural ? "missing-plural-form" : "missing-context-form",
+				value: key,
+				key,
+				namespace,
+				// 복수형 키가 필요한 근거: 언어별 Intl.PluralRules 카테고리
+				reason: usage.hasCount
+					? `Intl.PluralRules 카테고리 ${results
+							.map(
+								({ language }) =>
+									`${language}: ${getSortedCategories(language, { ordinal: usage.ordinal }).join("/")}`,
+							)
+							.join(", ")}`
+					: null,
+				suggestion: `다음 키를 추가하세요 (${usage.hasCount ? "i18next 복수형은 key_카테고리" : "context 변형은 key_값"} 형식) — ${files}`,
+			});
+		});
+	},
+};
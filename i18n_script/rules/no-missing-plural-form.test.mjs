@@ -0,0 +1,83 @@
+import {
+	checkCode,
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+} from "../test-helpers.mjs";
+import noMissingPluralForm from "./no-missing-plural-form.mjs";
+
+describe("no-missing-plural-form", () => {
+	let root;
+	let config;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": {
+				count: "{{count}}개",
+				friend: "친구",
+				friend_male: "남자 친구",
+				friend_female: "여자 친구",
+				inbox: "받은 편지함",
+			},
+			"locales/en/translation.json": {
+				count_one: "{{count}} item",
+				count_other: "{{count}} items",
+				friend: "a friend",
+				friend_male: "a boyfriend",
+				inbox: "Inbox",
+			},
+			"locales/pl/translation.json": {
+				count_one: "{{count}} element",
+				count_other: "{{count}} elementu",
+			},
+		});
+		config = { locales: localeOptions(root) };
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const check = (code) =>
+		checkCode([noMissingPluralForm], code, { config }).map(
+			({ type, message }) => [type, message],
+		);
+
+	test("언어별로 Intl.PluralRules가 요구하는 복수형 키를 호출 위치에 보고", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("count", { count });`),
+		).toEqual([
+			[
+				"missing-plural-form",
+				'번역 키 "translation:count"에 필요한 복수형 키가 없습니다: pl(count_few, count_many)',
+			],
+		]);
+	});
+
+	test("정적 context 값의 변형 키가 없는 언어를 보고", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("friend", { context: "male" });
+t("friend", { context: "female" });`),
+		).toEqual([
+			[
+				"missing-context-form",
+				'번역 키 "translation:friend"에 필요한 context 키가 없습니다: en(friend_female)',
+			],
+		]);
+	});
+
+	test("변수 context는 어느 언어에도 변형 키가 없을 때만 보고", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("friend", { context: gender });
+t("inbox", { context: gender });`),
+		).toEqual([
+			[
+				"missing-context-form",
+				'번역 키 "translation:inbox"에 context를 넘기지만 어느 언어에도 context 변형 키(inbox_*)가 없습니다',
+			],
+		]);
+	});
+});
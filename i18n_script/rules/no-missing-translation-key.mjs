@@ -0,0 +1,80 @@
+import path from "node:path";
+import { DEFAULT_CONFIG } from "../default-config.mjs";
+import KeyUsageCollector from "../key-usage-collector.mjs";
+import LocaleStore from "../locale-store.mjs";
+
+// 코드에서 사용하는 t() 키가 기본 언어 locale 파일에 있는지 검사
+export default {
+	id: "no-missing-translation-key",
+	meta: {
+		description: "locale 파일에 없는 번역 키 사용",
+		defaultSeverity: "error",
+		types: ["missing-key"],
+		optionsKey: "locales",
+		defaultOptions: DEFAULT_CONFIG.locales,
+	},
+
+	// locale 파일이 없으면 모든 키가 누락으로 보이므로 검사하지 않음
+	setup(options, { warn }) {
+		const store = new LocaleStore(options);
+		const language = options.defaultLanguage;
+
+		if (!store.hasLanguage(language)) {
+			warn(
+				`⚠️  기본 언어(${language}) locale 파일이 없어 번역 키 검사를 건너뜁니다: ${store.getFilePath(language, "*")}`,
+			);
+			return null;
+		}
+
+		return { store, language, collector: new KeyUsageCollector(options) };
+	},
+
+	// 기본 언어 locale 파일이 바뀌면 캐시된 결과를 다시 검사
+	cacheKey(state) {
+		if (!state) return null;
+		const { store, language } = state;
+		return store
+			.listNamespaces(language)
+			.map((namespace) => [namespace, store.read(language, namespace)]);
+	},
+
+	create({ state, addDependency, report }) {
+		if (!state) return {};
+
+		const { store, language, collector } = state;
+
+		return collector.createVisitor((usage) => {
+			// 동적 키는 정적으로 확인할 수 없으므로 제외
+			if (usage.key === null) return;
+
+			const { key, namespace } = usage;
+			// locale 파일이 바뀌면 이 모듈을 다시 검사하도록 기록 (vite 플러그인 HMR 등)
+			addDependency(
+				path.relative(process.cwd(), store.getFilePath(language, namespace)),
+			);
+			const exists = store.hasKey(language, namespace, key, {
+				allowSuffix: usage.hasCount || usage.hasContext,
+			});
+			if (exists) return;
+
+			const localeFile = path.relative(
+				process.cwd(),
+				store.getFilePath(language, namespace),
+			);
+			report({
+				node: usage.node,
+				message: `번역 키 "${namespace}:${key}"가 ${language} locale에 없습니다`,
+				type: "missing-key",
+				value: key,
+				key,
+				namespace,
+				// 코드에 기본값이 있으면 extract로 locale 파일에 추가 가능
+				defaultValue: usage.defaultValue,
+				suggestion:
+					usage.defaultValue === null
+						? `${localeFile}에 "${key}" 키를 추가하세요`
+						: `${localeFile}에 "${key}": "${usage.defaultValue}"를 추가하세요 (extract 명령으로 추가 가능)`,
+			});
+		});
+	},
+};
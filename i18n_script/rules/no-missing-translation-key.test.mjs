@@ -0,0 +1,76 @@
+import {
+	checkCode,
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+} from "../test-helpers.mjs";
+import noMissingTranslationKey from "./no-missing-translation-key.mjs";
+
+describe("no-missing-translation-key", () => {
+	let root;
+	let config;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": {
+				home: { title: "홈" },
+				item_other: "{{count}}개",
+			},
+			"locales/ko/settings.json": { profile: { name: "이름" } },
+		});
+		config = {
+			locales: localeOptions(root, {
+				defaultLanguage: "ko",
+				defaultNamespace: "translation",
+				keySeparator: ".",
+				nsSeparator: ":",
+			}),
+		};
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const check = (code) =>
+		checkCode([noMissingTranslationKey], code, { config }).map(
+			({ namespace, key }) => `${namespace}:${key}`,
+		);
+
+	test("useTranslation의 네임스페이스와 keyPrefix, ns 옵션, ns:key 형식을 따름", () => {
+		expect(
+			check(`import { useTranslation } from "react-i18next";
+export function Profile() {
+	const { t } = useTranslation("settings", { keyPrefix: "profile" });
+	const { t: tRoot } = useTranslation("settings");
+	return <p>{t("name")} {t("email")} {tRoot("home.title", { ns: "translation" })} {tRoot("translation:home.missing")}</p>;
+}`),
+		).toEqual(["settings:profile.email", "translation:home.missing"]);
+	});
+
+	test("i18next의 t, i18n.t, <Trans i18nKey>를 검사하고 동적 키는 제외", () => {
+		expect(
+			check(`import i18n, { t } from "i18next";
+import { Trans } from "react-i18next";
+t("home.title");
+i18n.t("home.subtitle");
+t(key);
+const view = <Trans i18nKey="home.footer" />;`),
+		).toEqual(["translation:home.subtitle", "translation:home.footer"]);
+	});
+
+	test("count를 넘기면 복수형 접미사가 붙은 키도 인정", () => {
+		expect(
+			check(`import { t } from "i18next";
+t("item", { count: 2 });
+t("item");`),
+		).toEqual(["translation:item"]);
+	});
+
+	test("다른 값으로 선언된 t 호출은 무시", () => {
+		expect(
+			check(`const t = (value) => value;
+t("not.a.key");`),
+		).toEqual([]);
+	});
+});
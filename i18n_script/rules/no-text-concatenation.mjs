@@ -0,0 +1,391 @@
+import { suggestKey } from "../key-suggester.mjs";
+import KeyUsageCollector from "../key-usage-collector.mjs";
+import {
+	getOptionsForNode,
+	isInsideTrans,
+	JSX_DEFAULT_OPTIONS,
+} from "./jsx-content.mjs";
+import { classifyText } from "./natural-language.mjs";
+
+// JSX 자식 중 문장의 값이 아니라 요소로 렌더링되는 것으로 보는 이름 ({icon} 저장, {renderBadge()})
+const REACT_NODE_NAME =
+	/(?:icon|children|element|node|component|avatar|logo|image|img|svg)$|^render/i;
+
+function isConcatenation(node) {
+	return node.type === "BinaryExpression" && node.operator === "+";
+}
+
+// a + (b + `c${d}`) → [a, b, "c", d] (TemplateElement 포함)
+function flattenConcatenation(node) {
+	if (isConcatenation(node)) {
+		return [
+			...flattenConcatenation(node.left),
+			...flattenConcatenation(node.right),
+		];
+	}
+	if (node.type === "TemplateLiteral") {
+		return node.quasis.flatMap((quasi, index) => {
+			const expression = node.expressions[index];
+			return expression
+				? [quasi, ...flattenConcatenation(expression)]
+				: [quasi];
+		});
+	}
+	return [node];
+}
+
+// count, user.name, getCount() → 보간 변수 이름 후보
+function getValueName(node) {
+	if (node.type === "Identifier") return node.name;
+	if (
+		(node.type === "MemberExpression" ||
+			node.type === "OptionalMemberExpression") &&
+		!node.computed
+	) {
+		return node.property.name;
+	}
+	if (node.type === "CallExpression") return getValueName(node.callee);
+	return null;
+}
+
+// 중첩 번역은 감싼 값의 네임스페이스에서 찾으므로 기본 네임스페이스가 아니면 ns:key로 표시
+function formatNestedKey({ key, namespace }, locales) {
+	if (key === null) return "...";
+	if (namespace === locales.defaultNamespace || locales.nsSeparator === false) {
+		return key;
+	}
+	return `${namespace}${locales.nsSeparator}${key}`;
+}
+
+/**
+ * @description 조각 목록을 하나의 번역 키로 합쳤을 때의 locale 값 예시와 t() 호출 예시를 만듭니다.
+ * 값은 {{이름}} 보간으로, 번역 조각은 i18next 중첩 문법 $t(키)로 표시합니다.
+ */
+function describeFragments(parts, context) {
+	const names = new Set();
+	const params = [];
+	let example = "";
+
+	for (const part of parts) {
+		if (part.kind === "value") {
+			let name = getValueName(part.node) || "value";
+			for (let index = 2; names.has(name); index++) {
+				name = `${getValueName(part.node) || "value"}${index}`;
+			}
+			names.add(name);
+			const source = context.code.slice(part.node.start, part.node.end);
+			params.push(source === name ? name : `${name}: ${source}`);
+			example += `{{${name}}}`;
+		} else if (part.kind === "translation") {
+			example += `$t(${formatNestedKey(part.usage, context.locales)})`;
+		} else {
+			example += part.text;
+		}
+	}
+	example = example.replace(/\s+/g, " ").trim();
+
+	const textValue = parts
+		.filter(({ kind }) => kind === "text")
+		.map(({ text }) => text)
+		.join(" ");
+	const key = suggestKey(
+		"text",
+		textValue ||
+			parts
+				.filter(({ kind }) => kind === "translation")
+				.map(({ usage }) => usage.key ?? "")
+				.join(" "),
+	);
+	const call = `t('${key}'${params.length > 0 ? `, { ${params.join(", ")} }` : ""})`;
+	return { example, call };
+}
+
+function countKinds(parts) {
+	const counts = { translation: 0, text: 0, value: 0 };
+	for (const { kind } of parts) {
+		if (kind in counts) counts[kind]++;
+	}
+	return counts;
+}
+
+// 번역 조각을 다른 번역/문자열/값과 잇거나, 사용자 노출 문자열을 값과 이어 문장을 만든 경우
+function isFragmentedSentence(
+	{ translation, text, value },
+	{ allowTranslationWithValue },
+) {
+	if (translation > 0) {
+		return (
+			translation + text >= 2 ||
+			(allowTranslationWithValue && translation + value >= 2)
+		);
+	}
+	return text > 0 && value > 0;
+}
+
+function isLineBreakText(child) {
+	return (
+		child.type === "JSXText" &&
+		!child.value.trim() &&
+		child.value.includes("\n")
+	);
+}
+
+/**
+ * @description JSX 자식을 한 문장으로 이어지는 구간으로 나눕니다.
+ * <br />, <Icon /> 같은 자식 요소와 줄바꿈만 있는 텍스트에서 구간이 끊기고, 빈 표현식(주석)은 무시합니다.
+ */
+function splitChildRuns(children) {
+	const runs = [[]];
+	for (const child of children) {
+		if (
+			child.type === "JSXElement" ||
+			child.type === "JSXFragment" ||
+			isLineBreakText(child)
+		) {
+			runs.push([]);
+		} else if (
+			!(
+				child.type === "JSXExpressionContainer" &&
+				child.expression.type === "JSXEmptyExpression"
+			)
+		) {
+			runs[runs.length - 1].push(child);
+		}
+	}
+	return runs.filter((run) => run.length > 0);
+}
+
+function isBlankPart({ kind, text }) {
+	return kind === "static" && !text.trim();
+}
+
+// 구간의 첫 조각부터 마지막 조각까지를 보고 위치로 사용 (앞뒤 공백 텍스트 제외)
+function getSpanNode(parts) {
+	const visible = parts.filter((part) => !isBlankPart(part));
+	const first = visible[0].node;
+	const last = visible[visible.length - 1].node;
+	return {
+		start: first.start,
+		end: last.end,
+		loc: { start: first.loc.start, end: last.loc.end },
+	};
+}
+
+// 조건식/논리식 분기를 거쳐 JSX 자식이나 검사 대상 속성(checkProps)으로 렌더링되는 위치인지 확인
+function isRendered(path, options, originContext) {
+	let current = path;
+	while (
+		(current.parentPath.isConditionalExpression() && current.key !== "test") ||
+		current.parentPath.isLogicalExpression()
+	) {
+		current = current.parentPath;
+	}
+
+	const container = current.parentPath;
+	if (!container.isJSXExpressionContainer()) return false;
+	if (
+		container.parentPath.isJSXElement() ||
+		container.parentPath.isJSXFragment()
+	) {
+		return true;
+	}
+	if (!container.parentPath.isJSXAttribute()) return false;
+
+	const elementPath = container.parentPath.parentPath.parentPath;
+	const { checkProps = [] } = getOptionsForNode(
+		elementPath,
+		options,
+		originContext,
+	);
+	return checkProps.includes(container.parent.name.name);
+}
+
+/**
+ * @description "총 " + count + "개", t("a") + " " + t("b"), <h1>{t("hello")} 'hello'</h1>처럼
+ * 문자열 연결(+, 템플릿 리터럴)이나 인접한 JSX 텍스트/표현식으로 문장을 조각내어 만든 곳을 보고합니다.
+ * 언어마다 어순이 다르므로 조각을 각각 번역하지 않고 하나의 키에 보간해야 합니다.
+ * 번역 조각이 없는 문자열 연결은 화면에 렌더링되는 위치(JSX 자식, checkProps 속성)만 검사하며 <Trans> 안은 제외합니다.
+ */
+export default {
+	id: "no-text-concatenation",
+	meta: {
+		description: "문자열 연결로 조각낸 번역 문장",
+		defaultSeverity: "warning",
+		types: ["string-concatenation", "jsx-text-fragments"],
+		optionsKey: "jsx",
+		defaultOptions: JSX_DEFAULT_OPTIONS,
+		// 번역 조각의 키를 네임스페이스/keyPrefix 설정대로 해석
+		usesLocales: true,
+	},
+
+	setup(options) {
+		return { collector: new KeyUsageCollector(options.locales) };
+	},
+
+	create({ filePath, code, options, state, addDependency, report }) {
+		const originContext = { filePath, addDependency };
+		// t 호출의 키 노드 → 사용 정보 (t 호출은 자신을 감싼 연결식보다 먼저 방문됨)
+		const usages = new Map();
+
+		const getTranslationUsage = (node) => {
+			if (node.type !== "CallExpression") return undefined;
+			return usages.get(node.arguments[0]);
+		};
+
+		const toStaticPart = (node, text, { allowStrings = false } = {}) => ({
+			kind:
+				!allowStrings && classifyText(text, options.text).userFacing
+					? "text"
+					: "static",
+			node,
+			text,
+		});
+
+		const toConcatenationPart = (node) => {
+			if (node.type === "TemplateElement") {
+				return toStaticPart(node, node.value.cooked ?? node.value.raw);
+			}
+			if (node.type === "StringLiteral") {
+				return toStaticPart(node, node.value);
+			}
+			if (node.type === "NumericLiteral") {
+				return { kind: "static", node, text: String(node.value) };
+			}
+			const usage = getTranslationUsage(node);
+			if (usage) return { kind: "translation", node, usage };
+			return { kind: "value", node };
+		};
+
+		// JSX 자식 → 조각 (요소, 빈 표현식, 요소로 보이는 값은 제외)
+		const toChildPart = (child, elementOptions) => {
+			if (child.type === "JSXText") {
+				return toStaticPart(child, child.value, elementOptions);
+			}
+			if (child.type !== "JSXExpressionContainer") return null;
+
+			const { expression } = child;
+			if (
+				expression.type === "StringLiteral" ||
+				(expression.type === "TemplateLiteral" &&
+					expression.expressions.length === 0)
+			) {
+				return toStaticPart(
+					expression,
+					expression.value ?? expression.quasis[0].value.cooked ?? "",
+					elementOptions,
+				);
+			}
+			const usage = getTranslationUsage(expression);
+			if (usage) return { kind: "translation", node: expression, usage };
+
+			const name = getValueName(expression);
+			if (name === null || REACT_NODE_NAME.test(name)) return null;
+			return { kind: "value", node: expression };
+		};
+
+		const reportFragments = (node, parts, { type, message }) => {
+			const counts = countKinds(parts);
+			const { example, call } = describeFragments(parts, {
+				code,
+				locales: options.locales,
+			});
+			report({
+				node,
+				message,
+				type,
+				value: example,
+				reason: [
+					counts.translation > 0 && `번역 ${counts.translation}개`,
+					counts.text > 0 && `문자열 ${counts.text}개`,
+					counts.value > 0 && `값 ${counts.value}개`,
+				]
+					.filter(Boolean)
+					.join(" + "),
+				suggestion: `하나의 번역 키로 합쳐 ${call}로 보간하세요 (locale 값 예: "${example}")`,
+			});
+		};
+
+		// 가장 바깥 연결식에서 한 번만 검사
+		const checkConcatenation = (path) => {
+			const { parentPath } = path;
+			if (
+				isConcatenation(parentPath.node) ||
+				parentPath.isTemplateLiteral() ||
+				parentPath.isTaggedTemplateExpression()
+			) {
+				return;
+			}
+
+			const parts = flattenConcatenation(path.node).map(toConcatenationPart);
+			const counts = countKinds(parts);
+			if (
+				!isFragmentedSentence(counts, { allowTranslationWithValue: true }) ||
+				(counts.translation === 0 &&
+					!isRendered(path, options, originContext)) ||
+				isInsideTrans(path, originContext)
+			) {
+				return;
+			}
+
+			reportFragments(path.node, parts, {
+				type: "string-concatenation",
+				message:
+					"문자열 연결로 만든 문장: 언어마다 어순이 달라 조각별로 번역할 수 없습니다",
+			});
+		};
+
+		// <h1>{t("hello")} 'hello'</h1>, <p>총 {count}개</p>
+		// 자식 요소나 줄바꿈만 있는 텍스트로 나뉜 부분은 각각 다른 문장으로 보고 이어진 구간마다 검사
+		const checkChildren = (path) => {
+			if (isInsideTrans(path, originContext)) return;
+
+			const elementOptions = path.isJSXElement()
+				? getOptionsForNode(path, options, originContext)
+				: options;
+			const runs = splitChildRuns(path.node.children)
+				.map((children) =>
+					children
+						.map((child) => toChildPart(child, elementOptions))
+						.filter(Boolean),
+				)
+				.filter((parts) => parts.some((part) => !isBlankPart(part)));
+			// JSX에서 번역 옆의 값은 "라벨: 값" 형태가 흔하므로 번역끼리 또는 문자열과 이은 경우만 보고
+			const fragmented = runs.filter((parts) =>
+				isFragmentedSentence(countKinds(parts), {
+					allowTranslationWithValue: false,
+				}),
+			);
+
+			for (const parts of fragmented) {
+				// 구간이 하나뿐이면 요소 전체를, 여럿이면 그 구간만 표시
+				reportFragments(
+					runs.length === 1 ? path.node : getSpanNode(parts),
+					parts,
+					{
+						type: "jsx-text-fragments",
+						message:
+							"JSX 텍스트와 표현식을 이어 만든 문장: 언어마다 어순이 달라 조각별로 번역할 수 없습니다",
+					},
+				);
+			}
+		};
+
+		return {
+			...state.collector.createVisitor((usage) => {
+				usages.set(usage.node, usage);
+			}),
+			BinaryExpression: {
+				exit(path) {
+					if (isConcatenation(path.node)) checkConcatenation(path);
+				},
+			},
+			TemplateLiteral: {
+				exit(path) {
+					if (path.node.expressions.length > 0) checkConcatenation(path);
+				},
+			},
+			JSXElement: { exit: checkChildren },
+			JSXFragment: { exit: checkChildren },
+		};
+	},
+};
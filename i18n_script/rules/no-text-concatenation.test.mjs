@@ -0,0 +1,91 @@
+import { checkCode } from "../test-helpers.mjs";
+import noTextConcatenation from "./no-text-concatenation.mjs";
+
+describe("no-text-concatenation", () => {
+	const check = (code, config) =>
+		checkCode([noTextConcatenation], code, { config });
+
+	const PREFIX = `import { useTranslation } from "react-i18next";
+export function App({ count, name }) {
+	const { t } = useTranslation();
+	return `;
+
+	test("번역 조각을 잇거나 문자열과 값을 이은 문장을 보고", () => {
+		const errors = check(`${PREFIX}(
+		<>
+			<p>{t("greeting") + " " + t("name")}</p>
+			<p>총 {count}개</p>
+			<p>{"총 " + count + "개"}</p>
+		</>
+	);
+}`);
+
+		expect(errors.map(({ type, value }) => [type, value])).toEqual([
+			["string-concatenation", "$t(greeting) $t(name)"],
+			["jsx-text-fragments", "총 {{count}}개"],
+			["string-concatenation", "총 {{count}}개"],
+		]);
+	});
+
+	test("번역 옆의 값(라벨: 값)과 렌더링되지 않는 문자열 연결은 보고하지 않음", () => {
+		expect(
+			check(`${PREFIX}(
+		<p title={"id-" + count}>
+			{t("label")}: {name}
+		</p>
+	);
+}
+const className = "btn-" + size;`),
+		).toEqual([]);
+	});
+
+	test("<br /> 같은 자식 요소로 나뉜 번역은 각각 다른 문장으로 봄", () => {
+		expect(
+			check(`${PREFIX}<div>{t("intro")}<br />{t("details")}</div>;
+}`),
+		).toEqual([]);
+	});
+
+	test("줄을 바꿔 나열한 t() 호출은 각각 다른 문장으로 봄", () => {
+		expect(
+			check(`${PREFIX}(
+		<div>
+			{t("intro")}
+			{t("details")}
+		</div>
+	);
+}`),
+		).toEqual([]);
+	});
+
+	test("요소로 나뉜 구간이 여럿이면 조각낸 구간마다 그 위치에 보고", () => {
+		const errors =
+			check(`${PREFIX}<p>총 {count}개<br />{t("a")} {t("b")}<b>{name}</b></p>;
+}`);
+
+		expect(
+			errors.map(({ value, line, column, end }) => [
+				value,
+				line,
+				column,
+				end.column,
+			]),
+		).toEqual([
+			["총 {{count}}개", 4, 11, 21],
+			["$t(a) $t(b)", 4, 28, 43],
+		]);
+	});
+
+	test("다른 네임스페이스의 번역 조각은 설정된 nsSeparator로 $t(ns|key)를 제안", () => {
+		const [error] = check(
+			`import { useTranslation } from "react-i18next";
+export function App() {
+	const { t } = useTranslation("common", { keyPrefix: "user" });
+	return <p>{t("greeting")} {t("main|nav.home")}</p>;
+}`,
+			{ locales: { nsSeparator: "|", defaultNamespace: "main" } },
+		);
+
+		expect(error.value).toBe("$t(common|user.greeting) $t(nav.home)");
+	});
+});
@@ -0,0 +1,37 @@
+import { getTransDefaultValue } from "../key-usage-collector.mjs";
+import {
+	hasTransKey,
+	isTransElement,
+	JSX_DEFAULT_OPTIONS,
+} from "./jsx-content.mjs";
+
+// i18nKey 없는 <Trans>: 자식 문자열 전체가 키가 되어 문구를 고치면 번역이 끊어짐
+export default {
+	id: "no-trans-without-key",
+	meta: {
+		description: "i18nKey 없는 <Trans> 사용",
+		defaultSeverity: "error",
+		types: ["trans-without-key"],
+		optionsKey: "jsx",
+		defaultOptions: JSX_DEFAULT_OPTIONS,
+	},
+
+	create({ filePath, addDependency, report }) {
+		const originContext = { filePath, addDependency };
+
+		return {
+			JSXElement(path) {
+				if (hasTransKey(path) || !isTransElement(path, originContext)) return;
+
+				const value = getTransDefaultValue(path.node.children) ?? "";
+				report({
+					node: path.node.openingElement,
+					message: "i18nKey 없는 <Trans>: 자식 문자열이 번역 키로 사용됩니다",
+					type: "trans-without-key",
+					value,
+					suggestion: `<Trans i18nKey="...">로 키를 지정하고 locale 파일에 "${value}"를 추가하세요`,
+				});
+			},
+		};
+	},
+};
@@ -0,0 +1,62 @@
+import { getTransDefaultValue } from "../key-usage-collector.mjs";
+import { checkCode } from "../test-helpers.mjs";
+import { JSX_RULES } from "./index.mjs";
+import noTransWithoutKey from "./no-trans-without-key.mjs";
+
+const checkTrans = (code) => {
+	const [error] = checkCode([noTransWithoutKey], code);
+	return error;
+};
+
+describe("<Trans> 처리", () => {
+	test("i18nKey가 있는 <Trans>의 자식은 기본 언어 기본값이므로 하드코딩으로 보지 않음", () => {
+		const errors = checkCode(
+			JSX_RULES,
+			`import { Trans } from "react-i18next";
+export const App = ({ name }) => (
+	<Trans i18nKey="welcome">Hello <b>{{ name }}</b></Trans>
+);`,
+		);
+
+		expect(errors).toEqual([]);
+	});
+
+	test("i18nKey 없는 <Trans>는 자식으로 만든 기본값과 함께 보고", () => {
+		const errors = checkCode(
+			JSX_RULES,
+			`import { Trans } from "react-i18next";
+export const App = ({ name }) => (
+	<Trans>Hello <b>{{ name }}</b></Trans>
+);`,
+		);
+
+		expect(errors).toEqual([
+			expect.objectContaining({
+				ruleId: "no-trans-without-key",
+				value: "Hello <1>{{name}}</1>",
+			}),
+		]);
+	});
+
+	test("react-i18next에서 가져오지 않은 Trans 컴포넌트는 검사하지 않음", () => {
+		expect(
+			checkTrans(`import { Trans } from "./my-trans";
+export const App = () => <Trans>Hello</Trans>;`),
+		).toBeUndefined();
+	});
+
+	test("getTransDefaultValue는 react-i18next nodesToString과 같은 형식", () => {
+		const error = checkTrans(`import { Trans } from "react-i18next";
+export const App = ({ count }) => (
+	<Trans>
+		You have <strong className="n">{{ count, format: "number" }}</strong> items.<br />
+		<Link to="/more">more</Link>
+	</Trans>
+);`);
+
+		expect(error.value).toBe(
+			"You have <1>{{count, number}}</1> items.<br/><4>more</4>",
+		);
+		expect(getTransDefaultValue([])).toBe("");
+	});
+});
@@ -0,0 +1,331 @@
+import { formatAccessPath, getAccessPath } from "./access-paths.mjs";
+import {
+	classifyText,
+	getStaticText,
+	TEXT_DEFAULT_OPTIONS,
+} from "./natural-language.mjs";
+
+// Toast/알림 규칙(no-hardcoded-toast, no-hardcoded-data-attribute 등)이 공유하는 옵션과 판별 로직
+
+const ANTD_MESSAGE_METHODS = [
+	"open",
+	"success",
+	"error",
+	"info",
+	"warning",
+	"loading",
+];
+
+// 설정의 toast 섹션이 이 값 위에 병합됩니다 (배열은 덮어씀)
+export const TOAST_DEFAULT_OPTIONS = {
+	toastFunctions: [
+		// Ant Design message
+		"message.error",
+		"message.success",
+		"message.warning",
+		"message.info",
+		"message.loading",
+
+		// Kosmos message (프로젝트 고유)
+		"Message.error",
+		"Message.success",
+		"Message.warning",
+		"Message.info",
+
+		// 일반적인 toast 라이브러리들
+		"toast.error",
+		"toast.success",
+		"toast.warning",
+		"toast.info",
+		"notification.error",
+		"notification.success",
+		"notification.warning",
+		"notification.info",
+		"notification.open",
+
+		// 브라우저 기본 API
+		"alert",
+		"confirm",
+		"prompt",
+
+		// 기타 가능한 알림 함수들
+		"showMessage",
+		"showError",
+		"showSuccess",
+		"showWarning",
+
+		// 기본 message 함수
+		"message",
+	],
+	// import 출처 기준 알림 함수: export는 export 이름에서 시작하는 접근 경로
+	// (예: "message.useMessage()[0]"은 const [api] = message.useMessage()의 api)
+	// methods의 메서드 호출(*는 전체)과, call이 true면 export 자체 호출도 검사합니다.
+	// 여기 있는 모듈에서 import한 값은 toastFunctions 이름 대신 이 목록으로만 판별합니다.
+	sinks: [
+		{ from: "antd", export: "message", methods: ANTD_MESSAGE_METHODS },
+		{
+			from: "antd",
+			export: "message.useMessage()[0]",
+			methods: ANTD_MESSAGE_METHODS,
+		},
+		{ from: "antd", export: "notification", methods: ANTD_MESSAGE_METHODS },
+		{
+			from: "antd",
+			export: "notification.useNotification()[0]",
+			methods: ANTD_MESSAGE_METHODS,
+		},
+		{
+			from: "antd",
+			export: "App.useApp().message",
+			methods: ANTD_MESSAGE_METHODS,
+		},
+		{
+			from: "antd",
+			export: "App.useApp().notification",
+			methods: ANTD_MESSAGE_METHODS,
+		},
+		{
+			from: "antd",
+			export: "Modal",
+			methods: ["confirm", "info", "success", "error", "warning"],
+		},
+		{ from: "react-toastify", export: "toast", call: true, methods: ["*"] },
+		{ from: "sonner", export: "toast", call: true, methods: ["*"] },
+		{ from: "react-hot-toast", export: "default", call: true, methods: ["*"] },
+		{ from: "react-hot-toast", export: "toast", call: true, methods: ["*"] },
+		{ from: "notistack", export: "useSnackbar().enqueueSnackbar", call: true },
+	],
+	objectProperties: [
+		"title",
+		"message",
+		"description",
+		"content",
+		"label",
+		"placeholder",
+		"tooltip",
+		"helpText",
+		"errorMessage",
+		"successMessage",
+		"warningMessage",
+		"text",
+		"body",
+		"detail",
+	],
+	// 함수 호출 밖 객체 리터럴(테이블 컬럼, 메뉴, 폼 스키마 등)의 검사 범위
+	// 기본은 JSX 속성으로 전달되는 객체("jsx-props")만 검사하고, "exports"(모듈에서 export되는 객체)나
+	// "all"(모든 객체 리터럴)로 넓힐 수 있음. 에러 객체 같은 내부 데이터의 message/title까지 보고하지 않도록 좁게 시작
+	objectScope: ["jsx-props"],
+	// 툴팁/메시지로 노출되는 data-* 속성
+	dataAttributes: [
+		"data-tooltip",
+		"data-title",
+		"data-message",
+		"data-content",
+	],
+	// 문자열 값 전체와 비교해 보고하지 않을 패턴 (숫자, 기호, 빈 문자열 등은 자연어 판별에서 제외됨)
+	allowPatterns: [
+		/^\$\{.*\}$/, // 템플릿 자리 표시자 문자열: "${name}"
+		/^(true|false|null|undefined)$/, // 값 이름 문자열
+	],
+	// 자연어 판별 옵션 (allowPatterns에 걸리지 않은 문자열 중 사용자에게 보이는 문자열만 보고)
+	text: TEXT_DEFAULT_OPTIONS,
+};
+
+// 최소 정적 부분 길이 (3글자 이상)
+const MIN_STATIC_LENGTH = 3;
+
+export function getCalleeText(node) {
+	if (node.type === "MemberExpression") {
+		return `${getCalleeText(node.object)}.${node.property.name}`;
+	}
+	if (node.type === "CallExpression") {
+		return `${getCalleeText(node.callee)}()`;
+	}
+	if (node.type === "Identifier") {
+		return node.name;
+	}
+	return "";
+}
+
+export function isToastFunction(calleeText, options) {
+	return options.toastFunctions.some((func) => {
+		if (func.includes("*")) {
+			const pattern = func.replace(/\*/g, ".*");
+			return new RegExp(`^${pattern}$`).test(calleeText);
+		}
+		return calleeText === func;
+	});
+}
+
+function matchesSink(access, sink) {
+	if (access.source !== sink.from) return false;
+
+	const { methods = [] } = sink;
+	const text = formatAccessPath(access.segments);
+	if (text === sink.export) {
+		return sink.call ?? methods.length === 0;
+	}
+
+	const prefix = `${sink.export}.`;
+	const method = text.startsWith(prefix) ? text.slice(prefix.length) : "";
+	return (
+		/^[\w$]+$/.test(method) &&
+		methods.some((name) => name === "*" || name === method)
+	);
+}
+
+/**
+ * @description 호출식이 toast/알림 함수 호출인지 확인합니다.
+ * sinks에 있는 모듈에서 import한 값은 별칭, 네임스페이스, 훅이 반환한 인스턴스까지 scope 바인딩으로 따라가 판별하고,
+ * 그 밖의 import와 전역 함수는 toastFunctions 이름으로 판별합니다. 로컬 변수/매개변수의 메서드는 알림 함수로 보지 않습니다.
+ */
+export function isToastCall(callPath, options) {
+	const access = getAccessPath(callPath.get("callee"));
+	if (!access) return false;
+
+	const sinks = options.sinks || [];
+	if (access.source && sinks.some((sink) => sink.from === access.source)) {
+		return sinks.some((sink) => matchesSink(access, sink));
+	}
+
+	return isToastFunction(getCalleeText(callPath.node.callee), options);
+}
+
+export function getPropertyName(node) {
+	if (node.key?.type === "Identifier") {
+		return node.key.name;
+	}
+	if (node.key?.type === "StringLiteral" || node.key?.type === "Literal") {
+		return node.key.value;
+	}
+	return null;
+}
+
+export function isUserFacingProperty(node, options) {
+	return options.objectProperties.includes(getPropertyName(node));
+}
+
+export function isAllowedPattern(value, options) {
+	if (!value || value.trim() === "") return true;
+
+	return options.allowPatterns.some((pattern) => {
+		if (pattern instanceof RegExp) {
+			return pattern.test(value);
+		}
+		return value.includes(pattern);
+	});
+}
+
+// 템플릿 리터럴의 정적 부분이 충분한지 확인
+function hasSignificantStaticContent(templateLiteralNode) {
+	// 모든 정적 부분(quasis)의 길이를 합산
+	const totalStaticLength = templateLiteralNode.quasis.reduce(
+		(total, quasi) => total + (quasi.value.raw || "").length,
+		0,
+	);
+
+	// 정적 부분이 충분히 긴 경우만 하드코딩으로 간주
+	return totalStaticLength >= MIN_STATIC_LENGTH;
+}
+
+// 객체의 사용자 노출 속성 중 하드코딩된 값이 있는지 확인
+function hasHardcodedObjectProperties(objectNode, options) {
+	return objectNode.properties.some((prop) => {
+		if (prop.type === "ObjectProperty") {
+			return (
+				isUserFacingProperty(prop, options) &&
+				isHardcodedValue(prop.value, options)
+			);
+		}
+
+		// SpreadElement 처리 (예: {...config})
+		if (prop.type === "SpreadElement") {
+			return isHardcodedValue(prop.argument, options);
+		}
+
+		return false;
+	});
+}
+
+export function isHardcodedValue(node, options) {
+	if (!node) return false;
+
+	if (
+		(node.type === "Literal" || node.type === "StringLiteral") &&
+		typeof node.value === "string"
+	) {
+		return (
+			!isAllowedPattern(node.value, options) &&
+			classifyText(node.value, options.text).userFacing
+		);
+	}
+
+	if (node.type === "TemplateLiteral") {
+		if (node.expressions.length === 0) {
+			// 표현식이 없는 순수 템플릿 리터럴
+			const value = node.quasis[0]?.value?.raw || "";
+			return (
+				!isAllowedPattern(value, options) &&
+				classifyText(value, options.text).userFacing
+			);
+		}
+		// 표현식이 있는 템플릿 리터럴 - 정적 부분이 충분한 경우만 하드코딩으로 간주
+		return (
+			hasSignificantStaticContent(node) &&
+			classifyText(getStaticText(node), options.text).userFacing
+		);
+	}
+
+	if (node.type === "JSXExpressionContainer") {
+		return isHardcodedValue(node.expression, options);
+	}
+
+	if (node.type === "ObjectExpression") {
+		return hasHardcodedObjectProperties(node, options);
+	}
+
+	// 객체 배열
+	if (node.type === "ArrayExpression") {
+		return node.elements.some(
+			(element) => element && isHardcodedValue(element, options),
+		);
+	}
+
+	return false;
+}
+
+// 보고할 때 표시할 판별 근거 (문자열이 아닌 값은 null)
+export function getHardcodedReason(node, options) {
+	if (node.type === "JSXExpressionContainer") {
+		return getHardcodedReason(node.expression, options);
+	}
+	if (
+		node.type === "TemplateLiteral" ||
+		((node.type === "Literal" || node.type === "StringLiteral") &&
+			typeof node.value === "string")
+	) {
+		return classifyText(getStaticText(node), options.text).reason;
+	}
+	return null;
+}
+
+export function getStringValue(node) {
+	if (node.type === "Literal" || node.type === "StringLiteral") {
+		return node.value;
+	}
+	if (node.type === "TemplateLiteral") {
+		if (node.expressions.length === 0) {
+			// 표현식이 없는 순수 템플릿 리터럴
+			return node.quasis[0]?.value?.raw || "";
+		}
+		// 표현식이 있는 템플릿 리터럴 - 정적 부분만 추출
+		const staticParts = node.quasis
+			.map((quasi) => quasi.value.raw || "")
+			.join("");
+		return staticParts || "[템플릿 리터럴]";
+	}
+	if (node.type === "JSXExpressionContainer") {
+		return getStringValue(node.expression);
+	}
+	return "[복잡한 표현식]";
+}
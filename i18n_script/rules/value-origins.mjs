@@ -0,0 +1,302 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "@babel/parser";
+import _traverse from "@babel/traverse";
+
+const traverse = _traverse.default || _traverse;
+
+// import 경로 해석 시 시도할 확장자 (TS의 "./x.js" → x.ts 포함)
+const MODULE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs"];
+
+// 상수 → 상수 → import 로 이어지는 추적 깊이 제한 (순환 참조 방지)
+const MAX_DEPTH = 10;
+
+// 값만 감싸는 식 (as const, satisfies, 괄호 등)
+const WRAPPER_TYPES = [
+	"TSAsExpression",
+	"TSSatisfiesExpression",
+	"TSTypeAssertion",
+	"TSNonNullExpression",
+	"ParenthesizedExpression",
+	"JSXExpressionContainer",
+];
+
+// 파일 경로 → { mtimeMs, program } (import한 상수 모듈을 파일마다 다시 파싱하지 않도록 캐시)
+const moduleCache = new Map();
+
+export function loadModule(filePath) {
+	const { mtimeMs } = fs.statSync(filePath);
+	const cached = moduleCache.get(filePath);
+	if (cached?.mtimeMs === mtimeMs) return cached.program;
+
+	let program = null;
+	try {
+		const ast = parse(fs.readFileSync(filePath, "utf8"), {
+			sourceType: "module",
+			plugins: ["jsx", "typescript", "decorators-legacy"],
+		});
+		traverse(ast, {
+			Program(programPath) {
+				program = programPath;
+				programPath.stop();
+			},
+		});
+	} catch {
+		// 파싱할 수 없는 모듈은 추적하지 않음
+	}
+
+	moduleCache.set(filePath, { mtimeMs, program });
+	return program;
+}
+
+// 상대 경로 import만 해석 (별칭/패키지는 추적하지 않음)
+export function resolveModulePath(fromFile, source) {
+	if (!source.startsWith(".")) return null;
+
+	const base = path.resolve(path.dirname(fromFile), source);
+	const withoutJs = base.replace(/\.(m?js|jsx)$/, "");
+	const candidates = [
+		base,
+		...MODULE_EXTENSIONS.map((extension) => `${withoutJs}${extension}`),
+		...MODULE_EXTENSIONS.map((extension) =>
+			path.join(base, `index${extension}`),
+		),
+	];
+
+	return (
+		candidates.find(
+			(candidate) =>
+				fs.existsSync(candidate) && fs.statSync(candidate).isFile(),
+		) || null
+	);
+}
+
+function getName(node) {
+	if (!node) return null;
+	if (node.type === "Identifier") return node.name;
+	if (node.type === "StringLiteral") return node.value;
+	return null;
+}
+
+/**
+ * @description 식이 가리키는 값의 정의를 따라갑니다.
+ * 식별자는 재할당되지 않는 변수의 초기값이나 import한 모듈의 export로,
+ * MESSAGES.saveFailed 같은 멤버 접근은 상수 객체 리터럴의 속성 값으로 이동합니다.
+ * @returns {{ path: object, filePath: string } | null}
+ */
+function resolveValue(valuePath, context, depth) {
+	if (!valuePath?.node || depth > MAX_DEPTH) return null;
+
+	if (WRAPPER_TYPES.includes(valuePath.node.type)) {
+		return resolveValue(valuePath.get("expression"), context, depth + 1);
+	}
+
+	if (valuePath.isIdentifier()) {
+		const binding = valuePath.scope.getBinding(valuePath.node.name);
+		return binding ? resolveBinding(binding, context, depth + 1) : null;
+	}
+
+	if (valuePath.isMemberExpression()) {
+		const propertyName = valuePath.node.computed
+			? valuePath.node.property.type === "StringLiteral" &&
+				valuePath.node.property.value
+			: getName(valuePath.node.property);
+		const target = resolveValue(valuePath.get("object"), context, depth + 1);
+		if (!propertyName || !target?.path.isObjectExpression()) return null;
+
+		const property = target.path
+			.get("properties")
+			.find(
+				(propertyPath) =>
+					propertyPath.isObjectProperty() &&
+					!propertyPath.node.computed &&
+					getName(propertyPath.node.key) === propertyName,
+			);
+		return property
+			? resolveValue(
+					property.get("value"),
+					{ ...context, filePath: target.filePath },
+					depth + 1,
+				)
+			: null;
+	}
+
+	return { path: valuePath, filePath: context.filePath };
+}
+
+function resolveBinding(binding, context, depth) {
+	if (binding.kind === "module") {
+		const specifier = binding.path.node;
+		const source = binding.path.parent.source.value;
+		const importedName =
+			specifier.type === "ImportSpecifier"
+				? getName(specifier.imported)
+				: specifier.type === "ImportDefaultSpecifier"
+					? "default"
+					: null;
+		return importedName
+			? resolveExport(context.filePath, source, importedName, context, depth)
+			: null;
+	}
+
+	if (
+		!binding.constant ||
+		!binding.path.isVariableDeclarator() ||
+		binding.path.node.id.type !== "Identifier" ||
+		!binding.path.node.init
+	) {
+		return null;
+	}
+
+	return resolveValue(binding.path.get("init"), context, depth);
+}
+
+// 다른 모듈의 export 정의 (export const, export { a as b }, export default, 재export)
+function resolveExport(fromFile, source, exportName, context, depth) {
+	const absolutePath = resolveModulePath(path.resolve(fromFile), source);
+	if (!absolutePath || depth > MAX_DEPTH) return null;
+
+	const filePath = path.relative(process.cwd(), absolutePath);
+	context.addDependency?.(filePath);
+	const program = loadModule(absolutePath);
+	if (!program) return null;
+
+	const moduleContext = { ...context, filePath };
+
+	for (const statementPath of program.get("body")) {
+		const statement = statementPath.node;
+
+		if (statement.type === "ExportDefaultDeclaration") {
+			if (exportName !== "default") continue;
+			return resolveValue(
+				statementPath.get("declaration"),
+				moduleContext,
+				depth + 1,
+			);
+		}
+
+		if (statement.type === "ExportAllDeclaration" && exportName !== "default") {
+			const resolved = resolveExport(
+				filePath,
+				statement.source.value,
+				exportName,
+				context,
+				depth + 1,
+			);
+			if (resolved) return resolved;
+			continue;
+		}
+
+		if (statement.type !== "ExportNamedDeclaration") continue;
+
+		if (statement.declaration?.type === "VariableDeclaration") {
+			const declared = statement.declaration.declarations.some(
+				(declarator) => getName(declarator.id) === exportName,
+			);
+			if (declared) {
+				const binding = program.scope.getBinding(exportName);
+				return binding
+					? resolveBinding(binding, moduleContext, depth + 1)
+					: null;
+			}
+		}
+
+		const specifier = statement.specifiers.find(
+			(item) => getName(item.exported) === exportName,
+		);
+		if (!specifier) continue;
+
+		const localName = getName(specifier.local);
+		if (statement.source) {
+			return resolveExport(
+				filePath,
+				statement.source.value,
+				localName,
+				context,
+				depth + 1,
+			);
+		}
+		const binding = program.scope.getBinding(localName);
+		return binding ? resolveBinding(binding, moduleContext, depth + 1) : null;
+	}
+
+	return null;
+}
+
+/**
+ * @description 싱크(toast 인수, JSX 속성/자식)에 도달할 수 있는 문자열 리터럴(출처)을 찾습니다.
+ * 조건식은 양쪽 분기를, 논리식은 값이 될 수 있는 쪽(&&는 오른쪽만)을 검사하고
+ * 식별자는 Babel scope 바인딩을 따라 상수 초기값(다른 모듈에서 import한 상수 포함)까지 추적합니다.
+ *
+ * reference는 변수를 거친 경우 싱크 쪽 식별자/멤버 식 노드이며, 위반은 이 위치에 보고하고 출처를 함께 표시합니다.
+ * @param {object} context { filePath, addDependency } (addDependency는 import한 모듈 경로를 캐시 의존성으로 기록)
+ * @returns {{ node: object, filePath: string, reference: object | null }[]}
+ */
+export function findStringOrigins(sinkPath, context) {
+	const origins = [];
+
+	const visit = (valuePath, valueContext, reference, depth) => {
+		if (!valuePath?.node || depth > MAX_DEPTH) return;
+		const { node } = valuePath;
+
+		if (node.type === "StringLiteral" || node.type === "TemplateLiteral") {
+			origins.push({ node, filePath: valueContext.filePath, reference });
+			return;
+		}
+
+		if (WRAPPER_TYPES.includes(node.type)) {
+			visit(valuePath.get("expression"), valueContext, reference, depth + 1);
+			return;
+		}
+
+		if (node.type === "ConditionalExpression") {
+			visit(valuePath.get("consequent"), valueContext, reference, depth + 1);
+			visit(valuePath.get("alternate"), valueContext, reference, depth + 1);
+			return;
+		}
+
+		if (node.type === "LogicalExpression") {
+			// a && "텍스트"의 왼쪽은 조건이므로 문자열로 렌더링되지 않음
+			if (node.operator !== "&&") {
+				visit(valuePath.get("left"), valueContext, reference, depth + 1);
+			}
+			visit(valuePath.get("right"), valueContext, reference, depth + 1);
+			return;
+		}
+
+		if (node.type === "Identifier" || node.type === "MemberExpression") {
+			const resolved = resolveValue(valuePath, valueContext, depth + 1);
+			if (!resolved || resolved.path === valuePath) return;
+			visit(
+				resolved.path,
+				{ ...valueContext, filePath: resolved.filePath },
+				reference || node,
+				depth + 1,
+			);
+		}
+	};
+
+	visit(sinkPath, context, null, 0);
+	return origins;
+}
+
+/**
+ * @description 출처를 보고 위치와 추가 정보로 변환합니다.
+ * 싱크 안에 직접 쓴 리터럴은 리터럴 위치에, 변수를 거친 값은 싱크 쪽 식별자 위치에 보고합니다.
+ */
+export function getOriginReport(origin) {
+	if (!origin.reference) {
+		return { node: origin.node, origin: null, originText: "" };
+	}
+
+	const { start } = origin.node.loc;
+	return {
+		node: origin.reference,
+		origin: {
+			filePath: origin.filePath,
+			line: start.line,
+			column: start.column,
+		},
+		originText: ` (값 출처: ${origin.filePath}:${start.line})`,
+	};
+}
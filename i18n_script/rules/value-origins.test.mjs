@@ -0,0 +1,63 @@
+import path from "node:path";
+import {
+	checkCode,
+	createTempProject,
+	removeTempProject,
+} from "../test-helpers.mjs";
+import { RULE_DEFINITIONS } from "./index.mjs";
+
+describe("값 출처 추적", () => {
+	let root;
+
+	beforeEach(() => {
+		root = createTempProject({
+			"src/messages.ts": `export const SAVE_FAILED = "저장에 실패했습니다";\n`,
+		});
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	const check = (code) =>
+		checkCode(RULE_DEFINITIONS, code, {
+			filePath: path.join(root, "src/App.tsx"),
+		}).map(({ ruleId, value, origin, line }) => ({
+			ruleId,
+			value,
+			line,
+			origin: origin && `${path.basename(origin.filePath)}:${origin.line}`,
+		}));
+
+	test("지역 변수와 다른 모듈에서 import한 상수를 사용 위치와 출처로 보고", () => {
+		expect(
+			check(`import { message } from "antd";
+import { SAVE_FAILED } from "./messages";
+const notice = "잠시 후 다시 시도하세요";
+message.error(SAVE_FAILED);
+message.warning(notice);
+`),
+		).toEqual([
+			{
+				ruleId: "no-hardcoded-toast",
+				value: "저장에 실패했습니다",
+				line: 4,
+				origin: "messages.ts:1",
+			},
+			{
+				ruleId: "no-hardcoded-toast",
+				value: "잠시 후 다시 시도하세요",
+				line: 5,
+				origin: "App.tsx:3",
+			},
+		]);
+	});
+
+	test("조건식과 논리식의 양쪽 분기를 모두 검사", () => {
+		expect(
+			check(`alert(ok ? "저장되었습니다" : "실패했습니다");
+alert(error || "알 수 없는 오류입니다");
+`).map(({ value }) => value),
+		).toEqual(["저장되었습니다", "실패했습니다", "알 수 없는 오류입니다"]);
+	});
+});
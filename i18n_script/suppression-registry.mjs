@@ -0,0 +1,233 @@
+import _traverse from "@babel/traverse";
+
+const traverse = _traverse.default || _traverse;
+
+// 지원하는 억제 주석 (긴 이름부터 매칭, "-- 사유" 설명 허용)
+const DIRECTIVE_PATTERN =
+	/^\s*\*?\s*(i18n-ignore-file|i18n-ignore-next-line|i18n-ignore|i18n-disable|i18n-enable)(?:\s+--.*)?\s*$/s;
+
+const END_OF_LINE = Number.MAX_SAFE_INTEGER;
+
+function comparePosition(a, b) {
+	return a.line - b.line || a.column - b.column;
+}
+
+function isInRange(position, range) {
+	return (
+		comparePosition(position, range.start) >= 0 &&
+		comparePosition(position, range.end) <= 0
+	);
+}
+
+// {/* i18n-ignore */} → 같은 부모의 다음 JSX 형제 노드 전체
+function collectJSXIgnoreTargets(ast, comments) {
+	const targets = new Map();
+	const hasJSXIgnore = comments.some(
+		(comment) => comment.value.match(DIRECTIVE_PATTERN)?.[1] === "i18n-ignore",
+	);
+	if (!hasJSXIgnore) return targets;
+
+	traverse(ast, {
+		JSXEmptyExpression: (path) => {
+			const ignoreComment = (path.node.innerComments || []).find(
+				(comment) =>
+					comment.value.match(DIRECTIVE_PATTERN)?.[1] === "i18n-ignore",
+			);
+			const container = path.parentPath;
+			const parent = container?.parentPath?.node;
+			if (!ignoreComment || !parent?.children) return;
+
+			const index = parent.children.indexOf(container.node);
+			const sibling = parent.children
+				.slice(index + 1)
+				.find(
+					(child) => !(child.type === "JSXText" && child.value.trim() === ""),
+				);
+
+			if (sibling?.loc) {
+				targets.set(ignoreComment.start, {
+					start: sibling.loc.start,
+					end: sibling.loc.end,
+				});
+			}
+		},
+	});
+
+	return targets;
+}
+
+// JSX 밖의 i18n-ignore: 주석 뒤에 코드가 있으면 그 줄 나머지, 없으면 다음 줄
+function getInlineRange(comment, lines) {
+	const { line, column } = comment.loc.end;
+	const rest = (lines[line - 1] || "").slice(column).trim();
+
+	if (rest) {
+		return {
+			start: comment.loc.end,
+			end: { line, column: END_OF_LINE },
+		};
+	}
+
+	return {
+		start: { line: line + 1, column: 0 },
+		end: { line: line + 1, column: END_OF_LINE },
+	};
+}
+
+// 파일의 억제 주석과 적용 범위 (구조화 복제 가능한 일반 객체라 워커에서 전달 가능)
+function parseDirectives(ast, code) {
+	const directives = [];
+	const lines = code.split("\n");
+	const comments = ast.comments || [];
+	const jsxTargets = collectJSXIgnoreTargets(ast, comments);
+	let openDisable = null;
+
+	for (const comment of comments) {
+		const match = comment.value.match(DIRECTIVE_PATTERN);
+		if (!match) continue;
+
+		const name = match[1];
+		const directive = {
+			name,
+			line: comment.loc.start.line,
+			column: comment.loc.start.column,
+			used: false,
+			range: null,
+		};
+
+		switch (name) {
+			case "i18n-ignore-file":
+				directive.range = {
+					start: { line: 1, column: 0 },
+					end: { line: END_OF_LINE, column: END_OF_LINE },
+				};
+				break;
+			case "i18n-ignore-next-line": {
+				const line = comment.loc.end.line + 1;
+				directive.range = {
+					start: { line, column: 0 },
+					end: { line, column: END_OF_LINE },
+				};
+				break;
+			}
+			case "i18n-ignore":
+				directive.range =
+					jsxTargets.get(comment.start) || getInlineRange(comment, lines);
+				break;
+			case "i18n-disable":
+				directive.range = {
+					start: comment.loc.end,
+					end: { line: END_OF_LINE, column: END_OF_LINE },
+				};
+				openDisable = directive;
+				break;
+			case "i18n-enable":
+				// 짝이 되는 i18n-disable 블록을 닫고, enable 자체는 사용 여부를 따지지 않음
+				if (openDisable) {
+					openDisable.range.end = comment.loc.start;
+					openDisable = null;
+				}
+				continue;
+		}
+
+		directives.push(directive);
+	}
+
+	return directives;
+}
+
+// 파일 하나의 억제 주석과 사용 여부
+class FileSuppressions {
+	constructor(directives) {
+		this.directives = directives;
+	}
+
+	isSuppressed(error) {
+		const position = { line: error.line, column: error.column };
+		let suppressed = false;
+
+		for (const directive of this.directives) {
+			if (directive.range && isInRange(position, directive.range)) {
+				directive.used = true;
+				suppressed = true;
+			}
+		}
+
+		return suppressed;
+	}
+}
+
+/**
+ * @description 파일별 억제 주석을 한 번만 해석하고, 여러 검사기가 같은 인스턴스를 공유하여
+ * 어떤 검사기에서도 쓰이지 않은 주석을 "사용되지 않음"으로 보고합니다.
+ */
+export default class SuppressionRegistry {
+	constructor() {
+		this.files = new Map();
+	}
+
+	forFile(filePath, ast, code) {
+		if (!this.files.has(filePath)) {
+			this.files.set(
+				filePath,
+				new FileSuppressions(parseDirectives(ast, code)),
+			);
+		}
+		return this.files.get(filePath);
+	}
+
+	// 억제 주석에 해당하는 에러를 제외한 목록 반환
+	filter(filePath, ast, code, errors) {
+		const suppressions = this.forFile(filePath, ast, code);
+		if (suppressions.directives.length === 0) {
+			return errors;
+		}
+		return errors.filter((error) => !suppressions.isSuppressed(error));
+	}
+
+	getDirectives(filePath) {
+		return this.files.get(filePath)?.directives || [];
+	}
+
+	// 다른 레지스트리(워커)에서 같은 파일을 검사한 결과의 사용 여부를 합침
+	mergeDirectives(filePath, directives) {
+		const existing = this.files.get(filePath);
+		if (!existing) {
+			this.files.set(filePath, new FileSuppressions(directives));
+			return;
+		}
+
+		directives.forEach((directive, index) => {
+			if (directive.used && existing.directives[index]) {
+				existing.directives[index].used = true;
+			}
+		});
+	}
+
+	getUnused() {
+		const unused = [];
+
+		for (const [filePath, suppressions] of this.files) {
+			for (const directive of suppressions.directives) {
+				if (!directive.used) {
+					unused.push({
+						filePath,
+						line: directive.line,
+						column: directive.column,
+						directive: directive.name,
+					});
+				}
+			}
+		}
+
+		return unused;
+	}
+
+	clear(filePath) {
+		if (filePath) {
+			this.files.delete(filePath);
+		} else {
+			this.files.clear();
+		}
+	}
+}
@@ -0,0 +1,64 @@
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import SuppressionRegistry from "./suppression-registry.mjs";
+import { checkCode } from "./test-helpers.mjs";
+
+function check(code, suppressions = new SuppressionRegistry()) {
+	return checkCode(RULE_DEFINITIONS, code, { suppressions }).map(
+		({ value }) => value,
+	);
+}
+
+describe("i18n-ignore 억제 주석", () => {
+	test("i18n-ignore는 다음 JSX 형제나 주석 뒤 코드, i18n-ignore-next-line은 다음 줄만 제외", () => {
+		const code = `
+export const A = () => (
+	<div>
+		{/* i18n-ignore */}
+		<p>무시할 문구</p>
+		<p>보고할 문구</p>
+	</div>
+);
+/* i18n-ignore */ message.error("같은 줄 문구");
+// i18n-ignore-next-line
+message.error("다음 줄 문구");
+message.error("남는 문구");
+`;
+		expect(check(code)).toEqual(["보고할 문구", "남는 문구"]);
+	});
+
+	test("i18n-disable/enable 구간과 i18n-ignore-file", () => {
+		expect(
+			check(`
+/* i18n-disable -- 데모 화면 */
+message.error("구간 안");
+/* i18n-enable */
+message.error("구간 밖");
+`),
+		).toEqual(["구간 밖"]);
+
+		expect(
+			check(`// i18n-ignore-file
+message.error("파일 전체");`),
+		).toEqual([]);
+	});
+
+	test("아무 위반도 억제하지 않은 주석은 사용되지 않음으로 보고", () => {
+		const suppressions = new SuppressionRegistry();
+		check(
+			`// i18n-ignore-next-line
+const count = 1;
+// i18n-ignore-next-line
+message.error("억제됨");`,
+			suppressions,
+		);
+
+		expect(suppressions.getUnused()).toEqual([
+			{
+				filePath: "src/App.tsx",
+				line: 1,
+				column: 0,
+				directive: "i18n-ignore-next-line",
+			},
+		]);
+	});
+});
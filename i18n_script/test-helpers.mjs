@@ -0,0 +1,68 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import RuleEngine from "./rule-engine.mjs";
+
+// 테스트에서 공유하는 임시 프로젝트/규칙 실행 도우미
+
+/**
+ * @description 임시 디렉토리에 파일을 만들고 경로를 반환합니다. 문자열이 아닌 값은 JSON으로 씁니다.
+ * @example
+ * createTempProject({ "package.json": { name: "fixture" }, "src/App.tsx": "..." })
+ */
+export function createTempProject(files = {}) {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), "i18n-check-"));
+	writeFiles(root, files);
+	return root;
+}
+
+export function writeFiles(root, files) {
+	for (const [file, content] of Object.entries(files)) {
+		const filepath = path.join(root, file);
+		fs.mkdirSync(path.dirname(filepath), { recursive: true });
+		fs.writeFileSync(
+			filepath,
+			typeof content === "string"
+				? content
+				: `${JSON.stringify(content, null, 2)}\n`,
+		);
+	}
+}
+
+export function readJson(root, file) {
+	return JSON.parse(fs.readFileSync(path.join(root, file), "utf8"));
+}
+
+export function removeTempProject(root) {
+	fs.rmSync(root, { recursive: true, force: true });
+}
+
+// 임시 프로젝트의 locale 파일을 가리키는 locales 설정
+export function localeOptions(root, options = {}) {
+	return {
+		path: path.join(root, "locales/{{lng}}/{{ns}}.json"),
+		...options,
+	};
+}
+
+/**
+ * @description 소스 문자열 하나에 규칙을 실행해 위반 목록을 반환합니다 (파일 탐색, 캐시, 리포트 출력 없음).
+ */
+export function checkCode(
+	rules,
+	code,
+	{ config = {}, filePath = "src/App.tsx", suppressions } = {},
+) {
+	const engine = new RuleEngine({
+		rules,
+		config,
+		readFile: () => code,
+		...(suppressions && { suppressions }),
+	});
+	const instances = engine.createInstances({ warn: () => {} });
+	const result = engine.checkSource(filePath, code, instances, {
+		timings: { parse: 0, rules: 0, suppressions: 0 },
+	});
+	if (result.parseError) throw new Error(result.parseError);
+	return result.errors;
+}
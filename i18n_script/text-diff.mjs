@@ -0,0 +1,114 @@
+// --dry-run 출력용 unified diff 생성 (외부 의존성 없이 줄 단위 LCS 사용)
+
+const CONTEXT_LINES = 3;
+// 이보다 큰 비교는 LCS 테이블 메모리가 과해지므로 변경 구간 전체를 한 덩어리로 표시
+const MAX_LCS_CELLS = 25_000_000;
+
+function diffLines(oldLines, newLines) {
+	// 공통 접두/접미 줄은 LCS 계산에서 제외
+	let prefix = 0;
+	while (
+		prefix < oldLines.length &&
+		prefix < newLines.length &&
+		oldLines[prefix] === newLines[prefix]
+	) {
+		prefix++;
+	}
+
+	let suffix = 0;
+	while (
+		suffix < oldLines.length - prefix &&
+		suffix < newLines.length - prefix &&
+		oldLines[oldLines.length - 1 - suffix] ===
+			newLines[newLines.length - 1 - suffix]
+	) {
+		suffix++;
+	}
+
+	const a = oldLines.slice(prefix, oldLines.length - suffix);
+	const b = newLines.slice(prefix, newLines.length - suffix);
+	const ops = oldLines.slice(0, prefix).map((line) => [" ", line]);
+
+	if ((a.length + 1) * (b.length + 1) > MAX_LCS_CELLS) {
+		ops.push(...a.map((line) => ["-", line]), ...b.map((line) => ["+", line]));
+	} else {
+		const width = b.length + 1;
+		const table = new Int32Array((a.length + 1) * width);
+
+		for (let i = a.length - 1; i >= 0; i--) {
+			for (let j = b.length - 1; j >= 0; j--) {
+				table[i * width + j] =
+					a[i] === b[j]
+						? table[(i + 1) * width + j + 1] + 1
+						: Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+			}
+		}
+
+		let i = 0;
+		let j = 0;
+		while (i < a.length || j < b.length) {
+			if (i < a.length && j < b.length && a[i] === b[j]) {
+				ops.push([" ", a[i++]]);
+				j++;
+			} else if (
+				i < a.length &&
+				(j >= b.length ||
+					table[(i + 1) * width + j] >= table[i * width + j + 1])
+			) {
+				ops.push(["-", a[i++]]);
+			} else {
+				ops.push(["+", b[j++]]);
+			}
+		}
+	}
+
+	ops.push(
+		...oldLines.slice(oldLines.length - suffix).map((line) => [" ", line]),
+	);
+	return ops;
+}
+
+export function createUnifiedDiff(filePath, oldText, newText) {
+	if (oldText === newText) return "";
+
+	const ops = diffLines(oldText.split("\n"), newText.split("\n"));
+
+	// 각 연산 위치의 old/new 줄 번호 (1-based)
+	const positions = [];
+	let oldLine = 1;
+	let newLine = 1;
+	for (const [tag] of ops) {
+		positions.push({ oldLine, newLine });
+		if (tag !== "+") oldLine++;
+		if (tag !== "-") newLine++;
+	}
+
+	// 문맥 줄이 겹칠 만큼 가까운 변경은 하나의 hunk로 묶음
+	const groups = [];
+	ops.forEach(([tag], index) => {
+		if (tag === " ") return;
+		const last = groups[groups.length - 1];
+		if (last && index - last.end <= CONTEXT_LINES * 2) {
+			last.end = index;
+		} else {
+			groups.push({ start: index, end: index });
+		}
+	});
+
+	const hunks = groups.map(({ start, end }) => {
+		const from = Math.max(0, start - CONTEXT_LINES);
+		const to = Math.min(ops.length - 1, end + CONTEXT_LINES);
+		const slice = ops.slice(from, to + 1);
+		const oldCount = slice.filter(([tag]) => tag !== "+").length;
+		const newCount = slice.filter(([tag]) => tag !== "-").length;
+
+		return [
+			`@@ -${positions[from].oldLine},${oldCount} +${positions[from].newLine},${newCount} @@`,
+			...slice.map(([tag, line]) => `${tag}${line}`),
+		];
+	});
+
+	return [`--- a/${filePath}`, `+++ b/${filePath}`, ...hunks.flat(), ""].join(
+		"\n",
+	);
+}
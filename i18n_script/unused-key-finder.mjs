@@ -0,0 +1,201 @@
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "@babel/parser";
+import chalk from "chalk";
+import KeyUsageCollector from "./key-usage-collector.mjs";
+import LocaleStore from "./locale-store.mjs";
+import { parsePluralKey } from "./plural-rules.mjs";
+import RuleEngine from "./rule-engine.mjs";
+
+/**
+ * @description 코드 어디에서도 참조하지 않는 locale 키를 찾고, 필요하면 삭제합니다.
+ * 동적 템플릿 키(t(`status.${s}`))는 와일드카드로 취급해 일치하는 키를 사용 중으로 보고,
+ * 다른 locale 값의 중첩 참조($t(key))도 사용으로 봅니다.
+ */
+export default class UnusedKeyFinder {
+	constructor(localeOptions, { store = new LocaleStore(localeOptions) } = {}) {
+		this.store = store;
+		this.collector = new KeyUsageCollector(localeOptions);
+		// 검사기와 같은 기준(기본 제외 패턴 포함)으로 파일을 찾기 위해 사용
+		this.engine = new RuleEngine({ rules: [] });
+		this.scannedFiles = [];
+		this.unresolvedCount = 0;
+		// 변수로 키를 넘기는 네임스페이스 (--prune에서 제외)
+		this.dynamicNamespaces = new Set();
+	}
+
+	// 패턴에 해당하는 파일의 키 사용 위치 수집
+	async collectUsages(patterns) {
+		const files = await this.engine.matchFiles(patterns);
+
+		console.log(chalk.gray(`📊 검사 대상: ${files.length}개 파일`));
+		this.scannedFiles = files;
+
+		const usages = [];
+		for (const file of files) {
+			try {
+				const ast = parse(fs.readFileSync(file, "utf8"), {
+					sourceType: "module",
+					plugins: ["jsx", "typescript", "decorators-legacy"],
+				});
+				usages.push(...this.collector.collect(ast));
+			} catch (error) {
+				console.error(
+					chalk.yellow(`⚠️  파싱 에러 in ${file}: ${error.message}`),
+				);
+			}
+		}
+
+		return usages;
+	}
+
+	/**
+	 * @description 모든 언어/네임스페이스 파일에서 사용되지 않는 키를 찾습니다.
+	 * @returns {{ language: string, namespace: string, filepath: string, keys: string[] }[]}
+	 */
+	find(codeUsages) {
+		// 템플릿 키(t(`status.${s}`))는 pattern으로 사용 여부를 알 수 있으므로 변수 키만 제외
+		const unresolved = codeUsages.filter(
+			(usage) => usage.key === null && usage.pattern === null,
+		);
+		this.unresolvedCount = unresolved.length;
+		this.dynamicNamespaces = new Set(
+			unresolved.map(({ namespace }) => namespace),
+		);
+
+		const usages = [...codeUsages, ...this.collectNestedUsages()];
+		const results = [];
+		for (const language of this.store.listLanguages()) {
+			for (const namespace of this.store.listNamespaces(language)) {
+				if (!this.store.exists(language, namespace)) continue;
+
+				const namespaceUsages = usages.filter(
+					(usage) => usage.namespace === namespace,
+				);
+				const keys = [...this.store.getKeys(language, namespace).keys()].filter(
+					(key) => !this.isUsed(key, namespaceUsages),
+				);
+
+				if (keys.length > 0) {
+					results.push({
+						language,
+						namespace,
+						filepath: this.store.getFilePath(language, namespace),
+						keys,
+					});
+				}
+			}
+		}
+
+		return results;
+	}
+
+	// 모든 언어의 locale 값에 있는 $t(key) 중첩 참조
+	collectNestedUsages() {
+		const usages = [];
+		for (const language of this.store.listLanguages()) {
+			for (const namespace of this.store.listNamespaces(language)) {
+				for (const value of this.store.getKeys(language, namespace).values()) {
+					if (typeof value !== "string") continue;
+					usages.push(...this.collector.collectNested(value, namespace));
+				}
+			}
+		}
+		return usages;
+	}
+
+	// 정확히 일치하거나, 복수형/context 접미사가 붙은 키이거나, 동적 키 패턴과 일치하면 사용 중
+	isUsed(key, usages) {
+		const pluralBase = parsePluralKey(key)?.base ?? key;
+
+		return usages.some((usage) => {
+			if (usage.pattern) return usage.pattern.test(key);
+			if (usage.key === null) return false;
+			if (usage.key === key || usage.key === pluralBase) return true;
+			return usage.hasContext && key.startsWith(`${usage.key}_`);
+		});
+	}
+
+	/**
+	 * @description 사용되지 않는 키를 locale 파일에서 삭제합니다.
+	 * 변수로 키를 넘기는 네임스페이스는 실제로 쓰이는 키를 알 수 없으므로 삭제하지 않고 skipped로 반환합니다.
+	 * @returns {{ pruned: object[], skipped: object[] }}
+	 */
+	prune(results) {
+		const pruned = [];
+		const skipped = [];
+
+		for (const result of results) {
+			const { language, namespace, keys } = result;
+			if (this.dynamicNamespaces.has(namespace)) {
+				skipped.push(result);
+				continue;
+			}
+
+			const data = structuredClone(this.store.read(language, namespace));
+			for (const key of keys) {
+				this.store.deleteKey(data, key);
+			}
+			this.store.write(language, namespace, data);
+			pruned.push(result);
+		}
+
+		return { pruned, skipped };
+	}
+
+	printReport(results, { pruned = false, skipped = [] } = {}) {
+		const total = results.reduce((sum, { keys }) => sum + keys.length, 0);
+
+		console.log(chalk.gray(`\n${"=".repeat(60)}`));
+
+		if (total === 0 && skipped.length === 0) {
+			console.log(chalk.green("✅ 사용되지 않는 번역 키가 없습니다."));
+		} else if (total > 0) {
+			console.log(
+				chalk.yellow.bold(
+					`🧹 사용되지 않는 번역 키 ${total}개${pruned ? " 삭제됨" : ""}`,
+				),
+			);
+			for (const { filepath, keys } of results) {
+				console.log(
+					chalk.yellow.bold(
+						`\n📁 ${path.relative(process.cwd(), filepath)} (${keys.length}개)`,
+					),
+				);
+				keys.forEach((key) => {
+					console.log(chalk.yellow(`  ${pruned ? "-" : "·"} ${key}`));
+				});
+			}
+		}
+
+		if (skipped.length > 0) {
+			console.log(
+				chalk.yellow.bold(
+					"\n⚠️  변수로 키를 넘기는 네임스페이스는 삭제하지 않았습니다:",
+				),
+			);
+			for (const { filepath, keys } of skipped) {
+				console.log(
+					chalk.yellow(
+						`  ${path.relative(process.cwd(), filepath)} (${keys.length}개)`,
+					),
+				);
+			}
+		}
+
+		if (this.unresolvedCount > 0) {
+			console.log(
+				chalk.gray(
+					`\n변수로 전달된 동적 키 ${this.unresolvedCount}개는 확인할 수 없어 제외했습니다.`,
+				),
+			);
+		}
+		if (total > 0 && !pruned) {
+			console.log(
+				chalk.gray("--prune으로 해당 키를 locale 파일에서 삭제할 수 있습니다."),
+			);
+		}
+
+		console.log(chalk.gray("=".repeat(60)));
+	}
+}
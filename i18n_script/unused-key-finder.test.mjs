@@ -0,0 +1,125 @@
+import path from "node:path";
+import {
+	createTempProject,
+	localeOptions,
+	readJson,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+import UnusedKeyFinder from "./unused-key-finder.mjs";
+
+const { jest } = import.meta;
+
+describe("UnusedKeyFinder", () => {
+	let root;
+
+	beforeEach(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		root = createTempProject({
+			"src/App.tsx": `import { useTranslation } from "react-i18next";
+export function App({ status }) {
+	const { t } = useTranslation();
+	const { t: tStatus } = useTranslation("status");
+	return <p>{t("home.title")} {tStatus(status)}</p>;
+}
+`,
+			// 테스트 파일은 검사기와 같이 제외
+			"src/App.test.tsx": `t("home.unused");`,
+			"locales/ko/translation.json": {
+				home: {
+					title: "$t(brand) 홈",
+					unused: "안 쓰는 값",
+				},
+				brand: "브랜드",
+			},
+			"locales/ko/status.json": { active: "활성", inactive: "비활성" },
+		});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		removeTempProject(root);
+	});
+
+	const find = async () => {
+		const finder = new UnusedKeyFinder(
+			localeOptions(root, {
+				defaultLanguage: "ko",
+				defaultNamespace: "translation",
+				keySeparator: ".",
+				nsSeparator: ":",
+			}),
+		);
+		const usages = await finder.collectUsages([
+			path.join(root, "src/**/*.tsx"),
+		]);
+		return { finder, results: finder.find(usages) };
+	};
+
+	test("$t() 중첩 참조는 사용으로 보고, 테스트 파일은 검사하지 않음", async () => {
+		const { finder, results } = await find();
+
+		expect(finder.scannedFiles).toHaveLength(1);
+		expect(results.map(({ namespace, keys }) => [namespace, keys])).toEqual([
+			["status", ["active", "inactive"]],
+			["translation", ["home.unused"]],
+		]);
+	});
+
+	test("변수로 키를 넘기는 네임스페이스는 --prune에서 삭제하지 않음", async () => {
+		const { finder, results } = await find();
+
+		const { pruned, skipped } = finder.prune(results);
+
+		expect(pruned.map(({ namespace }) => namespace)).toEqual(["translation"]);
+		expect(skipped.map(({ namespace }) => namespace)).toEqual(["status"]);
+		expect(readJson(root, "locales/ko/translation.json").home).toEqual({
+			title: "$t(brand) 홈",
+		});
+		expect(readJson(root, "locales/ko/status.json")).toEqual({
+			active: "활성",
+			inactive: "비활성",
+		});
+	});
+
+	test("템플릿 키는 일치하는 키만 사용으로 보고 같은 네임스페이스의 안 쓰는 키는 삭제", async () => {
+		writeFiles(root, {
+			"src/App.tsx": `import { t } from "i18next";
+t(\`status.\${s}\`);
+t("used");
+`,
+			"locales/ko/translation.json": {
+				used: "사용",
+				dead: "안 씀",
+				status: { active: "활성" },
+			},
+			"locales/ko/status.json": {},
+		});
+		const { finder, results } = await find();
+
+		const { pruned, skipped } = finder.prune(results);
+		finder.printReport(pruned, { pruned: true, skipped });
+
+		expect(skipped).toEqual([]);
+		expect(readJson(root, "locales/ko/translation.json")).toEqual({
+			used: "사용",
+			status: { active: "활성" },
+		});
+		expect(console.log).not.toHaveBeenCalledWith(
+			expect.stringContaining("사용되지 않는 번역 키가 없습니다"),
+		);
+	});
+
+	test("삭제하지 못한 네임스페이스가 있으면 키가 없다고 출력하지 않음", async () => {
+		const { finder } = await find();
+
+		finder.printReport([], {
+			pruned: true,
+			skipped: [{ filepath: root, keys: ["a"] }],
+		});
+
+		expect(console.log).not.toHaveBeenCalledWith(
+			expect.stringContaining("사용되지 않는 번역 키가 없습니다"),
+		);
+	});
+});
@@ -0,0 +1,72 @@
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+
+// 모든 검사기가 공유하는 규칙 정의 (리포트 형식의 rule id / 기본 심각도)
+export const RULES = {
+	...Object.fromEntries(
+		RULE_DEFINITIONS.map(({ id, meta }) => [
+			id,
+			{
+				description: meta.description,
+				defaultSeverity: meta.defaultSeverity,
+				types: meta.types,
+			},
+		]),
+	),
+	// 규칙 엔진 밖에서 통합 검사기가 보고
+	"unused-suppression": {
+		description: "사용되지 않는 i18n 억제 주석",
+		defaultSeverity: "warning",
+		types: ["unused-suppression"],
+	},
+};
+
+const TYPE_TO_RULE = Object.fromEntries(
+	Object.entries(RULES).flatMap(([ruleId, rule]) =>
+		rule.types.map((type) => [type, ruleId]),
+	),
+);
+
+export function getRuleId(type) {
+	return TYPE_TO_RULE[type] || type;
+}
+
+/**
+ * @description 검사기의 에러 정보를 공통 구조로 맞춥니다.
+ * line/column은 1-based 줄, 0-based 열 (Babel loc 기준)이며 end가 없으면 시작 위치를 사용합니다.
+ */
+export function toViolation(error, filePath = error.filePath) {
+	const ruleId = error.ruleId || getRuleId(error.type);
+	const start = { line: error.line, column: error.column };
+	const end = error.end
+		? { line: error.end.line, column: error.end.column }
+		: start;
+
+	return {
+		...error,
+		ruleId,
+		severity: error.severity || RULES[ruleId]?.defaultSeverity || "error",
+		filePath,
+		range: { start, end },
+		value: error.value ?? "",
+		suggestion: error.suggestion ?? null,
+		// 사용자에게 보이는 문자열로 판단한 근거 (자연어 판별 결과)
+		reason: error.reason ?? null,
+	};
+}
+
+// 렌더러에 넘길 직렬화용 필드만 추출 (ANSI 코드가 섞인 codeSnippet 등 제외)
+export function serializeViolation(violation) {
+	return {
+		ruleId: violation.ruleId,
+		severity: violation.severity,
+		filePath: violation.filePath,
+		range: violation.range,
+		message: violation.message,
+		value: violation.value,
+		key: violation.key ?? null,
+		suggestion: violation.suggestion,
+		reason: violation.reason ?? null,
+		// 변수/상수를 거쳐 전달된 값이면 문자열이 정의된 위치
+		...(violation.origin && { origin: violation.origin }),
+	};
+}
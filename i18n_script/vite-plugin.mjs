@@ -0,0 +1,206 @@
+import fs from "node:fs";
+import path from "node:path";
+import { stripVTControlCharacters } from "node:util";
+import chalk from "chalk";
+import { createFilter } from "vite";
+import ConfigLoader from "./config-loader.mjs";
+import formatPretty from "./formatters/pretty.mjs";
+import RuleEngine, { DEFAULT_IGNORES } from "./rule-engine.mjs";
+import { RULE_DEFINITIONS } from "./rules/index.mjs";
+import { toViolation } from "./violation.mjs";
+
+const PLUGIN_NAME = "i18n-check";
+
+const SOURCE_FILES = /\.[jt]sx?$/;
+
+function createTimings() {
+	return { parse: 0, rules: 0, suppressions: 0 };
+}
+
+// 에러 오버레이는 한 항목만 표시하므로 모듈의 위반 목록을 메시지로, 첫 위반의 코드를 frame으로 사용
+function createOverlayError(file, violations) {
+	const [first] = violations;
+	const lines = violations.map(
+		({ filePath, range, message }) =>
+			`${filePath}:${range.start.line}:${range.start.column + 1} ${message}`,
+	);
+
+	return {
+		plugin: PLUGIN_NAME,
+		id: file,
+		message: `하드코딩된 문자열 ${violations.length}개\n${lines.join("\n")}`,
+		stack: "",
+		frame: stripVTControlCharacters(first.codeSnippet || ""),
+		loc: {
+			file,
+			line: first.range.start.line,
+			column: first.range.start.column,
+		},
+	};
+}
+
+/**
+ * @description 모듈을 transform할 때 하드코딩을 검사하는 Vite 플러그인입니다.
+ * - vite dev: 위반을 터미널과 에러 오버레이에 표시합니다. HMR로 바뀐 모듈만 다시 transform되므로 그 모듈만 다시 검사하고,
+ *   값 출처로 읽은 상수 모듈이 바뀌면 그 모듈을 쓰는 파일도, locale 파일이 바뀌면 그 파일의 키를 쓰는 모듈도 다시 검사합니다.
+ * - vite build: 빌드가 끝나면 리포트를 출력하고, 위반 수가 maxViolations를 넘으면 빌드를 실패시킵니다.
+ * @example
+ * // vite.config.ts
+ * import i18nCheck from "./i18n_script/vite-plugin.mjs";
+ *
+ * export default defineConfig({
+ *   plugins: [react(), i18nCheck({ maxViolations: 0 })],
+ * });
+ */
+export default function i18nCheckPlugin({
+	config: configPath,
+	include = SOURCE_FILES,
+	exclude = DEFAULT_IGNORES,
+	overlay = true,
+	maxViolations = Number.POSITIVE_INFINITY,
+} = {}) {
+	let command = "serve";
+	let root = process.cwd();
+	let logger = null;
+	let filter = null;
+	let server = null;
+	let engine = null;
+	let instances = null;
+	// 파일 경로 → 마지막 검사에서 나온 위반
+	const violationsByFile = new Map();
+	// 의존 파일(import한 상수 모듈, 번역 키를 찾은 locale 파일 등) → 그 파일을 읽어 검사한 모듈
+	const dependents = new Map();
+
+	const createInstances = () =>
+		engine.createInstances({
+			warn: (message) => logger.warn(chalk.yellow(message)),
+		});
+
+	const checkModule = (filePath, code) => {
+		engine.reporter.clearCache(filePath);
+		engine.suppressions.clear(filePath);
+		const { errors, dependencies } = engine.checkSource(
+			filePath,
+			code,
+			instances,
+			{ timings: createTimings() },
+		);
+
+		for (const dependency of dependencies) {
+			if (!dependents.has(dependency)) {
+				dependents.set(dependency, new Set());
+			}
+			dependents.get(dependency).add(filePath);
+		}
+
+		const violations = errors.map((error) => toViolation(error, filePath));
+		if (violations.length > 0) {
+			violationsByFile.set(filePath, violations);
+		} else {
+			violationsByFile.delete(filePath);
+		}
+		return violations;
+	};
+
+	const reportModule = (file, violations) => {
+		if (violations.length === 0) return;
+
+		logger.warn(
+			formatPretty(violations, {
+				title: `🚨 하드코딩 ${violations.length}개 발견\n`,
+			}),
+			{ timestamp: true },
+		);
+		if (overlay) {
+			server?.ws.send({
+				type: "error",
+				err: createOverlayError(file, violations),
+			});
+		}
+	};
+
+	const recheckFromDisk = (filePath) => {
+		const file = path.resolve(filePath);
+		if (!fs.existsSync(file)) {
+			violationsByFile.delete(filePath);
+			return;
+		}
+		reportModule(file, checkModule(filePath, fs.readFileSync(file, "utf8")));
+	};
+
+	return {
+		name: PLUGIN_NAME,
+		// 다른 플러그인이 변환하기 전의 원본 소스를 검사
+		enforce: "pre",
+
+		configResolved(resolvedConfig) {
+			command = resolvedConfig.command;
+			root = resolvedConfig.root;
+			logger = resolvedConfig.logger;
+			filter = createFilter(include, exclude, { resolve: root });
+		},
+
+		configureServer(devServer) {
+			server = devServer;
+		},
+
+		async buildStart() {
+			const { config } = await new ConfigLoader({ cwd: root }).load(configPath);
+			engine = new RuleEngine({ rules: RULE_DEFINITIONS, config });
+			instances = createInstances();
+			violationsByFile.clear();
+			dependents.clear();
+		},
+
+		transform(code, id) {
+			const [file] = id.split("?", 1);
+			if (id.startsWith("\0") || !filter(file)) return null;
+
+			const violations = checkModule(path.relative(process.cwd(), file), code);
+			if (command === "serve") {
+				reportModule(file, violations);
+			}
+			return null;
+		},
+
+		handleHotUpdate({ file }) {
+			const changed = path.relative(process.cwd(), file);
+
+			// locale 파일이 바뀌면 번역 키를 다시 읽고, 위반이 있던 모듈과 그 locale 파일의 키를 사용한 모듈을 다시 검사
+			if (file.endsWith(".json")) {
+				instances = createInstances();
+				const targets = new Set([
+					...violationsByFile.keys(),
+					...(dependents.get(changed) || []),
+				]);
+				for (const filePath of [...targets].sort()) {
+					recheckFromDisk(filePath);
+				}
+				return;
+			}
+
+			// 바뀐 모듈 자체는 다음 transform에서 검사되고, 이 파일의 값을 가져다 쓴 모듈은 transform되지 않으므로 직접 검사
+			if (!fs.existsSync(file)) {
+				violationsByFile.delete(changed);
+			}
+			for (const dependent of dependents.get(changed) || []) {
+				recheckFromDisk(dependent);
+			}
+		},
+
+		buildEnd(error) {
+			if (command !== "build" || error) return;
+
+			const violations = [...violationsByFile.keys()]
+				.sort()
+				.flatMap((filePath) => violationsByFile.get(filePath));
+			logger.info(`\n${formatPretty(violations)}`);
+
+			if (violations.length > maxViolations) {
+				this.error(
+					`하드코딩 위반 ${violations.length}개가 허용치 ${maxViolations}개를 넘었습니다`,
+				);
+			}
+		},
+	};
+}
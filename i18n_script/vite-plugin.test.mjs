@@ -0,0 +1,80 @@
+import path from "node:path";
+import {
+	createTempProject,
+	localeOptions,
+	removeTempProject,
+	writeFiles,
+} from "./test-helpers.mjs";
+import i18nCheckPlugin from "./vite-plugin.mjs";
+
+describe("vite 플러그인", () => {
+	let root;
+	let plugin;
+	let warnings;
+	let infos;
+
+	const APP = `import { useTranslation } from "react-i18next";
+export function App() {
+	const { t } = useTranslation();
+	return <h1>{t("home.title")}</h1>;
+}
+`;
+
+	const start = async (command) => {
+		warnings = [];
+		infos = [];
+		plugin = i18nCheckPlugin({ overlay: false });
+		plugin.configResolved({
+			command,
+			root,
+			logger: {
+				warn: (message) => warnings.push(message),
+				info: (message) => infos.push(message),
+			},
+		});
+		await plugin.buildStart();
+	};
+
+	const updateLocale = (data) => {
+		writeFiles(root, { "locales/ko/translation.json": data });
+		plugin.handleHotUpdate({
+			file: path.join(root, "locales/ko/translation.json"),
+		});
+	};
+
+	beforeEach(() => {
+		root = createTempProject({
+			"locales/ko/translation.json": { home: { title: "홈" } },
+			"src/App.tsx": APP,
+		});
+		writeFiles(root, {
+			"i18n-check.config.json": { locales: localeOptions(root) },
+		});
+	});
+
+	afterEach(() => {
+		removeTempProject(root);
+	});
+
+	test("locale 파일이 바뀌면 위반이 없던 모듈도 그 파일의 키를 썼다면 다시 검사", async () => {
+		await start("serve");
+		plugin.transform(APP, path.join(root, "src/App.tsx"));
+		expect(warnings).toHaveLength(0);
+
+		updateLocale({ home: {} });
+
+		expect(warnings).toHaveLength(1);
+		expect(warnings[0]).toContain("home.title");
+	});
+
+	test("키를 다시 추가하면 위반이 있던 모듈을 다시 검사해 위반을 지움", async () => {
+		await start("build");
+		updateLocale({ home: {} });
+		plugin.transform(APP, path.join(root, "src/App.tsx"));
+
+		updateLocale({ home: { title: "홈" } });
+		plugin.buildEnd();
+
+		expect(infos.join("\n")).not.toContain("home.title");
+	});
+});
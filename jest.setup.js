@@ -1,5 +1,7 @@
 // Jest 설정 파일
 // 테스트 환경에서 console.log를 모킹하지 않도록 설정
+// ESM(--experimental-vm-modules)에서는 jest 전역 대신 import.meta.jest를 사용
+const { jest } = import.meta;
 global.console = {
 	...console,
 	// console.log는 그대로 유지
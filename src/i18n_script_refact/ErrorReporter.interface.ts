@@ -1,3 +1,7 @@
+export type Severity = "error" | "warning";
+
+export type ReportFormat = "pretty" | "json";
+
 export interface CodeError {
 	/**
 	 * 에러가 발생한 줄
@@ -9,6 +13,21 @@ export interface CodeError {
 	 */
 	column: number;
 
+	/**
+	 * 에러가 끝나는 위치 (없으면 시작 위치와 동일)
+	 */
+	end?: { line: number; column: number };
+
+	/**
+	 * 규칙 ID (예: no-hardcoded-jsx-text)
+	 */
+	ruleId?: string;
+
+	/**
+	 * 심각도
+	 */
+	severity?: Severity;
+
 	/**
 	 * 에러 메시지
 	 */
@@ -24,6 +43,11 @@ export interface CodeError {
 	 */
 	value: string;
 
+	/**
+	 * 수정 제안
+	 */
+	suggestion?: string;
+
 	/**
 	 * 코드 스니펫 (에러 위치 표시)
 	 */
@@ -32,6 +56,7 @@ export interface CodeError {
 
 export interface IErrorReporter {
 	addCodeError(filePath: string, error: CodeError): void;
-	printReport(): void;
+	printReport(format?: ReportFormat): void;
+	getErrors(): { filePath: string; error: CodeError }[];
 	hasErrors(): boolean;
 }
@@ -1,7 +1,16 @@
 import { codeFrameColumns } from "@babel/code-frame";
 import chalk from "chalk";
 import fs from "fs";
-import type { CodeError, IErrorReporter } from "./ErrorReporter.interface";
+import type {
+	CodeError,
+	IErrorReporter,
+	ReportFormat,
+} from "./ErrorReporter.interface";
+
+const TYPE_TO_RULE: Record<string, string> = {
+	"jsx-children": "no-hardcoded-jsx-text",
+	"jsx-prop": "no-hardcoded-jsx-props",
+};
 
 export class ErrorReporter implements IErrorReporter {
 	private fileCache: Map<string, string>;
@@ -110,7 +119,54 @@ export class ErrorReporter implements IErrorReporter {
 		return report.join("\n");
 	}
 
-	public printReport() {
+	public getErrors() {
+		return [...this.fileErrors.entries()].flatMap(([filePath, errors]) =>
+			errors.map((error) => ({ filePath, error })),
+		);
+	}
+
+	/**
+	 * @description i18n_script/formatters/json.mjs와 같은 위반 구조로 직렬화합니다.
+	 */
+	private generateJsonReport(): string {
+		const violations = this.getErrors().map(({ filePath, error }) => {
+			const start = { line: error.line, column: error.column };
+
+			return {
+				ruleId: error.ruleId ?? TYPE_TO_RULE[error.type] ?? error.type,
+				severity: error.severity ?? "error",
+				filePath,
+				range: { start, end: error.end ?? start },
+				message: error.message,
+				value: error.value,
+				suggestion: error.suggestion ?? null,
+			};
+		});
+		const errorCount = violations.filter(
+			(violation) => violation.severity === "error",
+		).length;
+
+		return JSON.stringify(
+			{
+				version: 1,
+				summary: {
+					filesWithViolations: this.fileErrors.size,
+					errorCount,
+					warningCount: violations.length - errorCount,
+				},
+				violations,
+			},
+			null,
+			2,
+		);
+	}
+
+	public printReport(format: ReportFormat = "pretty") {
+		if (format === "json") {
+			console.log(this.generateJsonReport());
+			return;
+		}
+
 		if (this.codeErrors.length === 0) {
 			console.log(chalk.green("✅ 하드코딩된 콘텐츠가 발견되지 않았습니다!"));
 			return;
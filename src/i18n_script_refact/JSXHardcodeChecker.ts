@@ -109,6 +109,7 @@ export default class JSXHardcodeChecker implements IJSXHardcodeChecker {
 				const errorInfo: CodeError = {
 					line: child.loc?.start.line || 0,
 					column: child.loc?.start.column || 0,
+					end: child.loc?.end,
 					message: `하드코딩된 JSX 텍스트 콘텐츠`,
 					type: "jsx-children",
 					value: this.getStringValue(child),
@@ -206,6 +207,7 @@ export default class JSXHardcodeChecker implements IJSXHardcodeChecker {
 				const errorInfo: CodeError = {
 					line: attr.value?.loc?.start.line || attr.loc?.start.line || 0,
 					column: attr.value?.loc?.start.column || attr.loc?.start.column || 0,
+					end: attr.value?.loc?.end || attr.loc?.end,
 					message: `하드코딩된 JSX 속성 "${attr.name.name}"`,
 					type: "jsx-prop",
 					value: this.getStringValue(attr.value),